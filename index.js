@@ -10,7 +10,13 @@ import adminRoutes from './src/router/admin.route.js';
 import contactRoutes from './src/router/contact.route.js';
 import referralRoutes from './src/router/referral.route.js';
 import paymentRoutes from './src/router/payment.route.js';
+import trackingRoutes from './src/router/tracking.route.js';
+import driverRoutes from './src/router/driver.route.js';
 import { handleWebSocketConnection, broadcastServerLog } from './src/controller/payment.controller.js';
+import { hasOwnBodyParser } from './src/middleware/body.middleware.js';
+import { startScheduledOrderDispatcher } from './src/jobs/scheduledOrders.job.js';
+import { startDispatchEngine } from './src/jobs/dispatch.job.js';
+import { startRecurringBookings } from './src/jobs/recurringBookings.job.js';
 
 dotenv.config();
 
@@ -130,7 +136,9 @@ app.use(cors({
 // Allow configurable JSON body size for endpoints that may accept larger form data.
 // Default is 100kb; override with CONTACT_MAX_BODY_KB in .env (value in KB).
 const contactMaxKb = Number(process.env.CONTACT_MAX_BODY_KB) || 100;
-app.use(express.json({ limit: `${contactMaxKb}kb` }));
+const defaultJsonBody = express.json({ limit: `${contactMaxKb}kb` });
+// Proof-of-delivery and import routes parse their own larger bodies after authentication
+app.use((req, res, next) => (hasOwnBodyParser(req) ? next() : defaultJsonBody(req, res, next)));
 
 // Rate limiting (use if available, otherwise no-op passthrough)
 const globalLimiter = rateLimitPkg
@@ -170,6 +178,13 @@ app.use('/api/admin', globalLimiter, adminRoutes);
 // Public contact form endpoint
 app.use('/api/contact', globalLimiter, contactRoutes);
 
+// Public shipment tracking by tracking code
+app.use('/api/track', globalLimiter, trackingRoutes);
+
+// Driver app: register/login use the stricter auth limiter
+app.use(['/api/driver/register', '/api/driver/login'], authLimiter);
+app.use('/api/driver', globalLimiter, driverRoutes);
+
 app.get('/', (req, res) => {
   res.send('API running on port 5000');
 });
@@ -196,6 +211,12 @@ if (process.env.NODE_ENV !== 'production') {
 }
 
 const PORT = process.env.PORT || 5000;
-server.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+server.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+  // Background jobs start once the server is accepting connections
+  startScheduledOrderDispatcher();
+  startDispatchEngine();
+  startRecurringBookings();
+});
 
 
@@ -0,0 +1,190 @@
+import admin from '../config/firebase.js';
+
+// Saved places live in users/{uid}/addresses/{id}. Bookings and quotes can name one with
+// pickupAddressId / destinationAddressId instead of sending the address, coordinates and
+// contact inline; a booking with neither a pickup nor pickup coordinates uses the default
+// pickup address.
+const MAX_ADDRESSES_PER_USER = 50;
+
+const addressesCollection = (uid) => admin.firestore().collection('users').doc(uid).collection('addresses');
+
+const sanitizeString = (v, max = 1000) => (typeof v === 'string' ? v.trim().slice(0, max) : '');
+const sanitizePhone = (v) => (typeof v === 'string' ? v.trim().replace(/[^+0-9]/g, '') : '');
+
+/**
+ * Validate a saved address body. With `partial` only the fields present are checked.
+ * Returns { value } or { error }.
+ */
+function validateAddressInput(body = {}, partial = false) {
+  const value = {};
+
+  if (!partial || body.label !== undefined) {
+    value.label = sanitizeString(body.label, 64);
+    if (!value.label) return { error: 'Label is required' };
+  }
+  if (!partial || body.address !== undefined) {
+    value.address = sanitizeString(body.address, 1000);
+    if (!value.address) return { error: 'Address is required' };
+  }
+  if (!partial || body.coordinates !== undefined) {
+    const lat = Number(body.coordinates?.lat);
+    const lng = Number(body.coordinates?.lng);
+    if (!body.coordinates || !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return { error: 'Coordinates must have a valid lat and lng' };
+    }
+    value.coordinates = { lat, lng };
+  }
+  if (!partial || body.contactName !== undefined) value.contactName = sanitizeString(body.contactName || '', 128);
+  if (!partial || body.contactPhone !== undefined) value.contactPhone = sanitizePhone(body.contactPhone || '');
+  if (!partial || body.isDefaultPickup !== undefined) {
+    if (body.isDefaultPickup !== undefined && typeof body.isDefaultPickup !== 'boolean') {
+      return { error: 'isDefaultPickup must be a boolean' };
+    }
+    value.isDefaultPickup = body.isDefaultPickup === true;
+  }
+
+  return { value };
+}
+
+// Only one address can be the default pickup; clear the flag on the others
+async function clearDefaultPickup(uid, batch, exceptId) {
+  const snap = await addressesCollection(uid).where('isDefaultPickup', '==', true).get();
+  snap.docs.filter(d => d.id !== exceptId).forEach(d => batch.set(d.ref, { isDefaultPickup: false, updatedAt: Date.now() }, { merge: true }));
+}
+
+// The inline booking fields for a saved address
+const toBookingPoint = (saved) => ({
+  address: saved.address,
+  contactName: saved.contactName || '',
+  contactPhone: saved.contactPhone || ''
+});
+
+/**
+ * Swap saved address IDs in a booking/quote body for the inline pickup, destination and
+ * coordinates that bookDriver expects. Returns { input } or { error, status }.
+ */
+export async function resolveSavedAddresses(uid, input = {}) {
+  const { pickupAddressId = null, destinationAddressId = null } = input;
+  // The default pickup only fills in for a body with no pickup of any kind, e.g. a quote sent with pickup coordinates has one
+  const hasPickupCoordinates = input.coordinates && (input.coordinates.pickupLat !== undefined || input.coordinates.pickupLng !== undefined);
+  const usePickupDefault = !pickupAddressId && !input.pickup && !hasPickupCoordinates;
+  if (!pickupAddressId && !destinationAddressId && !usePickupDefault) return { input };
+
+  const resolved = { ...input, coordinates: { ...(input.coordinates || {}) } };
+
+  if (pickupAddressId || usePickupDefault) {
+    let saved = null;
+    if (pickupAddressId) {
+      const snap = await addressesCollection(uid).doc(String(pickupAddressId)).get();
+      if (!snap.exists) return { error: 'Saved pickup address not found', status: 400 };
+      saved = snap.data();
+    } else {
+      const snap = await addressesCollection(uid).where('isDefaultPickup', '==', true).limit(1).get();
+      saved = snap.empty ? null : snap.docs[0].data();
+    }
+    if (saved) {
+      resolved.pickup = toBookingPoint(saved);
+      resolved.coordinates.pickupLat = saved.coordinates.lat;
+      resolved.coordinates.pickupLng = saved.coordinates.lng;
+    }
+  }
+
+  if (destinationAddressId) {
+    const snap = await addressesCollection(uid).doc(String(destinationAddressId)).get();
+    if (!snap.exists) return { error: 'Saved destination address not found', status: 400 };
+    const saved = snap.data();
+    resolved.destination = toBookingPoint(saved);
+    resolved.coordinates.destLat = saved.coordinates.lat;
+    resolved.coordinates.destLng = saved.coordinates.lng;
+  }
+
+  return { input: resolved };
+}
+
+// List the authenticated user's saved addresses (default pickup first)
+export const listAddresses = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const snap = await addressesCollection(uid).orderBy('createdAt', 'desc').get();
+    const addresses = snap.docs.map(d => d.data()).sort((a, b) => Number(b.isDefaultPickup) - Number(a.isDefaultPickup));
+    return res.status(200).json({ success: true, addresses });
+  } catch (err) {
+    console.error('listAddresses error', err);
+    return res.status(500).json({ message: 'Could not fetch addresses' });
+  }
+};
+
+// Save a new address
+export const createAddress = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const { value, error } = validateAddressInput(req.body || {});
+    if (error) return res.status(400).json({ message: error });
+
+    const count = await addressesCollection(uid).count().get();
+    if (count.data().count >= MAX_ADDRESSES_PER_USER) {
+      return res.status(400).json({ message: `You can save at most ${MAX_ADDRESSES_PER_USER} addresses` });
+    }
+
+    const ref = addressesCollection(uid).doc();
+    const doc = { id: ref.id, uid, ...value, createdAt: Date.now(), updatedAt: Date.now() };
+    const batch = admin.firestore().batch();
+    if (doc.isDefaultPickup) await clearDefaultPickup(uid, batch, ref.id);
+    batch.set(ref, doc);
+    await batch.commit();
+
+    return res.status(201).json({ success: true, address: doc });
+  } catch (err) {
+    console.error('createAddress error', err);
+    return res.status(500).json({ message: 'Could not save address' });
+  }
+};
+
+// Update a saved address
+export const updateAddress = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const ref = addressesCollection(uid).doc(req.params.id);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Address not found' });
+
+    const { value, error } = validateAddressInput(req.body || {}, true);
+    if (error) return res.status(400).json({ message: error });
+    if (Object.keys(value).length === 0) return res.status(400).json({ message: 'No fields to update' });
+
+    const updates = { ...value, updatedAt: Date.now() };
+    const batch = admin.firestore().batch();
+    if (updates.isDefaultPickup) await clearDefaultPickup(uid, batch, ref.id);
+    batch.set(ref, updates, { merge: true });
+    await batch.commit();
+
+    return res.status(200).json({ success: true, address: { ...snap.data(), ...updates } });
+  } catch (err) {
+    console.error('updateAddress error', err);
+    return res.status(500).json({ message: 'Could not update address' });
+  }
+};
+
+// Delete a saved address (orders already booked from it keep their copy)
+export const deleteAddress = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const ref = addressesCollection(uid).doc(req.params.id);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Address not found' });
+
+    await ref.delete();
+    return res.status(200).json({ success: true, message: 'Address deleted' });
+  } catch (err) {
+    console.error('deleteAddress error', err);
+    return res.status(500).json({ message: 'Could not delete address' });
+  }
+};
@@ -3,6 +3,10 @@ import { broadcastServerLog } from './payment.controller.js';
 import { decryptToUTF8 } from '../utils/crypto.js';
 import { sendBulkEmail } from '../utils/mailer.js';
 import { notifyUser } from './payment.controller.js';
+import { cancelOrder } from './orders.controller.js';
+import { transitionOrderStatus, ORDER_STATUSES, deleteOrderHistory } from './orderStatus.controller.js';
+import { publishTrackingUpdate, releaseTrackingCode } from './tracking.controller.js';
+import { deleteOrderTrail } from './driverLocation.controller.js';
 
 // Admin: list recent orders across all users (collectionGroup)
 export const listOrders = async (req, res) => {
@@ -44,32 +48,111 @@ export const listOrders = async (req, res) => {
   }
 };
 
-// Admin: update an order status and optional assigned driver
+const STOP_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Admin: update an order status, optional assigned driver, and/or a single stop of a multi-stop order
 export const updateOrderStatus = async (req, res) => {
   try {
     const { uid, orderId } = req.params;
-    const { status, assignedDriver = null, note = '' } = req.body;
+    const { status, assignedDriver = null, note = '', stopIndex, stopStatus } = req.body;
     if (!uid || !orderId) return res.status(400).json({ message: 'Missing uid or orderId' });
 
+    const hasStopUpdate = stopIndex !== undefined && stopIndex !== null;
+    if (!status && !hasStopUpdate && !assignedDriver) return res.status(400).json({ message: 'Nothing to update' });
+    if (status && !ORDER_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${ORDER_STATUSES.join(', ')}` });
+    }
+    if (status === 'cancelled') {
+      // Cancellation refunds the wallet, so it has its own endpoint
+      return res.status(400).json({ message: 'Use POST /api/admin/orders/:uid/:orderId/cancel to cancel an order' });
+    }
+    if (status === 'delivered') {
+      // Completion needs proof of delivery (confirmation code, signature or photo plus GPS)
+      return res.status(400).json({ message: 'Use POST /api/admin/orders/:uid/:orderId/deliver to complete an order' });
+    }
+    if (hasStopUpdate && !STOP_STATUSES.includes(stopStatus)) {
+      return res.status(400).json({ message: `stopStatus must be one of: ${STOP_STATUSES.join(', ')}` });
+    }
+
     const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc(orderId);
     const snap = await orderRef.get();
     if (!snap.exists) return res.status(404).json({ message: 'Order not found' });
 
-    const updates = { status, updatedAt: Date.now() };
+    const stopCount = Array.isArray(snap.data().stops) ? snap.data().stops.length : 0;
+    if (hasStopUpdate && !(Number.isInteger(Number(stopIndex)) && Number(stopIndex) >= 0 && Number(stopIndex) < stopCount)) {
+      return res.status(400).json({ message: 'Invalid stop index' });
+    }
+
+    const updates = { updatedAt: Date.now() };
     if (assignedDriver) updates.assignedDriver = assignedDriver;
     if (note) updates.note = note;
 
-    await orderRef.set(updates, { merge: true });
-
-    // Notify user via WebSocket about order status update
-    try {
-      notifyUser(uid, 'order_status_update', {
+    // Each path writes `updates` exactly once: status changes go through the lifecycle (so
+    // invalid jumps are rejected and recorded in history), stop updates through their
+    // transaction, and anything else (a driver assignment or note) directly
+    if (status) {
+      const result = await transitionOrderStatus({
+        uid,
         orderId,
-        status,
-        assignedDriver,
+        to: status,
+        actor: { uid: req.user?.uid, role: 'admin' },
         note,
-        updatedAt: updates.updatedAt
+        updates
       });
+      if (result.error) return res.status(result.status).json({ message: result.error });
+    }
+
+    let updatedStop = null;
+    if (hasStopUpdate) {
+      // Rewrite the stops array in a transaction so concurrent drop updates don't clobber each other
+      try {
+        updatedStop = await admin.firestore().runTransaction(async (t) => {
+          const fresh = await t.get(orderRef);
+          const stops = Array.isArray(fresh.data().stops) ? [...fresh.data().stops] : [];
+          const idx = Number(stopIndex);
+          if (!Number.isInteger(idx) || idx < 0 || idx >= stops.length) throw new Error('Invalid stop index');
+
+          stops[idx] = {
+            ...stops[idx],
+            status: stopStatus,
+            completedAt: stopStatus === 'pending' ? null : Date.now(),
+            ...(note ? { note } : {})
+          };
+          t.set(orderRef, { ...(status ? {} : updates), stops }, { merge: true });
+          return stops[idx];
+        });
+      } catch (stopErr) {
+        if (stopErr.message === 'Invalid stop index') return res.status(400).json({ message: 'Invalid stop index' });
+        throw stopErr;
+      }
+    } else if (!status) {
+      await orderRef.set(updates, { merge: true });
+    }
+
+    // Notify user via WebSocket about order status update
+    try {
+      if (status) {
+        notifyUser(uid, 'order_status_update', {
+          orderId,
+          status,
+          assignedDriver,
+          note,
+          updatedAt: updates.updatedAt
+        });
+      }
+      if (updatedStop) {
+        notifyUser(uid, 'order_stop_update', {
+          orderId,
+          stopIndex: updatedStop.index,
+          status: updatedStop.status,
+          completedAt: updatedStop.completedAt,
+          updatedAt: updates.updatedAt
+        });
+      }
+      if (status || updatedStop) {
+        const latest = await orderRef.get();
+        publishTrackingUpdate(latest.data());
+      }
     } catch (wsErr) {
       console.warn('Failed to send WebSocket notification for order update:', wsErr);
     }
@@ -81,13 +164,45 @@ export const updateOrderStatus = async (req, res) => {
       console.error('Failed to update user lastOrderUpdatedAt', e);
     }
 
-    return res.status(200).json({ success: true, message: 'Order updated' });
+    return res.status(200).json({ success: true, message: 'Order updated', stop: updatedStop });
   } catch (err) {
     console.error('updateOrderStatus error', err);
     return res.status(500).json({ message: 'Could not update order' });
   }
 };
 
+// Admin: cancel an order on behalf of a user (refunds the wallet; fee can be waived)
+export const cancelUserOrder = async (req, res) => {
+  try {
+    const { uid, orderId } = req.params;
+    if (!uid || !orderId) return res.status(400).json({ message: 'Missing uid or orderId' });
+
+    const { reason = '', waiveFee = false } = req.body || {};
+    const result = await cancelOrder({
+      uid,
+      orderId,
+      actorUid: req.user?.uid,
+      asAdmin: true,
+      waiveFee: waiveFee === true,
+      reason
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    broadcastServerLog(`✅ Admin cancelled order ${orderId} for user ${uid} (refund ₦${result.refundAmount})`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Order cancelled',
+      order: result.order,
+      refundAmount: result.refundAmount,
+      cancellationFee: result.fee
+    });
+  } catch (err) {
+    console.error('cancelUserOrder error', err);
+    return res.status(500).json({ message: 'Could not cancel order' });
+  }
+};
+
 // Admin: list all users with their wallet balance
 export const listUsers = async (req, res) => {
   try {
@@ -314,8 +429,11 @@ export const deleteOrder = async (req, res) => {
     console.log(`[ADMIN] Deleting order ${orderId} for user ${uid}`);
 
     try {
-      // Delete order
+      // Delete order, its status history and its public tracking code
+      await deleteOrderHistory(orderRef);
+      await deleteOrderTrail(orderRef);
       await orderRef.delete();
+      await releaseTrackingCode(orderData.trackingCode);
 
       // Delete related order history if exists
       try {
@@ -0,0 +1,139 @@
+import admin from '../config/firebase.js';
+import { broadcastServerLog } from './payment.controller.js';
+
+// Pay-on-delivery bookings carry order.payment = { method: 'cod', status, amountDue, ... }.
+// 'unpaid' orders are receivables; once a rider records the collection the money is 'collected'
+// and owed by that rider until an admin marks it 'remitted'. Cancelled and failed bookings
+// become 'void'.
+const MAX_RECONCILIATION_ORDERS = 2000;
+
+const codOrderSummary = (order) => ({
+  id: order.id,
+  uid: order.uid,
+  status: order.status,
+  trackingCode: order.trackingCode || null,
+  amountDue: order.payment?.amountDue ?? order.total ?? 0,
+  collectedAmount: order.payment?.collectedAmount ?? null,
+  collectedVia: order.payment?.collectedVia || null,
+  collectedAt: order.payment?.collectedAt || null,
+  driverUid: order.driverUid || null,
+  createdAt: order.createdAt || null
+});
+
+const roundMoney = (v) => Math.round(v * 100) / 100;
+
+// Statuses whose unpaid balance will never be collected (older failed orders were not voided)
+const UNCOLLECTABLE_STATUSES = ['cancelled', 'failed'];
+
+/**
+ * Split COD orders into receivables (not yet collected) and the money each rider holds.
+ * Returns { receivables: { count, amount, orders }, byDriver: Map(driverUid → entry) }.
+ */
+export function summarizeCodOrders(orders) {
+  const receivables = { count: 0, amount: 0, orders: [] };
+  const byDriver = new Map();
+  for (const order of orders) {
+    if (order.payment.status === 'unpaid') {
+      if (UNCOLLECTABLE_STATUSES.includes(order.status)) continue;
+      receivables.count++;
+      receivables.amount += Number(order.payment.amountDue ?? order.total) || 0;
+      receivables.orders.push(codOrderSummary(order));
+      continue;
+    }
+    if (order.payment.status !== 'collected') continue;
+
+    const holder = order.payment.collectedBy || order.driverUid || 'unknown';
+    const entry = byDriver.get(holder) || { driverUid: holder, owed: 0, cash: 0, transfer: 0, orders: [] };
+    const amount = Number(order.payment.collectedAmount) || 0;
+    entry.owed += amount;
+    if (order.payment.collectedVia === 'transfer') entry.transfer += amount;
+    else entry.cash += amount;
+    entry.orders.push(codOrderSummary(order));
+    byDriver.set(holder, entry);
+  }
+  return { receivables, byDriver };
+}
+
+// Admin: outstanding pay-on-delivery receivables and the money each rider holds
+export const getCodReconciliation = async (req, res) => {
+  try {
+    const { driverUid } = req.query;
+    let query = admin.firestore().collectionGroup('orders')
+      .where('payment.method', '==', 'cod')
+      .where('payment.status', 'in', ['unpaid', 'collected']);
+    if (driverUid) query = query.where('driverUid', '==', String(driverUid));
+    const snap = await query.limit(MAX_RECONCILIATION_ORDERS).get();
+
+    const { receivables, byDriver } = summarizeCodOrders(snap.docs.map(d => d.data()));
+
+    // Attach rider names for the admin view
+    const driverRefs = [...byDriver.keys()].filter(id => id !== 'unknown').map(id => admin.firestore().collection('drivers').doc(id));
+    const driverSnaps = driverRefs.length ? await admin.firestore().getAll(...driverRefs) : [];
+    const names = new Map(driverSnaps.filter(s => s.exists).map(s => [s.id, s.data().fullName || null]));
+
+    const drivers = [...byDriver.values()]
+      .map(entry => ({
+        ...entry,
+        fullName: names.get(entry.driverUid) || null,
+        owed: roundMoney(entry.owed),
+        cash: roundMoney(entry.cash),
+        transfer: roundMoney(entry.transfer)
+      }))
+      .sort((a, b) => b.owed - a.owed);
+
+    return res.status(200).json({
+      success: true,
+      receivables: { ...receivables, amount: roundMoney(receivables.amount) },
+      drivers,
+      totalOwedByDrivers: roundMoney(drivers.reduce((sum, d) => sum + d.owed, 0)),
+      truncated: snap.size >= MAX_RECONCILIATION_ORDERS
+    });
+  } catch (err) {
+    console.error('getCodReconciliation error', err);
+    return res.status(500).json({ message: 'Could not fetch COD reconciliation' });
+  }
+};
+
+// Admin: mark money a rider collected as handed in (all of it, or just the listed orders)
+export const remitDriverCod = async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    const { orderIds = null, note = '' } = req.body || {};
+    if (orderIds !== null && (!Array.isArray(orderIds) || orderIds.length === 0)) {
+      return res.status(400).json({ message: 'orderIds must be a non-empty list when provided' });
+    }
+
+    const snap = await admin.firestore().collectionGroup('orders')
+      .where('payment.method', '==', 'cod')
+      .where('payment.status', '==', 'collected')
+      .where('payment.collectedBy', '==', driverId)
+      .limit(450)
+      .get();
+
+    const docs = orderIds ? snap.docs.filter(d => orderIds.includes(d.id)) : snap.docs;
+    if (docs.length === 0) return res.status(400).json({ message: 'No collected payments to remit for this driver' });
+
+    const now = Date.now();
+    const remittance = {
+      remittedAt: now,
+      remittedTo: req.user?.uid || null,
+      remittanceNote: typeof note === 'string' ? note.trim().slice(0, 500) : ''
+    };
+    const batch = admin.firestore().batch();
+    let total = 0;
+    for (const doc of docs) {
+      total += Number(doc.data().payment.collectedAmount) || 0;
+      batch.set(doc.ref, { payment: { status: 'remitted', ...remittance }, updatedAt: now }, { merge: true });
+    }
+    await batch.commit();
+
+    total = roundMoney(total);
+    console.log(`[ADMIN] Recorded ₦${total} COD remittance from driver ${driverId} (${docs.length} orders)`);
+    broadcastServerLog(`✅ Admin recorded ₦${total} COD remittance from driver ${driverId}`);
+
+    return res.status(200).json({ success: true, driverUid: driverId, remitted: total, orderIds: docs.map(d => d.id) });
+  } catch (err) {
+    console.error('remitDriverCod error', err);
+    return res.status(500).json({ message: 'Could not record remittance' });
+  }
+};
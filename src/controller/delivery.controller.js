@@ -0,0 +1,392 @@
+import admin from '../config/firebase.js';
+import crypto from 'crypto';
+import { notifyUser, notifyAdmins, broadcastServerLog } from './payment.controller.js';
+import { transitionOrderStatus } from './orderStatus.controller.js';
+import { publishTrackingUpdate } from './tracking.controller.js';
+import { sendSms } from '../utils/sms.js';
+import { saveFile, openFileStream, deleteFile } from '../utils/storage.js';
+
+// Proof of delivery: a recipient confirmation code is issued at booking and sent to the
+// destination contact; completing a delivery needs that code, a signature or a photo, plus GPS.
+const DELIVERY_CODE_LENGTH = 6;
+const MAX_CODE_ATTEMPTS = Number(process.env.DELIVERY_CODE_MAX_ATTEMPTS) || 5;
+const MAX_CODE_RESENDS = 3;
+const MAX_PROOF_IMAGE_BYTES = (Number(process.env.PROOF_MAX_IMAGE_KB) || 3072) * 1024;
+const PROOF_IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+const PROOF_FILE_KINDS = ['signature', 'photo'];
+
+const orderDoc = (uid, orderId) => admin.firestore().collection('users').doc(uid).collection('orders').doc(orderId);
+
+const hashDeliveryCode = (orderId, code) =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET || 'delivery-code').update(`${orderId}:${code}`).digest('hex');
+
+const maskPhone = (phone) => {
+  const digits = String(phone || '').replace(/[^\d]/g, '');
+  return digits.length > 4 ? `${'*'.repeat(digits.length - 4)}${digits.slice(-4)}` : digits;
+};
+
+// The contact who receives the parcel: the final stop on multi-stop orders
+function recipientOf(order) {
+  if (Array.isArray(order.stops) && order.stops.length) {
+    const last = order.stops[order.stops.length - 1];
+    return { name: last.contactName || '', phone: last.contactPhone || '' };
+  }
+  const dest = order.metadata?.destination || {};
+  return { name: dest.contactName || '', phone: dest.contactPhone || '' };
+}
+
+/**
+ * Create a fresh confirmation code for an order.
+ * Returns { code, confirmation } where confirmation is stored on the order (hash only).
+ */
+export function issueDeliveryCode(orderId, recipientPhone) {
+  const code = String(crypto.randomInt(0, 10 ** DELIVERY_CODE_LENGTH)).padStart(DELIVERY_CODE_LENGTH, '0');
+  return {
+    code,
+    confirmation: {
+      codeHash: hashDeliveryCode(orderId, code),
+      sentTo: maskPhone(recipientPhone),
+      issuedAt: Date.now(),
+      failedAttempts: 0,
+      resends: 0,
+      smsSent: false
+    }
+  };
+}
+
+/**
+ * Text the confirmation code to the recipient. Best-effort: a failed SMS never fails the booking.
+ */
+export async function sendDeliveryCode(order, code) {
+  const recipient = recipientOf(order);
+  if (!recipient.phone) return false;
+
+  const message = `ASAP Logistics: a parcel is on its way to you${order.trackingCode ? ` (tracking ${order.trackingCode})` : ''}. ` +
+    `Give the rider this code only when you receive it: `;
+  try {
+    const sent = await sendSms({ to: recipient.phone, message: message + code, logMessage: `${message}[redacted]` });
+    // Without an SMS provider the message is only logged, so nothing reached the recipient
+    if (!sent?.logged) {
+      await orderDoc(order.uid, order.id).set({ deliveryConfirmation: { smsSent: true, sentAt: Date.now() } }, { merge: true });
+    }
+    return true;
+  } catch (err) {
+    console.warn(`[DELIVERY] Could not send confirmation code for order ${order.id}:`, err && err.message ? err.message : err);
+    return false;
+  }
+}
+
+// Remove the code hash before an order leaves the server
+export function redactDeliveryConfirmation(order) {
+  if (!order || !order.deliveryConfirmation) return order;
+  const { codeHash, ...rest } = order.deliveryConfirmation;
+  return { ...order, deliveryConfirmation: rest };
+}
+
+// Decode a data URL (or bare base64 with a separate contentType) into an image buffer
+function parseProofImage(input, label) {
+  if (!input) return { value: null };
+
+  let contentType = null;
+  let base64 = null;
+  if (typeof input === 'string') {
+    const match = input.match(/^data:([\w/+.-]+);base64,(.+)$/s);
+    if (!match) return { error: `${label} must be a base64 data URL` };
+    contentType = match[1];
+    base64 = match[2];
+  } else if (typeof input === 'object' && typeof input.data === 'string') {
+    contentType = input.contentType;
+    base64 = input.data;
+  } else {
+    return { error: `${label} must be a base64 data URL` };
+  }
+
+  if (!PROOF_IMAGE_TYPES[contentType]) {
+    return { error: `${label} must be one of: ${Object.keys(PROOF_IMAGE_TYPES).join(', ')}` };
+  }
+  const buffer = Buffer.from(base64, 'base64');
+  if (buffer.length === 0) return { error: `${label} is empty` };
+  if (buffer.length > MAX_PROOF_IMAGE_BYTES) {
+    return { error: `${label} must be at most ${Math.round(MAX_PROOF_IMAGE_BYTES / 1024)}KB` };
+  }
+  return { value: { buffer, contentType } };
+}
+
+function parseLocation(location) {
+  const lat = Number(location?.lat);
+  const lng = Number(location?.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return { error: 'GPS location (lat, lng) is required to complete a delivery' };
+  }
+  const accuracy = Number(location.accuracy);
+  return { value: { lat, lng, accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : null } };
+}
+
+/**
+ * Check a confirmation code against the order, counting a wrong one. The limit is checked
+ * and the count raised in one transaction so simultaneous guesses can't get past the lockout.
+ * Returns { verified, locked }.
+ */
+async function checkDeliveryCode(orderRef, orderId, code) {
+  return admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(orderRef);
+    const confirmation = (snap.exists && snap.data().deliveryConfirmation) || {};
+    if (!confirmation.codeHash) return { verified: false, locked: false };
+    if ((confirmation.failedAttempts || 0) >= MAX_CODE_ATTEMPTS) return { verified: false, locked: true };
+
+    const expected = Buffer.from(confirmation.codeHash, 'hex');
+    const actual = Buffer.from(hashDeliveryCode(orderId, code), 'hex');
+    const verified = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    if (!verified) {
+      t.set(orderRef, { deliveryConfirmation: { failedAttempts: admin.firestore.FieldValue.increment(1) } }, { merge: true });
+    }
+    return { verified, locked: false };
+  });
+}
+
+/**
+ * Complete a delivery with proof. `actor` is { uid, role }; `precondition` is passed to transitionOrderStatus.
+ * Returns { order, proof } or { error, status }.
+ */
+export async function completeDeliveryWithProof({ uid, orderId, actor, code, signature, photo, location, recipientName = '', note = '', precondition = null }) {
+  const loc = parseLocation(location);
+  if (loc.error) return { error: loc.error, status: 400 };
+
+  const sig = parseProofImage(signature, 'signature');
+  if (sig.error) return { error: sig.error, status: 400 };
+  const pic = parseProofImage(photo, 'photo');
+  if (pic.error) return { error: pic.error, status: 400 };
+
+  const cleanCode = code === undefined || code === null ? '' : String(code).trim();
+  if (!cleanCode && !sig.value && !pic.value) {
+    return { error: 'Provide the recipient confirmation code, a signature or a photo', status: 400 };
+  }
+
+  const orderRef = orderDoc(uid, orderId);
+  const snap = await orderRef.get();
+  if (!snap.exists) return { error: 'Order not found', status: 404 };
+  const order = snap.data();
+  if (order.status !== 'in_transit') {
+    return { error: `Only orders in transit can be delivered (order is ${order.status})`, status: 400 };
+  }
+
+  let codeVerified = false;
+  if (cleanCode) {
+    const confirmation = order.deliveryConfirmation || {};
+    const hasFileProof = !!(sig.value || pic.value);
+    if (!confirmation.codeHash && !hasFileProof) {
+      return { error: 'This order has no confirmation code; use a signature or photo', status: 400 };
+    }
+    const locked = (confirmation.failedAttempts || 0) >= MAX_CODE_ATTEMPTS;
+    if (locked && !hasFileProof) {
+      return { error: 'Too many wrong codes; use a signature or photo instead', status: 429 };
+    }
+
+    if (confirmation.codeHash && !locked) {
+      const check = await checkDeliveryCode(orderRef, orderId, cleanCode);
+      codeVerified = check.verified;
+      // A wrong code alone is not proof; signature/photo still count if provided
+      if (!codeVerified && !hasFileProof) {
+        return check.locked
+          ? { error: 'Too many wrong codes; use a signature or photo instead', status: 429 }
+          : { error: 'Incorrect confirmation code', status: 400 };
+      }
+    }
+  }
+
+  const stamp = Date.now();
+  const files = {};
+  try {
+    for (const [kind, parsed] of [['signature', sig.value], ['photo', pic.value]]) {
+      if (!parsed) continue;
+      files[kind] = await saveFile(
+        `proofs/${uid}/${orderId}/${kind}-${stamp}.${PROOF_IMAGE_TYPES[parsed.contentType]}`,
+        parsed.buffer,
+        parsed.contentType
+      );
+    }
+  } catch (err) {
+    console.error(`[DELIVERY] Failed to store proof files for order ${orderId}:`, err);
+    await Promise.all(Object.values(files).map(deleteFile));
+    return { error: 'Could not store delivery proof', status: 500 };
+  }
+
+  const methods = [codeVerified && 'code', files.signature && 'signature', files.photo && 'photo'].filter(Boolean);
+  const proof = {
+    methods,
+    codeVerified,
+    signature: files.signature || null,
+    photo: files.photo || null,
+    location: loc.value,
+    recipientName: typeof recipientName === 'string' ? recipientName.trim().slice(0, 128) : '',
+    note: typeof note === 'string' ? note.trim().slice(0, 500) : '',
+    capturedBy: { uid: actor.uid || null, role: actor.role || 'system' },
+    capturedAt: stamp
+  };
+
+  const result = await transitionOrderStatus({
+    uid,
+    orderId,
+    to: 'delivered',
+    actor,
+    note: `Delivered (proof: ${methods.join(', ')})`,
+    updates: { proofOfDelivery: proof, deliveredAt: stamp },
+    precondition
+  });
+  if (result.error) {
+    await Promise.all(Object.values(files).map(deleteFile));
+    return result;
+  }
+
+  try {
+    notifyUser(uid, 'order_status_update', { orderId, status: 'delivered', proofOfDelivery: proof, updatedAt: stamp });
+    notifyAdmins('order_delivered', { orderId, uid, methods, location: proof.location, capturedBy: proof.capturedBy });
+  } catch (wsErr) {
+    console.warn('Failed to send WebSocket notification for delivery:', wsErr);
+  }
+  publishTrackingUpdate(result.order);
+  broadcastServerLog(`📦 Order ${orderId} delivered with proof (${methods.join(', ')})`);
+
+  return { order: redactDeliveryConfirmation(result.order), proof };
+}
+
+// Stream one proof file (signature or photo) of an order to the response
+async function streamProofFile(res, order, kind) {
+  if (!PROOF_FILE_KINDS.includes(kind)) return res.status(400).json({ message: `kind must be one of: ${PROOF_FILE_KINDS.join(', ')}` });
+  const ref = order.proofOfDelivery && order.proofOfDelivery[kind];
+  if (!ref) return res.status(404).json({ message: `No ${kind} on this order` });
+
+  res.setHeader('Content-Type', ref.contentType || 'application/octet-stream');
+  res.setHeader('Cache-Control', 'private, no-store');
+  const stream = openFileStream(ref);
+  stream.on('error', (err) => {
+    console.error(`[DELIVERY] Failed to read proof ${kind}:`, err && err.message ? err.message : err);
+    if (!res.headersSent) res.status(404).json({ message: `Could not read ${kind}` });
+    else res.end();
+  });
+  stream.pipe(res);
+}
+
+// User: proof of delivery for one of their orders
+export const getMyDeliveryProof = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const snap = await orderDoc(uid, req.params.id).get();
+    if (!snap.exists) return res.status(404).json({ message: 'Order not found' });
+
+    const order = snap.data();
+    if (!order.proofOfDelivery) return res.status(404).json({ message: 'No proof of delivery yet' });
+    return res.status(200).json({ success: true, orderId: req.params.id, proofOfDelivery: order.proofOfDelivery });
+  } catch (err) {
+    console.error('getMyDeliveryProof error', err);
+    return res.status(500).json({ message: 'Could not fetch proof of delivery' });
+  }
+};
+
+// User: download the signature or photo captured at delivery
+export const getMyDeliveryProofFile = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const snap = await orderDoc(uid, req.params.id).get();
+    if (!snap.exists) return res.status(404).json({ message: 'Order not found' });
+    return streamProofFile(res, snap.data(), req.params.kind);
+  } catch (err) {
+    console.error('getMyDeliveryProofFile error', err);
+    return res.status(500).json({ message: 'Could not fetch proof file' });
+  }
+};
+
+// User: send a new confirmation code to the recipient (the old one stops working)
+export const resendDeliveryCode = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const orderRef = orderDoc(uid, req.params.id);
+    const snap = await orderRef.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Order not found' });
+
+    const order = snap.data();
+    if (['delivered', 'failed', 'cancelled'].includes(order.status)) {
+      return res.status(400).json({ message: `Order is ${order.status}` });
+    }
+    const previous = order.deliveryConfirmation || {};
+    if ((previous.resends || 0) >= MAX_CODE_RESENDS) {
+      return res.status(429).json({ message: 'Confirmation code has been resent too many times' });
+    }
+    const recipient = recipientOf(order);
+    if (!recipient.phone) return res.status(400).json({ message: 'Recipient has no phone number' });
+
+    const { code, confirmation } = issueDeliveryCode(order.id, recipient.phone);
+    confirmation.resends = (previous.resends || 0) + 1;
+    await orderRef.set({ deliveryConfirmation: confirmation }, { merge: true });
+
+    const sent = await sendDeliveryCode(order, code);
+    if (!sent) return res.status(502).json({ message: 'Could not send confirmation code. Try again shortly.' });
+
+    return res.status(200).json({ success: true, message: `Confirmation code sent to ${confirmation.sentTo}` });
+  } catch (err) {
+    console.error('resendDeliveryCode error', err);
+    return res.status(500).json({ message: 'Could not resend confirmation code' });
+  }
+};
+
+// Admin: complete a delivery on the rider's behalf, with proof
+export const adminCompleteDelivery = async (req, res) => {
+  try {
+    const { uid, orderId } = req.params;
+    if (!uid || !orderId) return res.status(400).json({ message: 'Missing uid or orderId' });
+
+    const { code, signature, photo, location, recipientName, note } = req.body || {};
+    const result = await completeDeliveryWithProof({
+      uid,
+      orderId,
+      actor: { uid: req.user?.uid, role: 'admin' },
+      code,
+      signature,
+      photo,
+      location,
+      recipientName,
+      note
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    return res.status(200).json({ success: true, message: 'Order delivered', order: result.order, proofOfDelivery: result.proof });
+  } catch (err) {
+    console.error('adminCompleteDelivery error', err);
+    return res.status(500).json({ message: 'Could not complete delivery' });
+  }
+};
+
+// Admin: proof of delivery for any order
+export const adminGetDeliveryProof = async (req, res) => {
+  try {
+    const { uid, orderId } = req.params;
+    const snap = await orderDoc(uid, orderId).get();
+    if (!snap.exists) return res.status(404).json({ message: 'Order not found' });
+
+    const order = snap.data();
+    if (!order.proofOfDelivery) return res.status(404).json({ message: 'No proof of delivery yet' });
+    return res.status(200).json({ success: true, orderId, proofOfDelivery: order.proofOfDelivery });
+  } catch (err) {
+    console.error('adminGetDeliveryProof error', err);
+    return res.status(500).json({ message: 'Could not fetch proof of delivery' });
+  }
+};
+
+// Admin: download a proof file for any order
+export const adminGetDeliveryProofFile = async (req, res) => {
+  try {
+    const { uid, orderId, kind } = req.params;
+    const snap = await orderDoc(uid, orderId).get();
+    if (!snap.exists) return res.status(404).json({ message: 'Order not found' });
+    return streamProofFile(res, snap.data(), kind);
+  } catch (err) {
+    console.error('adminGetDeliveryProofFile error', err);
+    return res.status(500).json({ message: 'Could not fetch proof file' });
+  }
+};
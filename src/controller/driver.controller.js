@@ -0,0 +1,690 @@
+import admin from '../config/firebase.js';
+import bcryptjs from 'bcryptjs';
+import crypto from 'crypto';
+import { notifyUser, notifyAdmins, broadcastServerLog } from './payment.controller.js';
+import { getActiveTariff } from './tariff.controller.js';
+import { transitionOrderStatus } from './orderStatus.controller.js';
+import { publishTrackingUpdate } from './tracking.controller.js';
+import { completeDeliveryWithProof } from './delivery.controller.js';
+import { invalidateDriverCache } from './driverLocation.controller.js';
+import { continueAutoDispatch } from '../jobs/dispatch.job.js';
+
+// Riders authenticate like everyone else (users/{uid} with a sess_ token, role 'driver');
+// their operational state (vehicle, approval, availability, current job) lives in drivers/{uid}.
+const driversCollection = () => admin.firestore().collection('drivers');
+
+// Statuses a driver may move their own job to; 'delivered' needs proof via /jobs/:orderId/deliver
+const DRIVER_STATUS_STEPS = ['picked_up', 'in_transit', 'failed'];
+const ACTIVE_JOB_STATUSES = ['assigned', 'picked_up', 'in_transit'];
+// How a pay-on-delivery customer settled with the rider
+const COD_COLLECTION_METHODS = ['cash', 'transfer'];
+
+const sanitize = (value, max = 128) => (typeof value === 'string' ? value.trim().slice(0, max) : '');
+
+const clientIpOf = (req) => req.headers['x-forwarded-for']?.split(',')[0].trim() ||
+  req.socket?.remoteAddress ||
+  'unknown';
+
+// Public shape of a driver profile
+function toDriverProfile(driver) {
+  return {
+    uid: driver.uid,
+    fullName: driver.fullName,
+    phone: driver.phone,
+    email: driver.email,
+    vehicleType: driver.vehicleType,
+    plateNumber: driver.plateNumber,
+    approved: driver.approved === true,
+    active: driver.active !== false,
+    online: driver.online === true,
+    activeOrderId: driver.activeOrderId || null,
+    rating: driver.rating ? { average: driver.rating.average, count: driver.rating.count } : null,
+    lastSeenAt: driver.lastSeenAt || null,
+    createdAt: driver.createdAt || null
+  };
+}
+
+// What a rider sees of an order: addresses and contacts, no prices or delivery code
+function toDriverJob(order) {
+  const meta = order.metadata || {};
+  return {
+    id: order.id,
+    uid: order.uid,
+    status: order.status,
+    trackingCode: order.trackingCode || null,
+    vehicleType: meta.vehicleType || null,
+    pickup: meta.pickup || null,
+    destination: meta.destination || null,
+    contact: meta.contact || null,
+    pickupTime: meta.pickupTime || null,
+    distance: meta.distance || null,
+    coordinates: meta.coordinates || null,
+    route: order.route || null,
+    items: order.items || [],
+    package: order.package || null,
+    payment: order.payment
+      ? { method: order.payment.method, status: order.payment.status, amountDue: order.payment.amountDue ?? order.total ?? null }
+      : null,
+    stops: order.stops || null,
+    scheduledFor: order.scheduledFor || null,
+    assignment: order.assignment || null,
+    createdAt: order.createdAt || null,
+    updatedAt: order.updatedAt || null
+  };
+}
+
+/**
+ * Locate an order assigned (or offered) to a driver by its id.
+ * Returns { ref, order } or null.
+ */
+// Why a driver may not take or work jobs right now, or null when they may
+function jobBlockedReason(driver) {
+  if (driver.active === false) return 'Driver account is suspended';
+  if (driver.approved !== true) return 'Your account has not been approved yet';
+  return null;
+}
+
+async function findDriverJob(driverUid, orderId) {
+  const snap = await admin.firestore().collectionGroup('orders')
+    .where('driverUid', '==', driverUid)
+    .where('id', '==', orderId)
+    .limit(1)
+    .get();
+  if (snap.empty) return null;
+  return { ref: snap.docs[0].ref, order: snap.docs[0].data() };
+}
+
+// Tell the customer, admins and tracking page about a change made by a driver
+function announceJobUpdate(order, extra = {}) {
+  try {
+    notifyUser(order.uid, 'order_status_update', {
+      orderId: order.id,
+      status: order.status,
+      driver: order.driver || null,
+      updatedAt: order.updatedAt,
+      ...extra
+    });
+    notifyAdmins('driver_job_update', { orderId: order.id, uid: order.uid, driverUid: order.driverUid || null, status: order.status, ...extra });
+  } catch (wsErr) {
+    console.warn('Failed to send WebSocket notification for driver job update:', wsErr);
+  }
+  publishTrackingUpdate(order);
+}
+
+/**
+ * Offer a pending order to a driver. The driver accepts or rejects it from the driver app.
+ * An outstanding, unexpired offer blocks new ones unless `replace` is set (admin override).
+ * Returns { order } or { error, status }.
+ */
+export async function offerOrderToDriver({ uid, orderId, driverUid, actor = {}, expiresAt = null, replace = false }) {
+  const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc(orderId);
+  const driverRef = driversCollection().doc(driverUid);
+
+  const result = await admin.firestore().runTransaction(async (t) => {
+    const [orderSnap, driverSnap] = await Promise.all([t.get(orderRef), t.get(driverRef)]);
+    if (!orderSnap.exists) return { error: 'Order not found', status: 404 };
+    if (!driverSnap.exists) return { error: 'Driver not found', status: 404 };
+
+    const order = orderSnap.data();
+    const driver = driverSnap.data();
+    if (order.status !== 'pending') return { error: `Only pending orders can be assigned (order is ${order.status})`, status: 400 };
+    if (driver.approved !== true || driver.active === false) return { error: 'Driver is not approved for jobs', status: 400 };
+    if (driver.activeOrderId) return { error: 'Driver is already on a job', status: 409 };
+
+    const now = Date.now();
+    const current = order.assignment;
+    const outstanding = current?.status === 'offered' && (!current.expiresAt || current.expiresAt > now);
+    if (outstanding && !replace) return { error: 'Order already has an outstanding offer', status: 409 };
+
+    const assignment = {
+      driverUid,
+      status: 'offered',
+      offeredAt: now,
+      expiresAt,
+      offeredBy: { uid: actor.uid || null, role: actor.role || 'system' }
+    };
+    const changes = { driverUid, assignment, updatedAt: now };
+    // An admin picking a driver takes the order out of auto-dispatch
+    if (actor.role === 'admin' && order.dispatch) changes.dispatch = { state: 'manual', updatedAt: now };
+    t.set(orderRef, changes, { merge: true });
+    return {
+      order: { ...order, ...changes, dispatch: changes.dispatch ? { ...order.dispatch, ...changes.dispatch } : order.dispatch },
+      withdrawnFrom: outstanding && current.driverUid !== driverUid ? current.driverUid : null
+    };
+  });
+  if (result.error) return result;
+
+  if (result.withdrawnFrom) notifyUser(result.withdrawnFrom, 'job_offer_withdrawn', { orderId });
+  notifyUser(driverUid, 'job_offer', { job: toDriverJob(result.order), expiresAt });
+  console.log(`[DRIVER] Order ${orderId} offered to driver ${driverUid}`);
+  return { order: result.order };
+}
+
+// ================= DRIVER AUTH =================
+
+// Public: register a driver account (must be approved by an admin before going online)
+export const registerDriver = async (req, res) => {
+  try {
+    const { fullName, email, phone, password, vehicleType, plateNumber, licenseNumber } = req.body || {};
+
+    if (!fullName || String(fullName).trim().length === 0) {
+      return res.status(400).json({ message: 'Full name is required' });
+    }
+    if (!email || !/^\S+@\S+\.\S+$/.test(email)) {
+      return res.status(400).json({ message: 'Valid email address is required' });
+    }
+    if (!phone || String(phone).trim().length < 10) {
+      return res.status(400).json({ message: 'Valid phone number is required (at least 10 digits)' });
+    }
+    if (!password || String(password).length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters long' });
+    }
+    const tariff = await getActiveTariff();
+    if (!tariff.vehicleTypes[vehicleType]) {
+      return res.status(400).json({ message: `vehicleType must be one of: ${Object.keys(tariff.vehicleTypes).join(', ')}` });
+    }
+    if (!plateNumber || String(plateNumber).trim().length < 3) {
+      return res.status(400).json({ message: 'Plate number is required' });
+    }
+
+    const phoneTaken = await admin.firestore().collection('users').where('phone', '==', phone).limit(1).get();
+    if (!phoneTaken.empty) return res.status(400).json({ message: 'Phone number is already registered' });
+
+    let user;
+    try {
+      user = await admin.auth().createUser({ email, password, phoneNumber: phone, displayName: fullName });
+    } catch (authErr) {
+      if (authErr.code === 'auth/email-already-exists') {
+        return res.status(400).json({ message: 'Email address is already registered' });
+      }
+      if (authErr.code === 'auth/invalid-email' || authErr.code === 'auth/invalid-phone-number') {
+        return res.status(400).json({ message: 'Invalid email or phone number' });
+      }
+      throw authErr;
+    }
+
+    const now = Date.now();
+    const passwordHash = await bcryptjs.hash(password, 10);
+    const profile = {
+      uid: user.uid,
+      fullName: fullName.trim(),
+      email: email.toLowerCase(),
+      phone,
+      vehicleType,
+      plateNumber: sanitize(plateNumber, 20).toUpperCase(),
+      licenseNumber: sanitize(licenseNumber, 40),
+      approved: false,
+      active: true,
+      online: false,
+      activeOrderId: null,
+      createdAt: now
+    };
+
+    const batch = admin.firestore().batch();
+    batch.set(admin.firestore().doc(`users/${user.uid}`), {
+      uid: user.uid,
+      fullName: profile.fullName,
+      email: profile.email,
+      phone,
+      passwordHash,
+      registeredIp: clientIpOf(req),
+      createdAt: now,
+      role: 'driver',
+      isAdmin: false,
+      isVerified: false
+    }, { merge: true });
+    batch.set(driversCollection().doc(user.uid), profile);
+    await batch.commit();
+
+    console.log(`✓ [DRIVER] New driver registered: ${profile.email} (${vehicleType})`);
+    broadcastServerLog(`🛵 New driver registration awaiting approval: ${profile.fullName}`);
+    notifyAdmins('driver_registered', { uid: user.uid, fullName: profile.fullName, vehicleType });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Registration received. You can go online once an admin approves your account.',
+      driver: toDriverProfile(profile)
+    });
+  } catch (err) {
+    console.error('registerDriver error', err);
+    return res.status(500).json({ message: 'Could not register driver' });
+  }
+};
+
+// Public: driver login with phone and password, returns a session token
+export const driverLogin = async (req, res) => {
+  try {
+    const { phone, password } = req.body || {};
+    if (!phone || !password) return res.status(400).json({ message: 'Phone and password are required' });
+
+    const qSnap = await admin.firestore().collection('users').where('phone', '==', phone).limit(1).get();
+    if (qSnap.empty) return res.status(401).json({ message: 'Invalid phone number or password' });
+
+    const userDoc = qSnap.docs[0];
+    const userData = userDoc.data();
+    const uid = userDoc.id;
+    const passwordMatch = userData.passwordHash ? await bcryptjs.compare(password, userData.passwordHash) : false;
+    if (!passwordMatch || userData.role !== 'driver') {
+      console.warn(`[DRIVER LOGIN] Failed login attempt for ${uid}`);
+      return res.status(401).json({ message: 'Invalid phone number or password' });
+    }
+
+    const driverSnap = await driversCollection().doc(uid).get();
+    if (!driverSnap.exists) return res.status(403).json({ message: 'Driver profile not found' });
+    const driver = driverSnap.data();
+    if (driver.active === false) return res.status(403).json({ message: 'Driver account is suspended' });
+
+    const sessionToken = `sess_${Date.now().toString(36)}-${crypto.randomBytes(8).toString('hex')}`;
+    await admin.firestore().doc(`users/${uid}`).set({
+      currentSession: sessionToken,
+      sessionIssuedAt: Date.now(),
+      lastLoginIp: clientIpOf(req),
+      lastLoginAt: Date.now()
+    }, { merge: true });
+
+    console.log(`✓ [DRIVER LOGIN] Driver ${uid} logged in`);
+    return res.status(200).json({
+      success: true,
+      message: 'Login successful',
+      uid,
+      sessionToken,
+      role: 'driver',
+      driver: toDriverProfile(driver)
+    });
+  } catch (err) {
+    console.error('driverLogin error', err);
+    return res.status(500).json({ message: 'Driver login failed' });
+  }
+};
+
+// ================= DRIVER SELF-SERVICE =================
+
+// Driver: own profile
+export const getDriverProfile = async (req, res) => {
+  try {
+    const snap = await driversCollection().doc(req.user.uid).get();
+    if (!snap.exists) return res.status(404).json({ message: 'Driver profile not found' });
+    return res.status(200).json({ success: true, driver: toDriverProfile(snap.data()) });
+  } catch (err) {
+    console.error('getDriverProfile error', err);
+    return res.status(500).json({ message: 'Could not fetch driver profile' });
+  }
+};
+
+// Driver: go online or offline
+export const setDriverAvailability = async (req, res) => {
+  try {
+    const { online } = req.body || {};
+    if (typeof online !== 'boolean') return res.status(400).json({ message: 'online must be true or false' });
+
+    const ref = driversCollection().doc(req.user.uid);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Driver profile not found' });
+    const driver = snap.data();
+    if (online && driver.approved !== true) return res.status(403).json({ message: 'Your account has not been approved yet' });
+    if (online && driver.active === false) return res.status(403).json({ message: 'Driver account is suspended' });
+
+    const now = Date.now();
+    await ref.set({ online, lastSeenAt: now, updatedAt: now }, { merge: true });
+    notifyAdmins('driver_availability', { uid: req.user.uid, online, vehicleType: driver.vehicleType });
+
+    return res.status(200).json({ success: true, online });
+  } catch (err) {
+    console.error('setDriverAvailability error', err);
+    return res.status(500).json({ message: 'Could not update availability' });
+  }
+};
+
+// Driver: jobs offered or assigned to me (?scope=active|history|all)
+export const listMyJobs = async (req, res) => {
+  try {
+    const scope = ['active', 'history', 'all'].includes(req.query.scope) ? req.query.scope : 'active';
+    const snap = await admin.firestore().collectionGroup('orders')
+      .where('driverUid', '==', req.user.uid)
+      .orderBy('createdAt', 'desc')
+      .limit(100)
+      .get();
+
+    const jobs = snap.docs.map(d => d.data())
+      .filter(order => {
+        const open = order.status === 'pending' || ACTIVE_JOB_STATUSES.includes(order.status);
+        if (scope === 'active') return open;
+        if (scope === 'history') return !open;
+        return true;
+      })
+      .map(toDriverJob);
+
+    return res.status(200).json({ success: true, jobs });
+  } catch (err) {
+    console.error('listMyJobs error', err);
+    return res.status(500).json({ message: 'Could not fetch jobs' });
+  }
+};
+
+// Driver: accept an offered job
+export const acceptJob = async (req, res) => {
+  try {
+    const driverUid = req.user.uid;
+    const found = await findDriverJob(driverUid, req.params.orderId);
+    if (!found) return res.status(404).json({ message: 'Job not found' });
+
+    // Claim the driver first so two offers can't both be accepted
+    const driverRef = driversCollection().doc(driverUid);
+    const claim = await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(driverRef);
+      if (!snap.exists) return { error: 'Driver profile not found', status: 404 };
+      const current = snap.data();
+      const blocked = jobBlockedReason(current);
+      if (blocked) return { error: blocked, status: 403 };
+      if (current.activeOrderId && current.activeOrderId !== found.order.id) {
+        return { error: 'Finish your current job before accepting another', status: 409 };
+      }
+      t.set(driverRef, { activeOrderId: found.order.id, activeOrderUid: found.order.uid, updatedAt: Date.now() }, { merge: true });
+      return { driver: current, claimed: current.activeOrderId !== found.order.id };
+    });
+    if (claim.error) return res.status(claim.status).json({ message: claim.error });
+    invalidateDriverCache(driverUid);
+    const { driver } = claim;
+
+    const now = Date.now();
+    let accepted = false;
+    let result;
+    try {
+      result = await transitionOrderStatus({
+        uid: found.order.uid,
+        orderId: found.order.id,
+        to: 'assigned',
+        actor: { uid: driverUid, role: 'driver' },
+        note: `Accepted by ${driver.fullName}`,
+        precondition: (order) => {
+          if (order.driverUid !== driverUid || order.assignment?.status !== 'offered') {
+            return { error: 'This job is no longer offered to you', status: 409 };
+          }
+          if (order.assignment.expiresAt && order.assignment.expiresAt < now) {
+            return { error: 'This offer has expired', status: 409 };
+          }
+          return null;
+        },
+        updates: {
+          driver: {
+            uid: driverUid,
+            name: driver.fullName,
+            phone: driver.phone,
+            vehicleType: driver.vehicleType,
+            plateNumber: driver.plateNumber
+          },
+          assignedDriver: driver.fullName,
+          assignment: { ...found.order.assignment, status: 'accepted', respondedAt: now },
+          ...(found.order.dispatch ? { dispatch: { state: 'assigned', updatedAt: now } } : {})
+        }
+      });
+      accepted = !result.error;
+    } finally {
+      // Give the claim back unless the order became ours, including when the transition throws
+      if (!accepted && claim.claimed) {
+        await driverRef.set({ activeOrderId: null, activeOrderUid: null, updatedAt: Date.now() }, { merge: true });
+        invalidateDriverCache(driverUid);
+      }
+    }
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    announceJobUpdate({ ...result.order, driverUid });
+
+    return res.status(200).json({ success: true, job: toDriverJob(result.order) });
+  } catch (err) {
+    console.error('acceptJob error', err);
+    return res.status(500).json({ message: 'Could not accept job' });
+  }
+};
+
+// Driver: decline an offered job; it goes back to the pool for another driver
+export const rejectJob = async (req, res) => {
+  try {
+    const driverUid = req.user.uid;
+    const found = await findDriverJob(driverUid, req.params.orderId);
+    if (!found) return res.status(404).json({ message: 'Job not found' });
+
+    const reason = sanitize(req.body?.reason, 300);
+    const result = await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(found.ref);
+      if (!snap.exists) return { error: 'Job not found', status: 404 };
+      const order = snap.data();
+      if (order.driverUid !== driverUid || order.assignment?.status !== 'offered') {
+        return { error: 'This job is no longer offered to you', status: 409 };
+      }
+      const now = Date.now();
+      const changes = {
+        driverUid: null,
+        assignment: null,
+        rejectedDrivers: admin.firestore.FieldValue.arrayUnion(driverUid),
+        updatedAt: now
+      };
+      t.set(found.ref, changes, { merge: true });
+      return { order: { ...order, driverUid: null, assignment: null, updatedAt: now } };
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    notifyAdmins('job_rejected', { orderId: found.order.id, uid: found.order.uid, driverUid, reason });
+    console.log(`[DRIVER] Driver ${driverUid} rejected order ${found.order.id}`);
+    continueAutoDispatch(result.order);
+
+    return res.status(200).json({ success: true, message: 'Job declined' });
+  } catch (err) {
+    console.error('rejectJob error', err);
+    return res.status(500).json({ message: 'Could not decline job' });
+  }
+};
+
+// Driver: move an accepted job forward (picked_up → in_transit, or failed)
+export const updateJobStatus = async (req, res) => {
+  try {
+    const driverUid = req.user.uid;
+    const { status, note = '' } = req.body || {};
+    if (!DRIVER_STATUS_STEPS.includes(status)) {
+      return res.status(400).json({
+        message: `status must be one of: ${DRIVER_STATUS_STEPS.join(', ')} (use /jobs/:orderId/deliver to complete a delivery)`
+      });
+    }
+    if (status === 'failed' && !sanitize(note, 500)) {
+      return res.status(400).json({ message: 'A note explaining the failure is required' });
+    }
+
+    const driverSnap = await driversCollection().doc(driverUid).get();
+    if (!driverSnap.exists) return res.status(404).json({ message: 'Driver profile not found' });
+    const blocked = jobBlockedReason(driverSnap.data());
+    if (blocked) return res.status(403).json({ message: blocked });
+
+    const found = await findDriverJob(driverUid, req.params.orderId);
+    if (!found) return res.status(404).json({ message: 'Job not found' });
+
+    const result = await transitionOrderStatus({
+      uid: found.order.uid,
+      orderId: found.order.id,
+      to: status,
+      actor: { uid: driverUid, role: 'driver' },
+      note: sanitize(note, 500),
+      precondition: (order) => (order.driverUid === driverUid && order.assignment?.status === 'accepted'
+        ? null
+        : { error: 'This job is not assigned to you', status: 403 }),
+      updates: status === 'picked_up' ? { pickedUpAt: Date.now() } : {}
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    announceJobUpdate(result.order, note ? { note: sanitize(note, 500) } : {});
+    return res.status(200).json({ success: true, job: toDriverJob(result.order) });
+  } catch (err) {
+    console.error('updateJobStatus error', err);
+    return res.status(500).json({ message: 'Could not update job status' });
+  }
+};
+
+// Driver: record the cash or transfer collected on a pay-on-delivery job
+export const markCashCollected = async (req, res) => {
+  try {
+    const driverUid = req.user.uid;
+    const { amount, via = 'cash' } = req.body || {};
+    if (!COD_COLLECTION_METHODS.includes(via)) {
+      return res.status(400).json({ message: `via must be one of: ${COD_COLLECTION_METHODS.join(', ')}` });
+    }
+    const collected = Number(amount);
+    if (!Number.isFinite(collected) || collected <= 0) return res.status(400).json({ message: 'Collected amount is required' });
+
+    const found = await findDriverJob(driverUid, req.params.orderId);
+    if (!found) return res.status(404).json({ message: 'Job not found' });
+
+    const result = await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(found.ref);
+      const order = snap.data();
+      if (order.driverUid !== driverUid || order.assignment?.status !== 'accepted') {
+        return { error: 'This job is not assigned to you', status: 403 };
+      }
+      if (order.payment?.method !== 'cod') return { error: 'This job is not pay on delivery', status: 400 };
+      if (order.payment.status !== 'unpaid') return { error: 'Payment has already been recorded for this job', status: 400 };
+      if (!['picked_up', 'in_transit'].includes(order.status)) {
+        return { error: 'Payment can only be collected once the package is picked up', status: 400 };
+      }
+      const due = Number(order.payment.amountDue ?? order.total) || 0;
+      if (collected < due) return { error: `Collected amount is less than the ₦${due} due`, status: 400 };
+
+      // Any excess was change handed back, so the receivable is exactly what was due
+      const now = Date.now();
+      const payment = { ...order.payment, status: 'collected', collectedAmount: due, collectedVia: via, collectedAt: now, collectedBy: driverUid };
+      t.set(found.ref, { paid: true, payment, updatedAt: now }, { merge: true });
+      return { order: { ...order, paid: true, payment, updatedAt: now } };
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    const { order } = result;
+    notifyUser(order.uid, 'order_payment_confirmed', { orderId: order.id, amount: order.payment.collectedAmount, via });
+    notifyAdmins('cod_collected', { orderId: order.id, uid: order.uid, driverUid, amount: order.payment.collectedAmount, via });
+
+    return res.status(200).json({ success: true, job: toDriverJob(order) });
+  } catch (err) {
+    console.error('markCashCollected error', err);
+    return res.status(500).json({ message: 'Could not record payment' });
+  }
+};
+
+// Driver: complete a delivery with proof (recipient code, signature or photo, plus GPS)
+export const completeJob = async (req, res) => {
+  try {
+    const driverUid = req.user.uid;
+    const found = await findDriverJob(driverUid, req.params.orderId);
+    if (!found || found.order.assignment?.status !== 'accepted') {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const { code, signature, photo, location, recipientName, note } = req.body || {};
+    const result = await completeDeliveryWithProof({
+      uid: found.order.uid,
+      orderId: found.order.id,
+      actor: { uid: driverUid, role: 'driver' },
+      code,
+      signature,
+      photo,
+      location,
+      recipientName,
+      note,
+      precondition: (order) => {
+        if (order.driverUid !== driverUid) return { error: 'This job is not assigned to you', status: 403 };
+        if (order.payment?.method === 'cod' && order.payment.status === 'unpaid') {
+          return { error: 'Record the payment collected from the customer before completing this delivery', status: 400 };
+        }
+        return null;
+      }
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    return res.status(200).json({ success: true, message: 'Delivery completed', job: toDriverJob(result.order) });
+  } catch (err) {
+    console.error('completeJob error', err);
+    return res.status(500).json({ message: 'Could not complete delivery' });
+  }
+};
+
+// ================= ADMIN =================
+
+// Admin: list drivers (?online=true, ?approved=false, ?vehicleType=...)
+export const listDrivers = async (req, res) => {
+  try {
+    let query = driversCollection();
+    if (req.query.online !== undefined) query = query.where('online', '==', req.query.online === 'true');
+    if (req.query.approved !== undefined) query = query.where('approved', '==', req.query.approved === 'true');
+    if (req.query.vehicleType) query = query.where('vehicleType', '==', String(req.query.vehicleType));
+
+    const snap = await query.limit(500).get();
+    const drivers = snap.docs.map(d => toDriverProfile(d.data()));
+    return res.status(200).json({ success: true, drivers });
+  } catch (err) {
+    console.error('listDrivers error', err);
+    return res.status(500).json({ message: 'Could not list drivers' });
+  }
+};
+
+// Admin: approve, suspend or change a driver's vehicle
+export const updateDriver = async (req, res) => {
+  try {
+    const { driverId } = req.params;
+    const { approved, active, vehicleType, plateNumber } = req.body || {};
+
+    const ref = driversCollection().doc(driverId);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Driver not found' });
+
+    const updates = { updatedAt: Date.now() };
+    if (typeof approved === 'boolean') {
+      updates.approved = approved;
+      if (approved) updates.approvedAt = Date.now();
+    }
+    if (typeof active === 'boolean') updates.active = active;
+    if (vehicleType !== undefined) {
+      const tariff = await getActiveTariff();
+      if (!tariff.vehicleTypes[vehicleType]) {
+        return res.status(400).json({ message: `vehicleType must be one of: ${Object.keys(tariff.vehicleTypes).join(', ')}` });
+      }
+      updates.vehicleType = vehicleType;
+    }
+    if (plateNumber !== undefined) updates.plateNumber = sanitize(plateNumber, 20).toUpperCase();
+    // Unapproved or suspended drivers are taken offline immediately
+    if (updates.approved === false || updates.active === false) updates.online = false;
+
+    if (Object.keys(updates).length === 1) return res.status(400).json({ message: 'Nothing to update' });
+
+    await ref.set(updates, { merge: true });
+    invalidateDriverCache(driverId);
+    const driver = { ...snap.data(), ...updates };
+
+    if (typeof approved === 'boolean' || typeof active === 'boolean') {
+      notifyUser(driverId, 'driver_account_update', { approved: driver.approved === true, active: driver.active !== false });
+    }
+    broadcastServerLog(`✅ Admin updated driver ${driver.fullName} (approved=${driver.approved === true}, active=${driver.active !== false})`);
+
+    return res.status(200).json({ success: true, driver: toDriverProfile(driver) });
+  } catch (err) {
+    console.error('updateDriver error', err);
+    return res.status(500).json({ message: 'Could not update driver' });
+  }
+};
+
+// Admin: offer a pending order to a specific driver
+export const assignOrderToDriver = async (req, res) => {
+  try {
+    const { uid, orderId } = req.params;
+    const { driverId } = req.body || {};
+    if (!driverId) return res.status(400).json({ message: 'driverId is required' });
+
+    const result = await offerOrderToDriver({
+      uid,
+      orderId,
+      driverUid: driverId,
+      actor: { uid: req.user?.uid, role: 'admin' },
+      replace: true
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    return res.status(200).json({ success: true, message: 'Job offered to driver', assignment: result.order.assignment });
+  } catch (err) {
+    console.error('assignOrderToDriver error', err);
+    return res.status(500).json({ message: 'Could not assign order' });
+  }
+};
@@ -0,0 +1,176 @@
+import admin from '../config/firebase.js';
+import { notifyUser, notifyAdmins } from './payment.controller.js';
+import { refreshOrderEtaThrottled } from './eta.controller.js';
+import { calculateDistance } from '../utils/geo.js';
+
+// Drivers push GPS fixes over the WebSocket ({ event: 'driver-location', lat, lng, ... }).
+// Fixes are throttled and sanity-checked, the latest one is kept on drivers/{uid} and on the
+// active order, and each accepted fix is appended to users/{uid}/orders/{id}/trail.
+const MIN_INTERVAL_MS = Number(process.env.LOCATION_MIN_INTERVAL_MS) || 3000;
+const MAX_ACCURACY_M = Number(process.env.LOCATION_MAX_ACCURACY_M) || 200;
+const MAX_SPEED_KMH = Number(process.env.LOCATION_MAX_SPEED_KMH) || 200;
+const MAX_FIX_AGE_MS = 2 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 30 * 1000;
+const DRIVER_CACHE_TTL_MS = 15 * 1000;
+
+// Last accepted fix per driver, and a short-lived copy of the driver doc to avoid a read per fix
+const lastFixes = new Map();
+const driverCache = new Map();
+
+const trailCollection = (orderRef) => orderRef.collection('trail');
+
+async function getDriverState(driverUid) {
+  const cached = driverCache.get(driverUid);
+  if (cached && Date.now() - cached.fetchedAt < DRIVER_CACHE_TTL_MS) return cached.value;
+  const snap = await admin.firestore().collection('drivers').doc(driverUid).get();
+  const value = snap.exists ? snap.data() : null;
+  driverCache.set(driverUid, { value, fetchedAt: Date.now() });
+  return value;
+}
+
+// Validate a raw fix; returns { fix } or { error }
+function parseFix(data, now) {
+  const lat = Number(data.lat);
+  const lng = Number(data.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return { error: 'invalid_coordinates' };
+  }
+  if (lat === 0 && lng === 0) return { error: 'invalid_coordinates' };
+
+  const accuracy = data.accuracy === undefined || data.accuracy === null ? null : Number(data.accuracy);
+  if (accuracy !== null && (!Number.isFinite(accuracy) || accuracy < 0)) return { error: 'invalid_accuracy' };
+  if (accuracy !== null && accuracy > MAX_ACCURACY_M) return { error: 'low_accuracy' };
+
+  const at = data.timestamp === undefined ? now : Number(data.timestamp);
+  if (!Number.isFinite(at) || at > now + MAX_CLOCK_SKEW_MS || at < now - MAX_FIX_AGE_MS) return { error: 'stale_fix' };
+
+  const heading = Number(data.heading);
+  const speed = Number(data.speed);
+  return {
+    fix: {
+      lat,
+      lng,
+      accuracy,
+      heading: Number.isFinite(heading) && heading >= 0 && heading < 360 ? heading : null,
+      speed: Number.isFinite(speed) && speed >= 0 ? speed : null,
+      at: Math.min(at, now)
+    }
+  };
+}
+
+/**
+ * Record a GPS fix from a driver socket.
+ * Returns { accepted: true, orderId } or { accepted: false, reason }.
+ */
+export async function recordDriverLocation(driverUid, data) {
+  const now = Date.now();
+  const previous = lastFixes.get(driverUid);
+  if (previous && now - previous.receivedAt < MIN_INTERVAL_MS) return { accepted: false, reason: 'throttled' };
+
+  const parsed = parseFix(data || {}, now);
+  if (parsed.error) return { accepted: false, reason: parsed.error };
+  const { fix } = parsed;
+
+  // Reject jumps no vehicle could make (GPS glitches, spoofing)
+  if (previous) {
+    if (fix.at <= previous.fix.at) return { accepted: false, reason: 'out_of_order' };
+    const km = calculateDistance(previous.fix.lat, previous.fix.lng, fix.lat, fix.lng);
+    const hours = (fix.at - previous.fix.at) / 3600000;
+    if (km / hours > MAX_SPEED_KMH) return { accepted: false, reason: 'implausible_jump' };
+  }
+
+  const driver = await getDriverState(driverUid);
+  if (!driver) return { accepted: false, reason: 'not_a_driver' };
+  if (driver.approved !== true || driver.active === false) return { accepted: false, reason: 'driver_not_active' };
+
+  lastFixes.set(driverUid, { fix, receivedAt: now });
+
+  const db = admin.firestore();
+  const batch = db.batch();
+  batch.set(db.collection('drivers').doc(driverUid), { location: fix, lastSeenAt: now }, { merge: true });
+
+  const orderId = driver.activeOrderId || null;
+  const customerUid = driver.activeOrderUid || null;
+  if (orderId && customerUid) {
+    const orderRef = db.collection('users').doc(customerUid).collection('orders').doc(orderId);
+    batch.set(orderRef, { driverLocation: fix }, { merge: true });
+    batch.set(trailCollection(orderRef).doc(), { ...fix, driverUid });
+  }
+  await batch.commit();
+
+  const payload = { driverUid, orderId, ...fix };
+  if (customerUid) notifyUser(customerUid, 'driver_location', payload);
+  notifyAdmins('driver_location', payload);
+  if (orderId && customerUid) refreshOrderEtaThrottled(customerUid, orderId, { driverLocation: fix });
+
+  return { accepted: true, orderId };
+}
+
+// Drop the cached driver doc when their job or approval changes
+export function invalidateDriverCache(driverUid) {
+  driverCache.delete(driverUid);
+}
+
+// Called when a driver's socket closes
+export function forgetDriverLocation(driverUid) {
+  driverCache.delete(driverUid);
+  lastFixes.delete(driverUid);
+}
+
+/**
+ * Delete an order's location trail (Firestore does not cascade deletes)
+ */
+export async function deleteOrderTrail(orderRef) {
+  const snap = await trailCollection(orderRef).get();
+  if (snap.empty) return;
+  // Batches are capped at 500 writes
+  for (let i = 0; i < snap.docs.length; i += 500) {
+    const batch = admin.firestore().batch();
+    snap.docs.slice(i, i + 500).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+}
+
+async function readTrail(orderRef, limit) {
+  const snap = await trailCollection(orderRef).orderBy('at', 'asc').limit(limit).get();
+  return snap.docs.map(d => {
+    const { driverUid, ...point } = d.data();
+    return point;
+  });
+}
+
+const parseTrailLimit = (value) => Math.min(Math.max(Number(value) || 500, 1), 2000);
+
+// User: the driver's path for one of their orders
+export const getMyOrderTrail = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc(req.params.id);
+    const snap = await orderRef.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Order not found' });
+
+    const trail = await readTrail(orderRef, parseTrailLimit(req.query.limit));
+    return res.status(200).json({ success: true, orderId: req.params.id, driverLocation: snap.data().driverLocation || null, trail });
+  } catch (err) {
+    console.error('getMyOrderTrail error', err);
+    return res.status(500).json({ message: 'Could not fetch driver trail' });
+  }
+};
+
+// Admin: the driver's path for any order
+export const adminGetOrderTrail = async (req, res) => {
+  try {
+    const { uid, orderId } = req.params;
+    const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc(orderId);
+    const snap = await orderRef.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Order not found' });
+
+    const trail = await readTrail(orderRef, parseTrailLimit(req.query.limit));
+    return res.status(200).json({ success: true, orderId, driverLocation: snap.data().driverLocation || null, trail });
+  } catch (err) {
+    console.error('adminGetOrderTrail error', err);
+    return res.status(500).json({ message: 'Could not fetch driver trail' });
+  }
+};
@@ -0,0 +1,333 @@
+import admin from '../config/firebase.js';
+import { broadcastServerLog, notifyUser } from './payment.controller.js';
+import { publishTrackingUpdate } from './tracking.controller.js';
+import { calculateDistance } from '../utils/geo.js';
+import { getLocalTimeParts, matchesTimeWindow, DEFAULT_TIMEZONE } from '../utils/time.js';
+
+// ETA configuration lives in settings/eta. Travel time is straight-line distance stretched by
+// roadFactor, driven at the vehicle's average speed and slowed by the highest matching
+// time-of-day factor (rush hour > 1). order.eta is recalculated on every status change and,
+// at most every ETA_REFRESH_MS, when the assigned driver reports a new location.
+const DEFAULT_ETA_CONFIG = {
+  timezone: DEFAULT_TIMEZONE,
+  roadFactor: 1.3,
+  defaultSpeedKmh: 25,
+  vehicleSpeeds: {
+    'Motorbike (Fastest)': 30,
+    'Car (Fragile)': 25,
+    'Van (Large Items)': 22
+  },
+  pickupHandlingMinutes: 5,
+  stopHandlingMinutes: 5,
+  timeFactors: []
+};
+
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+const ETA_REFRESH_MS = Number(process.env.ETA_REFRESH_MS) || 30 * 1000;
+let configCache = { value: null, fetchedAt: 0 };
+// When each order's ETA was last refreshed, oldest first. Entries only matter for
+// ETA_REFRESH_MS, so older ones are dropped as new ones arrive, and the map is capped.
+const lastRefreshes = new Map();
+const MAX_TRACKED_REFRESHES = 5000;
+
+function markRefreshed(key, now = Date.now()) {
+  // Re-insert so the Map stays ordered by refresh time
+  lastRefreshes.delete(key);
+  lastRefreshes.set(key, now);
+  for (const [oldKey, at] of lastRefreshes) {
+    if (at > now - ETA_REFRESH_MS && lastRefreshes.size <= MAX_TRACKED_REFRESHES) break;
+    lastRefreshes.delete(oldKey);
+  }
+}
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const TERMINAL_STATUSES = ['delivered', 'failed', 'cancelled'];
+
+const etaRef = () => admin.firestore().doc('settings/eta');
+const orderRefOf = (uid, orderId) => admin.firestore().collection('users').doc(uid).collection('orders').doc(orderId);
+
+/**
+ * Get the ETA configuration (cached briefly). Internal helper used by pricing and tracking.
+ */
+export async function getEtaConfig() {
+  const now = Date.now();
+  if (configCache.value && now - configCache.fetchedAt < CONFIG_CACHE_TTL_MS) {
+    return configCache.value;
+  }
+  try {
+    const snap = await etaRef().get();
+    const value = { ...DEFAULT_ETA_CONFIG, ...(snap.exists ? snap.data() : {}) };
+    configCache = { value, fetchedAt: now };
+    return value;
+  } catch (err) {
+    console.error('[ETA] Failed to load ETA config:', err && err.message ? err.message : err);
+    return configCache.value || DEFAULT_ETA_CONFIG;
+  }
+}
+
+// Time-of-day slowdown in effect at `at`: the highest matching factor wins
+function timeFactorAt(config, at) {
+  let local;
+  try {
+    local = getLocalTimeParts(new Date(at), config.timezone || DEFAULT_ETA_CONFIG.timezone);
+  } catch (err) {
+    local = getLocalTimeParts(new Date(at), DEFAULT_ETA_CONFIG.timezone);
+  }
+  const rule = (config.timeFactors || [])
+    .filter(r => matchesTimeWindow(r, local))
+    .sort((a, b) => b.factor - a.factor)[0];
+  return rule ? rule.factor : 1;
+}
+
+/**
+ * Minutes to drive `distanceKm` in the given vehicle, starting at `at`. Straight-line
+ * distances are stretched by roadFactor; pass `road: true` for a routed road distance.
+ */
+export function estimateTravelMinutes(config, distanceKm, vehicleType, at = Date.now(), { road = false } = {}) {
+  const speed = Number(config.vehicleSpeeds?.[vehicleType]) || Number(config.defaultSpeedKmh) || DEFAULT_ETA_CONFIG.defaultSpeedKmh;
+  const roadKm = road ? distanceKm : distanceKm * (Number(config.roadFactor) || 1);
+  return Math.round((roadKm / speed) * 60 * timeFactorAt(config, at) * 10) / 10;
+}
+
+const isPoint = (p) => Boolean(p && Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lng)) && p.lat && p.lng);
+
+// Chained straight-line length of a route; null when any point is missing
+function routeKm(points) {
+  if (points.length < 2 || !points.every(isPoint)) return null;
+  let km = 0;
+  for (let i = 1; i < points.length; i++) {
+    km += calculateDistance(Number(points[i - 1].lat), Number(points[i - 1].lng), Number(points[i].lat), Number(points[i].lng));
+  }
+  return km;
+}
+
+/**
+ * Minutes from pickup to the final drop, including time at intermediate stops.
+ * `points` is the route as priced: pickup followed by one or more drops; `roadKm` is its
+ * routed road length when known.
+ */
+export function estimateTripMinutes(config, vehicleType, points, at = Date.now(), roadKm = null) {
+  const km = roadKm ?? routeKm(points);
+  if (km === null) return null;
+  const stopMinutes = Math.max(0, points.length - 2) * (Number(config.stopHandlingMinutes) || 0);
+  return Math.round(estimateTravelMinutes(config, km, vehicleType, at, { road: roadKm !== null }) + stopMinutes);
+}
+
+// Road length of the whole booked route, when it was routed and no drop has been made yet
+function bookedRoadKm(order, drops) {
+  const route = order.route;
+  if (!route || route.source === 'straight_line' || !Number.isFinite(route.distanceKm)) return null;
+  const totalDrops = Array.isArray(order.stops) && order.stops.length ? order.stops.length : 1;
+  return drops.length === totalDrops ? route.distanceKm : null;
+}
+
+function pickupOf(order) {
+  const coords = order.metadata?.coordinates || {};
+  return { lat: Number(coords.pickupLat), lng: Number(coords.pickupLng) };
+}
+
+// Drops still to be visited, in order
+function remainingDrops(order) {
+  if (Array.isArray(order.stops) && order.stops.length) {
+    const pending = order.stops.filter(st => st.status === 'pending');
+    return (pending.length ? pending : order.stops).map(st => st.coordinates);
+  }
+  const coords = order.metadata?.coordinates || {};
+  return [{ lat: Number(coords.destLat), lng: Number(coords.destLng) }];
+}
+
+const minutesFrom = (start, minutes) => start + Math.round(minutes * 60 * 1000);
+
+/**
+ * Work out pickup and drop-off ETAs for an order in its current status.
+ * `driverLocation` is the assigned driver's last fix ({ lat, lng }) when known.
+ * Returns null for finished orders.
+ */
+export async function computeOrderEta(order, { driverLocation = null, now = Date.now() } = {}) {
+  if (!order || TERMINAL_STATUSES.includes(order.status)) return null;
+
+  const config = await getEtaConfig();
+  const vehicleType = order.metadata?.vehicleType;
+  const pickup = pickupOf(order);
+  const drops = remainingDrops(order);
+  const handling = Number(config.pickupHandlingMinutes) || 0;
+
+  const eta = {
+    pickupAt: null,
+    pickupMinutes: null,
+    dropoffAt: null,
+    dropoffMinutes: null,
+    tripMinutes: estimateTripMinutes(config, vehicleType, [pickup, ...drops], now, bookedRoadKm(order, drops)),
+    basis: 'estimate',
+    computedAt: now
+  };
+
+  const driverAt = isPoint(driverLocation) ? driverLocation : null;
+
+  if (order.status === 'scheduled' && order.scheduledFor) {
+    // No driver yet: the customer's requested pickup time is the best guess
+    const trip = estimateTripMinutes(config, vehicleType, [pickup, ...drops], order.scheduledFor, bookedRoadKm(order, drops));
+    eta.pickupAt = order.scheduledFor;
+    eta.tripMinutes = trip;
+    if (trip !== null) eta.dropoffAt = minutesFrom(order.scheduledFor, handling + trip);
+    eta.basis = 'schedule';
+  } else if (['picked_up', 'in_transit'].includes(order.status)) {
+    // Package is on board: the driver (or, without a fix, the pickup point) to the remaining drops
+    const from = driverAt || pickup;
+    const remaining = estimateTripMinutes(config, vehicleType, [from, ...drops], now);
+    if (remaining !== null) {
+      eta.dropoffMinutes = Math.round(remaining);
+      eta.dropoffAt = minutesFrom(now, remaining);
+    }
+    eta.basis = driverAt ? 'driver_location' : 'estimate';
+  } else if (order.status === 'assigned' && driverAt) {
+    const toPickupKm = routeKm([driverAt, pickup]);
+    if (toPickupKm !== null) {
+      eta.pickupMinutes = Math.round(estimateTravelMinutes(config, toPickupKm, vehicleType, now));
+      eta.pickupAt = minutesFrom(now, eta.pickupMinutes);
+      if (eta.tripMinutes !== null) {
+        eta.dropoffMinutes = Math.round(eta.pickupMinutes + handling + eta.tripMinutes);
+        eta.dropoffAt = minutesFrom(now, eta.dropoffMinutes);
+      }
+      eta.basis = 'driver_location';
+    }
+  }
+
+  return eta;
+}
+
+/**
+ * Recalculate and store order.eta, then push it to the customer and tracking subscribers.
+ * Uses the assigned driver's stored location unless a fresh fix is passed in.
+ * Fire-and-forget: errors are logged, never thrown to the caller.
+ */
+export function refreshOrderEta(uid, orderId, { driverLocation = null } = {}) {
+  const key = `${uid}/${orderId}`;
+  markRefreshed(key);
+  (async () => {
+    const orderRef = orderRefOf(uid, orderId);
+    const snap = await orderRef.get();
+    if (!snap.exists) return;
+    const order = snap.data();
+
+    // The driver doc holds the assigned driver's latest fix; order.driverLocation may belong to a previous driver
+    let location = driverLocation;
+    if (!location && order.driverUid) {
+      const driverSnap = await admin.firestore().collection('drivers').doc(order.driverUid).get();
+      location = driverSnap.exists ? driverSnap.data().location || null : null;
+    }
+
+    const eta = await computeOrderEta(order, { driverLocation: location });
+    await orderRef.set({ eta }, { merge: true });
+    if (TERMINAL_STATUSES.includes(order.status)) lastRefreshes.delete(key);
+
+    notifyUser(uid, 'order_eta_update', { orderId, status: order.status, eta });
+    publishTrackingUpdate({ ...order, eta });
+  })().catch(err => console.error(`[ETA] Could not refresh ETA for order ${orderId}:`, err && err.message ? err.message : err));
+}
+
+/**
+ * refreshOrderEta for driver location updates, at most once per ETA_REFRESH_MS per order
+ */
+export function refreshOrderEtaThrottled(uid, orderId, options = {}) {
+  const last = lastRefreshes.get(`${uid}/${orderId}`) || 0;
+  if (Date.now() - last < ETA_REFRESH_MS) return;
+  refreshOrderEta(uid, orderId, options);
+}
+
+const isSpeed = (v) => Number.isFinite(v) && v >= 1 && v <= 150;
+
+// Validate and normalize the full ETA config submitted by an admin
+function validateEtaConfig(body) {
+  const out = {};
+
+  const timezone = typeof body.timezone === 'string' && body.timezone ? body.timezone : DEFAULT_ETA_CONFIG.timezone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (e) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+  out.timezone = timezone;
+
+  const roadFactor = body.roadFactor === undefined ? DEFAULT_ETA_CONFIG.roadFactor : Number(body.roadFactor);
+  if (!Number.isFinite(roadFactor) || roadFactor < 1 || roadFactor > 3) {
+    return { error: 'roadFactor must be between 1 and 3' };
+  }
+  out.roadFactor = roadFactor;
+
+  const defaultSpeedKmh = body.defaultSpeedKmh === undefined ? DEFAULT_ETA_CONFIG.defaultSpeedKmh : Number(body.defaultSpeedKmh);
+  if (!isSpeed(defaultSpeedKmh)) return { error: 'defaultSpeedKmh must be between 1 and 150' };
+  out.defaultSpeedKmh = defaultSpeedKmh;
+
+  const speeds = body.vehicleSpeeds === undefined ? DEFAULT_ETA_CONFIG.vehicleSpeeds : body.vehicleSpeeds;
+  if (!speeds || typeof speeds !== 'object' || Array.isArray(speeds)) {
+    return { error: 'vehicleSpeeds must be an object of vehicle type to km/h' };
+  }
+  out.vehicleSpeeds = {};
+  for (const [vehicleType, value] of Object.entries(speeds)) {
+    const speed = Number(value);
+    if (!isSpeed(speed)) return { error: `Speed for ${vehicleType} must be between 1 and 150 km/h` };
+    out.vehicleSpeeds[vehicleType.slice(0, 64)] = speed;
+  }
+
+  for (const field of ['pickupHandlingMinutes', 'stopHandlingMinutes']) {
+    const value = body[field] === undefined ? DEFAULT_ETA_CONFIG[field] : Number(body[field]);
+    if (!Number.isFinite(value) || value < 0 || value > 120) return { error: `${field} must be between 0 and 120` };
+    out[field] = value;
+  }
+
+  const factors = Array.isArray(body.timeFactors) ? body.timeFactors : [];
+  if (factors.length > 50) return { error: 'At most 50 time factors are allowed' };
+  out.timeFactors = [];
+  for (const rule of factors) {
+    const factor = Number(rule.factor);
+    if (!TIME_RE.test(rule.start || '') || !TIME_RE.test(rule.end || '')) {
+      return { error: 'Time factor start and end must be HH:MM (24h)' };
+    }
+    if (!Number.isFinite(factor) || factor < 0.5 || factor > 5) return { error: 'Time factor must be between 0.5 and 5' };
+    const days = Array.isArray(rule.days) ? rule.days.map(Number) : [];
+    if (!days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return { error: 'Time factor days must be weekday numbers 0 (Sunday) to 6 (Saturday)' };
+    }
+    out.timeFactors.push({
+      name: typeof rule.name === 'string' ? rule.name.trim().slice(0, 64) : '',
+      days,
+      start: rule.start,
+      end: rule.end,
+      factor
+    });
+  }
+
+  return { value: out };
+}
+
+// Admin: get ETA configuration and the time-of-day factor in effect right now
+export const getEtaSettings = async (req, res) => {
+  try {
+    const config = await getEtaConfig();
+    return res.status(200).json({ success: true, config, currentTimeFactor: timeFactorAt(config, Date.now()) });
+  } catch (err) {
+    console.error('getEtaSettings error', err);
+    return res.status(500).json({ message: 'Could not fetch ETA settings' });
+  }
+};
+
+// Admin: replace ETA configuration
+export const updateEtaSettings = async (req, res) => {
+  try {
+    const validated = validateEtaConfig(req.body || {});
+    if (validated.error) return res.status(400).json({ message: validated.error });
+
+    const config = { ...validated.value, updatedAt: Date.now(), updatedBy: req.user?.uid || null };
+    await etaRef().set(config);
+    configCache = { value: null, fetchedAt: 0 };
+
+    console.log('✓ [ETA] ETA settings updated');
+    broadcastServerLog('✅ Admin updated ETA settings');
+
+    return res.status(200).json({ success: true, config });
+  } catch (err) {
+    console.error('updateEtaSettings error', err);
+    return res.status(500).json({ message: 'Could not update ETA settings' });
+  }
+};
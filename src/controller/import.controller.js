@@ -0,0 +1,304 @@
+import admin from '../config/firebase.js';
+import { notifyUser, broadcastServerLog } from './payment.controller.js';
+import { prepareBooking, buildBookedOrder, queueOrderCreation, afterOrderCreated, loadPricingContext } from './orders.controller.js';
+import { issueDeliveryCode } from './delivery.controller.js';
+import { allocateTrackingCode } from './tracking.controller.js';
+import { parseCsv } from '../utils/csv.js';
+
+// Bulk imports live in users/{uid}/imports/{id}. Every row goes through the same validation
+// and pricing as bookDriver; the valid rows are paid for with one wallet debit and created
+// together, the rest are reported back by row number (the line in a CSV file, where the
+// header is line 1, or the position in a rows array). Imports are wallet-only and take no
+// promo codes. The upload returns at once with the import id and the work finishes in the
+// background, so clients poll GET /orders/import/:importId.
+// Each order is 3 writes (order, tracking code, history) in one batch, and a Firestore batch
+// holds at most 500 writes, so the cap can't be raised past what fits
+const WRITES_PER_ORDER = 3;
+const MAX_BATCH_WRITES = 500;
+const MAX_IMPORT_ROWS = Math.min(Number(process.env.MAX_IMPORT_ROWS) || 100, Math.floor(MAX_BATCH_WRITES / WRITES_PER_ORDER));
+// An import that has been "processing" this long is assumed dead (e.g. a restart) and stops blocking new ones
+const STALE_IMPORT_MS = 10 * 60 * 1000;
+
+const importsCollection = (uid) => admin.firestore().collection('users').doc(uid).collection('imports');
+
+const roundMoney = (v) => Math.round(v * 100) / 100;
+
+// CSV columns (and flat JSON row keys) → the bookDriver request shape.
+// A JSON row that already has a pickup object is taken as a bookDriver body as-is.
+function rowToBookingInput(row) {
+  if (row.pickup && typeof row.pickup === 'object') return row;
+
+  const hasDimensions = row.lengthCm || row.widthCm || row.heightCm;
+  const hasPackage = row.weightKg || hasDimensions || row.declaredValue || row.fragile || row.category;
+  return {
+    pickup: {
+      address: row.pickupAddress,
+      contactName: row.pickupContactName,
+      contactPhone: row.pickupContactPhone
+    },
+    destination: {
+      address: row.destinationAddress,
+      contactName: row.recipientName,
+      contactPhone: row.recipientPhone
+    },
+    coordinates: {
+      pickupLat: row.pickupLat,
+      pickupLng: row.pickupLng,
+      destLat: row.destLat,
+      destLng: row.destLng
+    },
+    pickupAddressId: row.pickupAddressId || undefined,
+    destinationAddressId: row.destinationAddressId || undefined,
+    packageDescription: row.packageDescription,
+    vehicleType: row.vehicleType || undefined,
+    pickupTime: row.pickupTime || null,
+    package: hasPackage ? {
+      weightKg: row.weightKg,
+      dimensionsCm: hasDimensions ? { length: row.lengthCm, width: row.widthCm, height: row.heightCm } : undefined,
+      declaredValue: row.declaredValue,
+      fragile: row.fragile === true || String(row.fragile).toLowerCase() === 'true' || row.fragile === '1',
+      category: row.category || undefined
+    } : null
+  };
+}
+
+// Rows from either a CSV string or a JSON array; returns { rows, rowNumbers } or { error }
+function readImportRows(body) {
+  if (typeof body.csv === 'string') {
+    const parsed = parseCsv(body.csv);
+    if (parsed.error) return { error: `Could not read CSV: ${parsed.error}` };
+    return { rows: parsed.records, rowNumbers: parsed.lines };
+  }
+  if (Array.isArray(body.rows)) {
+    if (body.rows.some(r => !r || typeof r !== 'object' || Array.isArray(r))) {
+      return { error: 'Each row must be an object' };
+    }
+    return { rows: body.rows, rowNumbers: body.rows.map((_, i) => i + 1) };
+  }
+  return { error: 'Send the orders as a csv string or a rows array' };
+}
+
+// Claim the user's single import slot; returns the new import doc or { error, status }
+async function startImport(uid, totalRows) {
+  const userRef = admin.firestore().doc(`users/${uid}`);
+  const importRef = importsCollection(uid).doc();
+  return admin.firestore().runTransaction(async (t) => {
+    const userSnap = await t.get(userRef);
+    const active = userSnap.exists ? userSnap.data().activeImport : null;
+    if (active && active.startedAt > Date.now() - STALE_IMPORT_MS) {
+      return { error: 'Another import is still being processed', status: 409, importId: active.id };
+    }
+
+    const doc = {
+      id: importRef.id,
+      uid,
+      status: 'processing',
+      totalRows,
+      validRows: 0,
+      errors: [],
+      orderIds: [],
+      totalCharged: 0,
+      createdAt: Date.now(),
+      completedAt: null
+    };
+    t.set(importRef, doc);
+    t.set(userRef, { activeImport: { id: importRef.id, startedAt: Date.now() } }, { merge: true });
+    return { doc, ref: importRef };
+  });
+}
+
+async function finishImport(uid, importRef, fields) {
+  const completedAt = Date.now();
+  await importRef.set({ ...fields, completedAt }, { merge: true });
+  await admin.firestore().doc(`users/${uid}`).set({ activeImport: null }, { merge: true });
+  notifyUser(uid, 'order_import_completed', {
+    importId: importRef.id,
+    status: fields.status,
+    validRows: fields.validRows ?? 0,
+    orderCount: (fields.orderIds || []).length,
+    errorCount: (fields.errors || []).length,
+    totalCharged: fields.totalCharged ?? 0,
+    failureReason: fields.failureReason || null
+  });
+}
+
+// Put the single debit back if the orders could not be written
+async function refundImport(uid, importId, amount) {
+  const userRef = admin.firestore().doc(`users/${uid}`);
+  await admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(userRef);
+    const balance = snap.exists && snap.data()?.wallet?.balance ? Number(snap.data().wallet.balance) : 0;
+    const txRef = userRef.collection('wallet').doc();
+    t.set(txRef, {
+      id: txRef.id,
+      uid,
+      amount,
+      type: 'credit',
+      note: `Refund for failed bulk import ${importId}`,
+      importId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    t.set(userRef, { wallet: { balance: balance + amount } }, { merge: true });
+  });
+}
+
+/**
+ * Validate, price, charge and create the orders of an import. Never throws: failures are
+ * recorded on the import doc.
+ */
+async function processImport(uid, importRef, rows, rowNumbers) {
+  const importId = importRef.id;
+  const errors = [];
+  const drafts = [];
+
+  try {
+    // Price every row against one rate card per pickup time
+    const contexts = new Map();
+    const loadContext = (scheduledFor) => {
+      const key = scheduledFor || 'now';
+      if (!contexts.has(key)) contexts.set(key, loadPricingContext(scheduledFor));
+      return contexts.get(key);
+    };
+
+    for (let i = 0; i < rows.length; i++) {
+      const prepared = await prepareBooking(uid, { ...rowToBookingInput(rows[i]), paymentMethod: 'wallet', promoCode: null, quoteId: null }, { loadContext });
+      if (!prepared.draft) {
+        const { message, suggestedVehicleType } = prepared.body || {};
+        errors.push({ row: rowNumbers[i], message: message || 'Invalid row', ...(suggestedVehicleType ? { suggestedVehicleType } : {}) });
+        continue;
+      }
+      drafts.push({ row: rowNumbers[i], draft: prepared.draft });
+    }
+
+    if (drafts.length === 0) {
+      await finishImport(uid, importRef, { status: 'failed', validRows: 0, errors, failureReason: 'No valid rows to import' });
+      return;
+    }
+
+    const totalCharged = roundMoney(drafts.reduce((sum, d) => sum + d.draft.pricing.total, 0));
+    const trackingCodes = [];
+    for (let i = 0; i < drafts.length; i++) trackingCodes.push(await allocateTrackingCode());
+    const ordersCol = admin.firestore().collection('users').doc(uid).collection('orders');
+    const orderRefs = drafts.map(() => ordersCol.doc());
+
+    // One wallet debit for the whole import
+    const userRef = admin.firestore().doc(`users/${uid}`);
+    const charge = await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(userRef);
+      const balance = snap.exists && snap.data()?.wallet?.balance ? Number(snap.data().wallet.balance) : 0;
+      if (balance < totalCharged) return { error: 'Please top up your wallet', requiredAmount: totalCharged, currentBalance: balance };
+
+      const txRef = userRef.collection('wallet').doc();
+      t.set(txRef, {
+        id: txRef.id,
+        uid,
+        amount: totalCharged,
+        type: 'debit',
+        note: `Bulk import - ${drafts.length} deliveries`,
+        importId,
+        orderIds: orderRefs.map(r => r.id),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      t.set(userRef, { wallet: { balance: balance - totalCharged } }, { merge: true });
+      return { newBalance: balance - totalCharged };
+    });
+    if (charge.error) {
+      await finishImport(uid, importRef, {
+        status: 'failed',
+        validRows: drafts.length,
+        errors,
+        failureReason: charge.error,
+        requiredAmount: charge.requiredAmount,
+        currentBalance: charge.currentBalance
+      });
+      return;
+    }
+
+    const created = [];
+    try {
+      const batch = admin.firestore().batch();
+      for (let i = 0; i < drafts.length; i++) {
+        const { draft, row } = drafts[i];
+        const orderRef = orderRefs[i];
+        const deliveryCode = draft.cleanDestination.contactPhone ? issueDeliveryCode(orderRef.id, draft.cleanDestination.contactPhone) : null;
+        const order = await buildBookedOrder(uid, draft, {
+          orderRef,
+          trackingCode: trackingCodes[i],
+          deliveryCode,
+          total: draft.pricing.total,
+          orderFields: { importId, importRow: row }
+        });
+        queueOrderCreation(batch, orderRef, order, { historyNote: `Bulk import ${importId}, row ${row}` });
+        created.push({ order, deliveryCode });
+      }
+      await batch.commit();
+    } catch (commitErr) {
+      // A failed batch writes nothing, tracking codes included (on a collision the code
+      // belongs to another order), so only the debit needs undoing
+      console.error(`[IMPORT] Creating orders for import ${importId} failed, refunding:`, commitErr && commitErr.message ? commitErr.message : commitErr);
+      await refundImport(uid, importId, totalCharged);
+      await finishImport(uid, importRef, { status: 'failed', validRows: drafts.length, errors, failureReason: 'Could not create the orders. Your wallet has been refunded.' });
+      return;
+    }
+
+    for (const { order, deliveryCode } of created) afterOrderCreated(order, deliveryCode);
+
+    await finishImport(uid, importRef, {
+      status: 'completed',
+      validRows: drafts.length,
+      errors,
+      orderIds: created.map(c => c.order.id),
+      totalCharged
+    });
+    console.log(`[IMPORT] User ${uid} imported ${created.length}/${rows.length} orders (₦${totalCharged}) in ${importId}`);
+    broadcastServerLog(`📦 Bulk import: ${created.length} orders for ₦${totalCharged} by user ${uid}`);
+  } catch (err) {
+    console.error(`[IMPORT] Import ${importId} failed:`, err && err.message ? err.message : err);
+    try {
+      await finishImport(uid, importRef, { status: 'failed', errors, failureReason: 'Import failed. Please try again.' });
+    } catch (finishErr) {
+      console.error(`[IMPORT] Could not record failure of import ${importId}:`, finishErr && finishErr.message ? finishErr.message : finishErr);
+    }
+  }
+}
+
+// Upload a batch of orders as CSV text or JSON rows
+export const importOrders = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const parsed = readImportRows(req.body || {});
+    if (parsed.error) return res.status(400).json({ message: parsed.error });
+    const { rows, rowNumbers } = parsed;
+    if (rows.length === 0) return res.status(400).json({ message: 'The import has no rows' });
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ message: `An import can have at most ${MAX_IMPORT_ROWS} rows` });
+    }
+
+    const started = await startImport(uid, rows.length);
+    if (started.error) return res.status(started.status).json({ message: started.error, importId: started.importId });
+
+    processImport(uid, started.ref, rows, rowNumbers);
+
+    return res.status(202).json({ success: true, importId: started.doc.id, import: started.doc });
+  } catch (err) {
+    console.error('importOrders error', err);
+    return res.status(500).json({ message: 'Could not start import' });
+  }
+};
+
+// Poll an import's progress and per-row errors
+export const getOrderImport = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const snap = await importsCollection(uid).doc(req.params.importId).get();
+    if (!snap.exists) return res.status(404).json({ message: 'Import not found' });
+    return res.status(200).json({ success: true, import: snap.data() });
+  } catch (err) {
+    console.error('getOrderImport error', err);
+    return res.status(500).json({ message: 'Could not fetch import' });
+  }
+};
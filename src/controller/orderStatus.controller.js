@@ -0,0 +1,158 @@
+import admin from '../config/firebase.js';
+import { invalidateDriverCache } from './driverLocation.controller.js';
+import { refreshOrderEta } from './eta.controller.js';
+
+// Allowed order lifecycle. 'scheduled' orders enter the flow when the dispatcher
+// promotes them; an assigned order can drop back to 'pending' if the driver is unassigned.
+export const ORDER_TRANSITIONS = {
+  scheduled: ['pending', 'cancelled'],
+  pending: ['assigned', 'cancelled'],
+  assigned: ['picked_up', 'pending', 'cancelled'],
+  picked_up: ['in_transit', 'failed', 'cancelled'],
+  in_transit: ['delivered', 'failed', 'cancelled'],
+  delivered: [],
+  failed: [],
+  cancelled: []
+};
+
+export const ORDER_STATUSES = Object.keys(ORDER_TRANSITIONS);
+
+/**
+ * Whether an order may move from one status to another.
+ * Orders carrying a status from before the lifecycle existed may move to any known status.
+ */
+export function canTransition(from, to) {
+  if (!ORDER_STATUSES.includes(to)) return false;
+  if (!ORDER_TRANSITIONS[from]) return true;
+  return ORDER_TRANSITIONS[from].includes(to);
+}
+
+const historyCollection = (orderRef) => orderRef.collection('history');
+
+// Statuses that end a driver's hold on an order ('pending' means the driver was unassigned)
+const DRIVER_RELEASE_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+
+/**
+ * Inside a transaction, find the driver whose active job is this order so it can be freed.
+ * Firestore needs all reads before writes, so call this before writing and pass the result to freeDriver.
+ */
+export async function readAssignedDriver(t, order, orderId) {
+  if (!order.driverUid) return null;
+  const ref = admin.firestore().collection('drivers').doc(order.driverUid);
+  const snap = await t.get(ref);
+  return snap.exists && snap.data().activeOrderId === orderId ? ref : null;
+}
+
+export function freeDriver(t, driverRef) {
+  if (!driverRef) return;
+  t.set(driverRef, { activeOrderId: null, activeOrderUid: null, updatedAt: Date.now() }, { merge: true });
+  invalidateDriverCache(driverRef.id);
+}
+
+/**
+ * Queue a history entry inside an existing transaction (or batch)
+ */
+export function appendStatusHistory(t, orderRef, { from = null, to, actor = {}, note = '' }) {
+  const ref = historyCollection(orderRef).doc();
+  t.set(ref, {
+    id: ref.id,
+    from,
+    to,
+    actor: { uid: actor.uid || null, role: actor.role || 'system' },
+    note: typeof note === 'string' ? note.trim().slice(0, 500) : '',
+    at: Date.now()
+  });
+}
+
+/**
+ * Move an order to a new status, enforcing the lifecycle and recording history.
+ * `updates` are merged into the order in the same transaction. `precondition(order)` may
+ * return { error, status } to abort (e.g. the caller is no longer the assigned driver).
+ * ETAs are recalculated once the change is committed.
+ * Returns { order, from } or { error, status }.
+ */
+export async function transitionOrderStatus({ uid, orderId, to, actor = {}, note = '', updates = {}, precondition = null }) {
+  const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc(orderId);
+
+  const result = await admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(orderRef);
+    if (!snap.exists) return { error: 'Order not found', status: 404 };
+
+    const order = snap.data();
+    if (precondition) {
+      const failed = precondition(order);
+      if (failed) return failed;
+    }
+    const from = order.status || null;
+    if (from === to) return { error: `Order is already ${to}`, status: 400 };
+    if (!canTransition(from, to)) {
+      const allowed = ORDER_TRANSITIONS[from] || [];
+      return {
+        error: allowed.length
+          ? `Cannot change status from ${from} to ${to}. Allowed: ${allowed.join(', ')}`
+          : `Order is ${from} and can no longer change status`,
+        status: 400
+      };
+    }
+
+    const driverRef = DRIVER_RELEASE_STATUSES.includes(to) ? await readAssignedDriver(t, order, orderId) : null;
+
+    const now = Date.now();
+    const changes = { ...updates, status: to, updatedAt: now, statusUpdatedAt: now };
+    if (to === 'pending' && order.driverUid) {
+      // Unassigned: the order goes back to the pool without a driver
+      Object.assign(changes, { driverUid: null, driver: null, assignment: null });
+    }
+    if (to === 'failed' && order.payment?.method === 'cod' && order.payment.status === 'unpaid') {
+      // Nothing was handed over, so nothing is owed any more
+      changes.payment = { ...order.payment, ...(updates.payment || {}), status: 'void' };
+    }
+    t.set(orderRef, changes, { merge: true });
+    appendStatusHistory(t, orderRef, { from, to, actor, note });
+    freeDriver(t, driverRef);
+
+    return { order: { ...order, ...changes }, from };
+  });
+
+  if (!result.error) refreshOrderEta(uid, orderId);
+  return result;
+}
+
+/**
+ * Delete an order's history subcollection (Firestore does not cascade deletes)
+ */
+export async function deleteOrderHistory(orderRef) {
+  const snap = await historyCollection(orderRef).get();
+  if (snap.empty) return;
+  const batch = admin.firestore().batch();
+  snap.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+}
+
+// Status timeline for one of the authenticated user's orders
+export const getOrderTimeline = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const { id } = req.params;
+    if (!id) return res.status(400).json({ message: 'Order ID is required' });
+
+    const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc(id);
+    const orderSnap = await orderRef.get();
+    if (!orderSnap.exists) return res.status(404).json({ message: 'Order not found' });
+
+    const snap = await historyCollection(orderRef).orderBy('at', 'asc').limit(200).get();
+    const timeline = snap.docs.map(d => d.data());
+
+    return res.status(200).json({
+      success: true,
+      orderId: id,
+      status: orderSnap.data().status,
+      timeline
+    });
+  } catch (err) {
+    console.error('getOrderTimeline error', err);
+    return res.status(500).json({ message: 'Could not fetch order timeline' });
+  }
+};
@@ -1,72 +1,428 @@
 import admin from '../config/firebase.js';
-import { broadcastServerLog } from './payment.controller.js';
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { broadcastServerLog, notifyUser, createOpayCheckout } from './payment.controller.js';
+import { getActiveTariff, vehicleCapacity, checkPackageFit, suggestVehicleType, packageSurcharges } from './tariff.controller.js';
+import { getActiveZones, resolveZone, getOutOfZoneRules, summarizeZone, zonesViewbox } from './zones.controller.js';
+import { computeSurge } from './surge.controller.js';
+import { getEtaConfig, estimateTripMinutes, computeOrderEta } from './eta.controller.js';
+import { previewPromo, readPromoForRedemption, evaluatePromo, recordRedemption, reverseRedemption } from './promo.controller.js';
+import { resolveSavedAddresses } from './addresses.controller.js';
+import { ratingDeadline } from './ratings.controller.js';
+import { calculateDistance } from '../utils/geo.js';
+import { searchPlaces, reversePlace } from '../utils/geocoder.js';
+import { getRoute } from '../utils/routing.js';
+import { getLocalTimeParts, toMinutes } from '../utils/time.js';
+import { generateTransactionId } from '../utils/paymentCrypto.js';
+import { appendStatusHistory, deleteOrderHistory, readAssignedDriver, freeDriver } from './orderStatus.controller.js';
+import { deleteOrderTrail } from './driverLocation.controller.js';
+import { startAutoDispatch } from '../jobs/dispatch.job.js';
+import { issueDeliveryCode, sendDeliveryCode, redactDeliveryConfirmation } from './delivery.controller.js';
+import { allocateTrackingCode, registerTrackingCode, releaseTrackingCode, publishTrackingUpdate } from './tracking.controller.js';
 
 // basic sanitizers and validators
 const sanitizeString = (v, max = 1000) => (typeof v === 'string' ? v.trim().slice(0, max) : '');
 const sanitizePhone = (v) => (typeof v === 'string' ? v.trim().replace(/[^+0-9]/g, '') : '');
 
-// Vehicle pricing configuration
-const VEHICLE_TYPES = {
-  'Motorbike (Fastest)': {
-    basePrice: 1500,
-    perKmRate: 500,
-    description: 'Fastest delivery option'
-  },
-  'Car (Fragile)': {
-    basePrice: 3500,
-    perKmRate: 1000,
-    description: 'Suitable for fragile items'
+// Quotes are signed JWTs so bookDriver can trust the quoted price without storing it
+const QUOTE_TTL_SECONDS = 10 * 60;
+
+// Normalize the coordinates object sent by the client into pickup/destination points
+const parseCoordinates = (coordinates = {}) => ({
+  pickup: {
+    lat: coordinates.pickupLat ? Number(coordinates.pickupLat) : null,
+    lng: coordinates.pickupLng ? Number(coordinates.pickupLng) : null
   },
-  'Van (Large Items)': {
-    basePrice: 4000,
-    perKmRate: 2000,
-    description: 'For large and bulky items'
+  destination: {
+    lat: coordinates.destLat ? Number(coordinates.destLat) : null,
+    lng: coordinates.destLng ? Number(coordinates.destLng) : null
   }
+});
+
+const hasCoordinates = (point) => Boolean(point && point.lat && point.lng);
+
+// Multi-stop bookings: one pickup followed by an ordered list of drops
+const MAX_STOPS = 10;
+
+const parseStopCoordinates = (stop = {}) => {
+  const c = stop.coordinates || stop;
+  return {
+    lat: c.lat ? Number(c.lat) : null,
+    lng: c.lng ? Number(c.lng) : null
+  };
 };
 
-// Abeokuta area coordinates (approximate center)
-const ABEOKUTA_CENTER = {
-  lat: 7.1475,
-  lng: 3.3619
+// Validate and sanitize the stops array; returns { stops } (null when not a multi-stop booking) or { error }
+const parseStops = (stops) => {
+  if (stops === undefined || stops === null) return { stops: null };
+  if (!Array.isArray(stops) || stops.length === 0) return { error: 'Stops must be a non-empty list' };
+  if (stops.length > MAX_STOPS) return { error: `A booking can have at most ${MAX_STOPS} stops` };
+
+  const clean = [];
+  for (let i = 0; i < stops.length; i++) {
+    const stop = stops[i] || {};
+    const address = sanitizeString(stop.address || '', 1000);
+    if (!address) return { error: `Stop ${i + 1} is missing an address` };
+    clean.push({
+      index: i,
+      address,
+      contactName: sanitizeString(stop.contactName || '', 128),
+      contactPhone: sanitizePhone(stop.contactPhone || stop.phone || ''),
+      packageDescription: sanitizeString(stop.packageDescription || '', 512),
+      coordinates: parseStopCoordinates(stop),
+      status: 'pending',
+      completedAt: null
+    });
+  }
+  return { stops: clean };
 };
 
-// Calculate distance between two points using Haversine formula
-const calculateDistance = (lat1, lng1, lat2, lng2) => {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLng = (lng2 - lng1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLng / 2) * Math.sin(dLng / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
+// Structured package details: weight, L×W×H, declared value, fragility and category
+export const PACKAGE_CATEGORIES = ['documents', 'electronics', 'food', 'clothing', 'furniture', 'appliances', 'other'];
+const MAX_PACKAGE_WEIGHT_KG = 5000;
+const MAX_PACKAGE_SIDE_CM = 1000;
+const MAX_DECLARED_VALUE = 100_000_000;
+
+const optionalNumber = (v) => (v === undefined || v === null || v === '' ? null : Number(v));
+
+// Validate the package object; returns { pkg } (null when none was sent) or { error }
+const parsePackage = (input) => {
+  if (input === undefined || input === null) return { pkg: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'Package details must be an object' };
+
+  const weightKg = optionalNumber(input.weightKg);
+  if (weightKg !== null && (!Number.isFinite(weightKg) || weightKg <= 0 || weightKg > MAX_PACKAGE_WEIGHT_KG)) {
+    return { error: `Package weight must be between 0 and ${MAX_PACKAGE_WEIGHT_KG} kg` };
+  }
+
+  let dimensionsCm = null;
+  if (input.dimensionsCm !== undefined && input.dimensionsCm !== null) {
+    const d = input.dimensionsCm;
+    const sides = [d.length, d.width, d.height].map(Number);
+    if (!sides.every(s => Number.isFinite(s) && s > 0 && s <= MAX_PACKAGE_SIDE_CM)) {
+      return { error: `Package length, width and height must each be between 0 and ${MAX_PACKAGE_SIDE_CM} cm` };
+    }
+    dimensionsCm = { length: sides[0], width: sides[1], height: sides[2] };
+  }
+
+  const declaredValue = optionalNumber(input.declaredValue);
+  if (declaredValue !== null && (!Number.isFinite(declaredValue) || declaredValue < 0 || declaredValue > MAX_DECLARED_VALUE)) {
+    return { error: `Declared value must be between 0 and ${MAX_DECLARED_VALUE}` };
+  }
+
+  const category = input.category === undefined || input.category === null ? 'other' : String(input.category).toLowerCase();
+  if (!PACKAGE_CATEGORIES.includes(category)) {
+    return { error: `Package category must be one of: ${PACKAGE_CATEGORIES.join(', ')}` };
+  }
+
+  return {
+    pkg: {
+      weightKg,
+      dimensionsCm,
+      volumeL: dimensionsCm ? Math.round(dimensionsCm.length * dimensionsCm.width * dimensionsCm.height / 10) / 100 : null,
+      declaredValue,
+      fragile: input.fragile === true,
+      category
+    }
+  };
 };
 
-// Check if location is within Abeokuta area (approximate 20km radius)
-const isWithinAbeokuta = (lat, lng) => {
-  const distance = calculateDistance(lat, lng, ABEOKUTA_CENTER.lat, ABEOKUTA_CENTER.lng);
-  return distance <= 20; // 20km radius
+// How a booking is paid: debited from the wallet, by card through OPay checkout (dispatched
+// once the payment clears), or cash/transfer to the rider on delivery (tracked as a receivable)
+export const PAYMENT_METHODS = ['wallet', 'card', 'cod'];
+const COD_MAX_AMOUNT = Number(process.env.COD_MAX_AMOUNT) || 50000;
+
+const initialPayment = (method, amount, now = Date.now()) => {
+  if (method === 'cod') {
+    return { method, status: 'unpaid', amountDue: amount, collectedAmount: null, collectedVia: null, collectedAt: null, collectedBy: null, remittedAt: null };
+  }
+  if (method === 'card') return { method, status: 'awaiting_payment', amountDue: amount, transactionId: null, paidAt: null };
+  return { method, status: 'paid', amountDue: amount, paidAt: now };
 };
 
-// Calculate delivery price based on vehicle type and locations
-const calculateDeliveryPrice = (vehicleType, pickupLat, pickupLng, destLat, destLng) => {
-  const vehicle = VEHICLE_TYPES[vehicleType];
+// Ordered points the rider visits: pickup, then each stop (or the single destination)
+const routePoints = (coords, stops = null) => (
+  stops ? [coords.pickup, ...stops.map(s => s.coordinates)] : [coords.pickup, coords.destination]
+);
+
+// Scheduled bookings: allowed pickup window, how far ahead, and how early they enter dispatch
+const SERVICE_HOURS_START = process.env.SERVICE_HOURS_START || '07:00';
+const SERVICE_HOURS_END = process.env.SERVICE_HOURS_END || '21:00';
+const BOOKING_HORIZON_DAYS = Number(process.env.BOOKING_HORIZON_DAYS) || 7;
+const DISPATCH_LEAD_MINUTES = Number(process.env.SCHEDULE_DISPATCH_LEAD_MINUTES) || 30;
+
+/**
+ * Error message when a scheduled pickup falls outside service hours, else null
+ */
+export const serviceHoursError = (pickupAt) => {
+  const local = getLocalTimeParts(new Date(pickupAt));
+  if (local.minutes < toMinutes(SERVICE_HOURS_START) || local.minutes >= toMinutes(SERVICE_HOURS_END)) {
+    return `Scheduled pickups must be between ${SERVICE_HOURS_START} and ${SERVICE_HOURS_END}`;
+  }
+  return null;
+};
+
+// Work out whether a requested pickupTime makes this a scheduled booking.
+// Returns { scheduledFor, dispatchAt } (both null for immediate bookings) or { error }.
+const resolvePickupSchedule = (pickupTime, now = Date.now()) => {
+  if (pickupTime === null || pickupTime === undefined || pickupTime === '') {
+    return { scheduledFor: null, dispatchAt: null };
+  }
+
+  const pickupAt = typeof pickupTime === 'number' ? pickupTime : Date.parse(pickupTime);
+  if (!Number.isFinite(pickupAt)) return { error: 'Invalid pickup time' };
+  if (pickupAt < now - 5 * 60 * 1000) return { error: 'Pickup time cannot be in the past' };
+
+  const leadMs = DISPATCH_LEAD_MINUTES * 60 * 1000;
+  // Close enough to now that it goes straight to dispatch
+  if (pickupAt - now <= leadMs) return { scheduledFor: null, dispatchAt: null };
+
+  if (pickupAt > now + BOOKING_HORIZON_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Pickups can be scheduled at most ${BOOKING_HORIZON_DAYS} days ahead` };
+  }
+
+  const hoursError = serviceHoursError(pickupAt);
+  if (hoursError) return { error: hoursError };
+
+  return { scheduledFor: pickupAt, dispatchAt: pickupAt - leadMs };
+};
+
+// Load everything pricing depends on (rate card, service zones, surge and ETA speeds at pickup time)
+export const loadPricingContext = async (pickupAt = null) => {
+  const [tariff, zones, surge, etaConfig] = await Promise.all([
+    getActiveTariff(),
+    getActiveZones(),
+    computeSurge(pickupAt ? new Date(pickupAt) : new Date()),
+    getEtaConfig()
+  ]);
+  return { tariff, zones, surge, etaConfig, pickupAt: pickupAt || Date.now() };
+};
+
+// Build the full pricing breakdown for a delivery (shared by quotes and bookings).
+// `points` is the route: pickup followed by one or more drops, priced as chained legs.
+// A route entirely inside one zone pays that zone's flat price; anything else is priced
+// by distance under the out-of-zone rules of the zone it starts (or ends) in.
+// Each drop after the first adds the vehicle's perStopFee; heavy or bulky packages add surcharges.
+// `route` (from getRoute) supplies the road distance; without it the legs are straight lines.
+export const buildPricing = (context, vehicleType, points, pkg = null, route = null) => {
+  const { tariff, zones, surge, etaConfig, pickupAt } = context;
+  const vehicle = tariff.vehicleTypes[vehicleType];
   if (!vehicle) {
     throw new Error('Invalid vehicle type');
   }
 
-  // Check if both locations are within Abeokuta
-  const pickupInAbeokuta = isWithinAbeokuta(pickupLat, pickupLng);
-  const destInAbeokuta = isWithinAbeokuta(destLat, destLng);
+  const extraStops = Math.max(0, points.length - 2);
+  const extraStopFee = extraStops * (Number(vehicle.perStopFee) || 0);
+  const { weightSurcharge, sizeSurcharge } = packageSurcharges(vehicleType, vehicle, pkg);
+
+  const pricing = {
+    vehicleType,
+    tariffId: tariff.id,
+    tariffVersion: tariff.version,
+    basePrice: vehicle.basePrice,
+    perKmRate: vehicle.perKmRate,
+    distance: 0,
+    distanceSource: 'straight_line',
+    distancePrice: 0,
+    estimatedDurationMinutes: null,
+    stopCount: points.length - 1,
+    extraStopFee,
+    weightSurcharge,
+    sizeSurcharge,
+    pickupZone: null,
+    destinationZone: null,
+    inZone: false,
+    isWithinAbeokuta: false,
+    outOfZoneSurcharge: 0,
+    serviceable: true,
+    calculatedPrice: vehicle.basePrice + extraStopFee,
+    surgeMultiplier: 1,
+    surgeReasons: [],
+    total: vehicle.basePrice + extraStopFee
+  };
+
+  if (points.length >= 2 && points.every(hasCoordinates)) {
+    try {
+      const pointZones = points.map(p => resolveZone(p.lat, p.lng, zones));
+      const pickupZone = pointZones[0];
+      const destZone = pointZones[pointZones.length - 1];
+      pricing.pickupZone = summarizeZone(pickupZone);
+      pricing.destinationZone = summarizeZone(destZone);
+      pricing.inZone = Boolean(pickupZone && pointZones.every(z => z && z.id === pickupZone.id));
+      // Older clients still read isWithinAbeokuta
+      pricing.isWithinAbeokuta = pricing.inZone;
+
+      const roadKm = route && route.source !== 'straight_line' ? route.distanceKm : null;
+      if (roadKm !== null) {
+        pricing.distance = roadKm;
+        pricing.distanceSource = 'road';
+      } else {
+        for (let i = 1; i < points.length; i++) {
+          pricing.distance += calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+        }
+      }
+      // Pickup to final drop, not counting the wait for a driver
+      pricing.estimatedDurationMinutes = estimateTripMinutes(etaConfig, vehicleType, points, pickupAt, roadKm);
+
+      if (pricing.inZone) {
+        const flat = pickupZone.inZonePrices ? pickupZone.inZonePrices[vehicleType] : undefined;
+        pricing.calculatedPrice = (Number.isFinite(flat) ? flat : vehicle.basePrice) + extraStopFee;
+      } else {
+        const rulesZone = pickupZone || pointZones.find(Boolean) || null;
+        const rules = getOutOfZoneRules(rulesZone);
+        const onlyDefaultZone = zones.every(z => z.isDefault);
+
+        if (!rules.allowed || (!rulesZone && !onlyDefaultZone)) {
+          pricing.serviceable = false;
+          pricing.message = rulesZone
+            ? `Deliveries outside ${rulesZone.name} are not available`
+            : 'Pickup and destination are outside our service area';
+        }
 
-  if (pickupInAbeokuta && destInAbeokuta) {
-    // Both locations within Abeokuta - use base price
-    return vehicle.basePrice;
-  } else {
-    // At least one location outside Abeokuta - calculate distance-based price
-    const distance = calculateDistance(pickupLat, pickupLng, destLat, destLng);
-    const distancePrice = distance * vehicle.perKmRate;
-    return Math.max(vehicle.basePrice, distancePrice);
+        pricing.distancePrice = pricing.distance * vehicle.perKmRate * rules.perKmMultiplier;
+        pricing.outOfZoneSurcharge = rules.surcharge;
+        pricing.calculatedPrice = Math.max(vehicle.basePrice, pricing.distancePrice) + rules.surcharge + extraStopFee;
+      }
+    } catch (error) {
+      console.error('Error calculating delivery price:', error);
+      // Use default price if calculation fails
+    }
+  }
+
+  pricing.calculatedPrice += weightSurcharge + sizeSurcharge;
+
+  // Surge applies on top of the zone/distance price
+  const multiplier = surge && surge.multiplier > 1 ? surge.multiplier : 1;
+  pricing.surgeMultiplier = multiplier;
+  pricing.surgeReasons = multiplier > 1 ? surge.reasons : [];
+  pricing.total = Math.round(pricing.calculatedPrice * multiplier * 100) / 100;
+
+  return pricing;
+};
+
+// 400 body when the package is too heavy or large for the chosen vehicle, else null
+const packageFitError = (tariff, vehicleType, pkg) => {
+  const reason = checkPackageFit(vehicleType, tariff.vehicleTypes[vehicleType], pkg);
+  if (!reason) return null;
+  const suggestedVehicleType = suggestVehicleType(tariff.vehicleTypes, pkg);
+  return {
+    message: suggestedVehicleType
+      ? `${reason}. Try ${suggestedVehicleType} instead.`
+      : `${reason}, and no vehicle type can carry this package.`,
+    suggestedVehicleType
+  };
+};
+
+// Sign a short-lived quote that bookDriver can later accept
+export const signQuote = (uid, pricing, points, scheduledFor = null, pkg = null) => {
+  const quoteRef = crypto.randomUUID();
+  const quoteId = jwt.sign(
+    {
+      type: 'quote',
+      ref: quoteRef,
+      uid,
+      vehicleType: pricing.vehicleType,
+      route: points,
+      scheduledFor,
+      package: pkg,
+      pricing
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: QUOTE_TTL_SECONDS }
+  );
+  return { quoteId, quoteRef, expiresAt: Date.now() + QUOTE_TTL_SECONDS * 1000 };
+};
+
+const sameCoordinates = (a = {}, b = {}) => a.lat === b.lat && a.lng === b.lng;
+const sameRoute = (a, b) => Array.isArray(a) && Array.isArray(b) &&
+  a.length === b.length && a.every((p, i) => sameCoordinates(p, b[i]));
+
+// Verify a quote ID against the booking request; returns the quote payload or null
+export const verifyQuote = (quoteId, uid, vehicleType, points, scheduledFor = null, pkg = null) => {
+  try {
+    const decoded = jwt.verify(String(quoteId), process.env.JWT_SECRET);
+    if (decoded.type !== 'quote' || decoded.uid !== uid) return null;
+    if (decoded.vehicleType !== vehicleType) return null;
+    if (!sameRoute(decoded.route, points)) return null;
+    // Surge depends on pickup time, so a quote only covers the pickup time it was issued for
+    if ((decoded.scheduledFor ?? null) !== scheduledFor) return null;
+    // Package surcharges are part of the price, so the package must match too
+    if (JSON.stringify(decoded.package ?? null) !== JSON.stringify(pkg)) return null;
+    return decoded;
+  } catch (err) {
+    console.warn('Quote verification failed:', err && err.message ? err.message : err);
+    return null;
+  }
+};
+
+// Price a delivery without booking or charging (returns a signed quote for bookDriver)
+export const getQuote = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const resolved = await resolveSavedAddresses(uid, req.body || {});
+    if (resolved.error) return res.status(resolved.status).json({ message: resolved.error });
+
+    const {
+      vehicleType = 'Motorbike (Fastest)',
+      coordinates = {},
+      packageDescription = '',
+      pickupTime = null,
+      stops = null,
+      package: packageDetails = null,
+      promoCode = null
+    } = resolved.input;
+
+    const parsedStops = parseStops(stops);
+    if (parsedStops.error) return res.status(400).json({ message: parsedStops.error });
+
+    const parsedPackage = parsePackage(packageDetails);
+    if (parsedPackage.error) return res.status(400).json({ message: parsedPackage.error });
+    const pkg = parsedPackage.pkg;
+
+    const schedule = resolvePickupSchedule(pickupTime);
+    if (schedule.error) return res.status(400).json({ message: schedule.error });
+
+    const pricingContext = await loadPricingContext(schedule.scheduledFor);
+    if (!pricingContext.tariff.vehicleTypes[vehicleType]) {
+      return res.status(400).json({ message: 'Invalid vehicle type selected' });
+    }
+    const fit = packageFitError(pricingContext.tariff, vehicleType, pkg);
+    if (fit) return res.status(400).json(fit);
+    const suggestedVehicleType = pkg ? suggestVehicleType(pricingContext.tariff.vehicleTypes, pkg) : null;
+
+    const points = routePoints(parseCoordinates(coordinates), parsedStops.stops);
+    if (!points.every(hasCoordinates)) {
+      return res.status(400).json({ message: 'Pickup and destination coordinates are required' });
+    }
+
+    const route = await getRoute(points);
+    const pricing = buildPricing(pricingContext, vehicleType, points, pkg, route);
+    if (!pricing.serviceable) {
+      return res.status(400).json({ message: pricing.message, pricing });
+    }
+    const { quoteId, quoteRef, expiresAt } = signQuote(uid, pricing, points, schedule.scheduledFor, pkg);
+
+    // Promo discounts are only previewed here; bookDriver re-checks and redeems them
+    const promo = promoCode ? await previewPromo(promoCode, { uid, vehicleType, amount: pricing.total }) : null;
+
+    return res.status(200).json({
+      success: true,
+      quoteId,
+      quoteRef,
+      expiresAt,
+      scheduledFor: schedule.scheduledFor,
+      packageDescription: sanitizeString(packageDescription, 512),
+      package: pkg,
+      suggestedVehicleType,
+      pricing,
+      route,
+      promo
+    });
+  } catch (err) {
+    console.error('getQuote error', err);
+    return res.status(500).json({ message: 'Could not calculate quote' });
   }
 };
 
@@ -111,6 +467,7 @@ export const createOrder = async (req, res) => {
     // Cap metadata size
     if (JSON.stringify(meta).length > 8000) return res.status(400).json({ message: 'Metadata too large' });
 
+    const trackingCode = await allocateTrackingCode();
     const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc();
     const order = {
       id: orderRef.id,
@@ -118,11 +475,16 @@ export const createOrder = async (req, res) => {
       items: cleanItems,
       total: numericTotal,
       metadata: meta,
+      trackingCode,
       status: 'pending',
       createdAt: Date.now(),
     };
 
-    await orderRef.set(order);
+    const createBatch = admin.firestore().batch();
+    createBatch.set(orderRef, order);
+    registerTrackingCode(createBatch, trackingCode, uid, orderRef.id);
+    appendStatusHistory(createBatch, orderRef, { to: order.status, actor: { uid, role: 'user' }, note: 'Order created' });
+    await createBatch.commit();
 
     // Update user's lastOrderAt atomically
     try {
@@ -144,10 +506,11 @@ export const getOrders = async (req, res) => {
     if (!uid) return res.status(401).json({ message: 'Unauthorized' });
 
     const snap = await admin.firestore().collection('users').doc(uid).collection('orders').orderBy('createdAt', 'desc').limit(100).get();
-    const orders = snap.docs.map(d => ({
-      id: d.id,
-      ...d.data()
-    }));
+    const orders = snap.docs.map(d => {
+      const order = redactDeliveryConfirmation({ id: d.id, ...d.data() });
+      // Delivered orders carry their rating, or how long the customer has left to give one
+      return { ...order, rating: order.rating || null, canRateUntil: ratingDeadline(order) };
+    });
     return res.status(200).json({ success: true, orders });
   } catch (err) {
     console.error('getOrders error', err);
@@ -155,228 +518,528 @@ export const getOrders = async (req, res) => {
   }
 };
 
-// Book a driver / create a delivery request (user-facing, secure)
-export const bookDriver = async (req, res) => {
-  try {
-    const uid = req.user && req.user.uid;
-    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
-
-    // Anti-abuse: require minimal interval between bookings
-    const userRef = admin.firestore().doc(`users/${uid}`);
-    const userSnap = await userRef.get();
-    const userData = userSnap.exists ? userSnap.data() : {};
-    const lastOrderAt = Number(userData.lastOrderAt) || 0;
-    if (Date.now() - lastOrderAt < 20 * 1000) {
-      return res.status(429).json({ message: 'Too many booking requests. Please wait a moment.' });
-    }
+/**
+ * Validate and price a booking request without charging or saving anything.
+ * `loadContext(scheduledFor)` supplies the pricing context, so bulk imports can price every
+ * row against one rate card. Returns { draft } or { status, body } when the request is rejected.
+ */
+export async function prepareBooking(uid, input = {}, { loadContext = loadPricingContext } = {}) {
+  // Saved address IDs stand in for the inline pickup/destination and their coordinates
+  const resolved = await resolveSavedAddresses(uid, input);
+  if (resolved.error) return { status: resolved.status, body: { message: resolved.error } };
+
+  // Expect fields: pickup, destination (or stops), packageDescription, pickupTime, contact, vehicleType, coordinates, quoteId
+  const {
+    pickup = {},
+    destination = {},
+    packageDescription = '',
+    pickupTime = null,
+    contact = {},
+    vehicleType = 'Motorbike (Fastest)',
+    coordinates = {},
+    quoteId = null,
+    stops = null,
+    package: packageDetails = null,
+    promoCode = null,
+    paymentMethod = 'wallet'
+  } = resolved.input;
+
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    return { status: 400, body: { message: `Payment method must be one of: ${PAYMENT_METHODS.join(', ')}` } };
+  }
 
-    // Expect fields: pickup, destination, packageDescription, pickupTime, contact, vehicleType, coordinates
-    const {
-      pickup = {},
-      destination = {},
-      packageDescription = '',
-      pickupTime = null,
-      contact = {},
-      vehicleType = 'Motorbike (Fastest)',
-      coordinates = {}
-    } = req.body;
+  const parsedStops = parseStops(stops);
+  if (parsedStops.error) return { status: 400, body: { message: parsedStops.error } };
+  const cleanStops = parsedStops.stops;
 
-    // Validate vehicle type
-    if (!VEHICLE_TYPES[vehicleType]) {
-      return res.status(400).json({ message: 'Invalid vehicle type selected' });
-    }
+  const parsedPackage = parsePackage(packageDetails);
+  if (parsedPackage.error) return { status: 400, body: { message: parsedPackage.error } };
+  const packageInfo = parsedPackage.pkg;
 
-    // Validate required fields
-    const pkg = sanitizeString(packageDescription, 512);
-    if (!pkg) return res.status(400).json({ message: 'Package description is required' });
-
-    const cleanPickup = {
-      address: sanitizeString(pickup.address || pickup, 1000),
-      contactName: sanitizeString(pickup.contactName || contact.name || '', 128),
-      contactPhone: sanitizePhone(pickup.contactPhone || contact.phone || ''),
-      coordinates: {
-        lat: coordinates.pickupLat ? Number(coordinates.pickupLat) : null,
-        lng: coordinates.pickupLng ? Number(coordinates.pickupLng) : null
-      }
-    };
+  // Scheduled bookings must fall inside service hours and the booking horizon
+  const schedule = resolvePickupSchedule(pickupTime);
+  if (schedule.error) return { status: 400, body: { message: schedule.error } };
 
-    const cleanDestination = {
-      address: sanitizeString(destination.address || destination, 1000),
-      contactName: sanitizeString(destination.contactName || contact.name || '', 128),
-      contactPhone: sanitizePhone(destination.contactPhone || contact.phone || ''),
-      coordinates: {
-        lat: coordinates.destLat ? Number(coordinates.destLat) : null,
-        lng: coordinates.destLng ? Number(coordinates.destLng) : null
-      }
-    };
+  // Validate vehicle type against the rate card currently in effect
+  const pricingContext = await loadContext(schedule.scheduledFor);
+  if (!pricingContext.tariff.vehicleTypes[vehicleType]) {
+    return { status: 400, body: { message: 'Invalid vehicle type selected' } };
+  }
+  // Don't let a motorbike be booked for a fridge
+  const fit = packageFitError(pricingContext.tariff, vehicleType, packageInfo);
+  if (fit) return { status: 400, body: fit };
+
+  // Validate required fields (multi-stop bookings may describe packages per stop instead)
+  const pkg = sanitizeString(packageDescription, 512) ||
+    (cleanStops && cleanStops.every(st => st.packageDescription)
+      ? sanitizeString(cleanStops.map(st => st.packageDescription).join('; '), 512)
+      : '');
+  if (!pkg) return { status: 400, body: { message: 'Package description is required' } };
+
+  const coords = parseCoordinates(coordinates);
+
+  const cleanPickup = {
+    address: sanitizeString(pickup.address || pickup, 1000),
+    contactName: sanitizeString(pickup.contactName || contact.name || '', 128),
+    contactPhone: sanitizePhone(pickup.contactPhone || contact.phone || ''),
+    coordinates: coords.pickup
+  };
+
+  // For multi-stop bookings the final stop doubles as the destination
+  const lastStop = cleanStops ? cleanStops[cleanStops.length - 1] : null;
+  const cleanDestination = lastStop ? {
+    address: lastStop.address,
+    contactName: lastStop.contactName || sanitizeString(contact.name || '', 128),
+    contactPhone: lastStop.contactPhone || sanitizePhone(contact.phone || ''),
+    coordinates: lastStop.coordinates
+  } : {
+    address: sanitizeString(destination.address || destination, 1000),
+    contactName: sanitizeString(destination.contactName || contact.name || '', 128),
+    contactPhone: sanitizePhone(destination.contactPhone || contact.phone || ''),
+    coordinates: coords.destination
+  };
+
+  if (!cleanPickup.address || !cleanDestination.address) {
+    return { status: 400, body: { message: 'Pickup and destination addresses are required' } };
+  }
 
-    if (!cleanPickup.address || !cleanDestination.address) {
-      return res.status(400).json({ message: 'Pickup and destination addresses are required' });
+  // Calculate delivery price, honouring a previously issued quote when provided
+  const points = routePoints(coords, cleanStops);
+  // Routed even for quoted bookings: the order keeps the polyline for the map
+  const route = await getRoute(points);
+  let pricing;
+  let quoteRef = null;
+  if (quoteId) {
+    const quote = verifyQuote(quoteId, uid, vehicleType, points, schedule.scheduledFor, packageInfo);
+    if (!quote) {
+      return { status: 400, body: { message: 'Quote is invalid or has expired. Please request a new quote.' } };
     }
+    pricing = quote.pricing;
+    quoteRef = quote.ref;
+  } else {
+    pricing = buildPricing(pricingContext, vehicleType, points, packageInfo, route);
+  }
 
-    // Calculate delivery price
-    let deliveryPrice = VEHICLE_TYPES[vehicleType].basePrice; // Default price
-    let distance = 0;
-
-    if (cleanPickup.coordinates.lat && cleanPickup.coordinates.lng &&
-      cleanDestination.coordinates.lat && cleanDestination.coordinates.lng) {
-      try {
-        distance = calculateDistance(
-          cleanPickup.coordinates.lat, cleanPickup.coordinates.lng,
-          cleanDestination.coordinates.lat, cleanDestination.coordinates.lng
-        );
-        deliveryPrice = calculateDeliveryPrice(
-          vehicleType,
-          cleanPickup.coordinates.lat, cleanPickup.coordinates.lng,
-          cleanDestination.coordinates.lat, cleanDestination.coordinates.lng
-        );
-      } catch (error) {
-        console.error('Error calculating delivery price:', error);
-        // Use default price if calculation fails
-      }
+  if (!pricing.serviceable) {
+    return { status: 400, body: { message: pricing.message, pricing } };
+  }
+
+  return {
+    draft: {
+      vehicleType,
+      pickupTime,
+      contact,
+      coordinates,
+      pkg,
+      packageInfo,
+      cleanStops,
+      cleanPickup,
+      cleanDestination,
+      schedule,
+      pricing,
+      route,
+      quoteRef,
+      paymentMethod,
+      promoCode
     }
+  };
+}
+
+/**
+ * The order document for a prepared booking that has been paid for (or will be, for card/COD)
+ */
+export async function buildBookedOrder(uid, draft, { orderRef, trackingCode, deliveryCode = null, total, promo = null, orderFields = {} }) {
+  const { vehicleType, pickupTime, contact, coordinates, pkg, packageInfo, cleanStops, cleanPickup, cleanDestination, schedule, pricing, route, quoteRef, paymentMethod } = draft;
+  // Scheduled bookings are held until the dispatcher promotes them to pending
+  const orderStatus = schedule.scheduledFor ? 'scheduled' : 'pending';
+  const order = {
+    id: orderRef.id,
+    uid,
+    items: cleanStops ? cleanStops.map(st => ({ name: st.packageDescription || pkg })) : [{ name: pkg }],
+    total,
+    metadata: {
+      pickup: cleanPickup,
+      destination: cleanDestination,
+      contact: {
+        name: sanitizeString(contact.name || ''),
+        phone: sanitizePhone(contact.phone || '')
+      },
+      pickupTime: schedule.scheduledFor ? new Date(schedule.scheduledFor).toISOString() : (pickupTime || null),
+      vehicleType: vehicleType,
+      distance: pricing.distance,
+      coordinates: coordinates,
+      quoteRef
+    },
+    tariffVersion: pricing.tariffVersion ?? null,
+    surgeMultiplier: pricing.surgeMultiplier || 1,
+    pricing,
+    stops: cleanStops,
+    // Polyline for drawing the booked route on the map
+    route: route ? { distanceKm: route.distanceKm, durationMinutes: route.durationMinutes, polyline: route.polyline, source: route.source } : null,
+    package: packageInfo,
+    promo,
+    trackingCode,
+    deliveryConfirmation: deliveryCode ? deliveryCode.confirmation : null,
+    status: orderStatus,
+    scheduledFor: schedule.scheduledFor,
+    dispatchAt: schedule.dispatchAt,
+    createdAt: Date.now(),
+    type: 'delivery',
+    booking: true,
+    paid: paymentMethod === 'wallet',
+    payment: initialPayment(paymentMethod, total),
+    ...orderFields,
+  };
+  order.eta = await computeOrderEta(order);
+  return order;
+}
+
+// Queue a new order, its tracking code and first history entry on a batch
+export function queueOrderCreation(batch, orderRef, order, { actorRole = 'user', historyNote = null } = {}) {
+  batch.set(orderRef, order);
+  registerTrackingCode(batch, order.trackingCode, order.uid, order.id);
+  appendStatusHistory(batch, orderRef, {
+    to: order.status,
+    actor: { uid: order.uid, role: actorRole },
+    note: historyNote || (order.scheduledFor ? `Booked for ${new Date(order.scheduledFor).toISOString()}` : 'Booking created')
+  });
+}
+
+// Post-creation side effects: recipient code SMS and auto-dispatch (card bookings wait for payment)
+export function afterOrderCreated(order, deliveryCode = null) {
+  if (deliveryCode) sendDeliveryCode(order, deliveryCode.code);
+  if (order.status === 'pending' && order.payment?.method !== 'card') startAutoDispatch(order.uid, order.id);
+}
+
+/**
+ * Validate, price, charge and create a booking for a user. Shared by the bookDriver endpoint
+ * and recurring bookings: `orderFields` are merged into the new order, `historyNote` and
+ * `actorRole` label the first history entry, and `skipRateLimit` skips the gap between
+ * bookings for ones the user did not place by hand.
+ * Returns { status, body } — the HTTP status and JSON body bookDriver responds with.
+ */
+export async function placeBooking(uid, input = {}, { skipRateLimit = false, orderFields = {}, historyNote = null, actorRole = 'user' } = {}) {
+  // Anti-abuse: require minimal interval between bookings
+  const userRef = admin.firestore().doc(`users/${uid}`);
+  const userSnap = await userRef.get();
+  const userData = userSnap.exists ? userSnap.data() : {};
+  const lastOrderAt = Number(userData.lastOrderAt) || 0;
+  if (!skipRateLimit && Date.now() - lastOrderAt < 20 * 1000) {
+    return { status: 429, body: { message: 'Too many booking requests. Please wait a moment.' } };
+  }
 
-    // Check user's wallet balance
-    const walletBalance = userData?.wallet?.balance ? Number(userData.wallet.balance) : 0;
+  const prepared = await prepareBooking(uid, input);
+  if (!prepared.draft) return prepared;
+  const draft = prepared.draft;
+  const { vehicleType, pkg, cleanDestination, pricing, paymentMethod, promoCode } = draft;
 
-    if (walletBalance < deliveryPrice) {
-      return res.status(400).json({
+  // Check the promo code up front for a clear error; it is re-checked and redeemed in the wallet transaction
+  let promoPreview = null;
+  if (promoCode) {
+    promoPreview = await previewPromo(promoCode, { uid, vehicleType, amount: pricing.total });
+    if (promoPreview.error) return { status: 400, body: { message: promoPreview.error } };
+  }
+
+  // Check user's wallet balance
+  const walletBalance = userData?.wallet?.balance ? Number(userData.wallet.balance) : 0;
+  const expectedPrice = promoPreview ? promoPreview.total : pricing.total;
+
+  if (paymentMethod === 'wallet' && walletBalance < expectedPrice) {
+    return {
+      status: 400,
+      body: {
         message: 'Please top up your wallet',
-        requiredAmount: deliveryPrice,
-        currentBalance: walletBalance
-      });
-    }
+        requiredAmount: expectedPrice,
+        currentBalance: walletBalance,
+        paymentMethods: PAYMENT_METHODS
+      }
+    };
+  }
+  // Riders can't carry change for big cash jobs
+  if (paymentMethod === 'cod' && expectedPrice > COD_MAX_AMOUNT) {
+    return { status: 400, body: { message: `Pay on delivery is only available for orders up to ₦${COD_MAX_AMOUNT}` } };
+  }
 
-    // Deduct amount from wallet and create transaction
-    let orderStatus = 'pending';
+  // Reserve the public tracking code before money moves
+  const trackingCode = await allocateTrackingCode();
+  const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc();
 
-    try {
-      await admin.firestore().runTransaction(async (transaction) => {
-        const userSnap = await transaction.get(userRef);
-        const currentData = userSnap.exists ? userSnap.data() : {};
-        const currentBalance = currentData?.wallet?.balance ? Number(currentData.wallet.balance) : 0;
+  // Deduct amount from wallet (wallet payments only) and redeem any promo
+  let charge;
+  try {
+    charge = await admin.firestore().runTransaction(async (transaction) => {
+      const userSnap = await transaction.get(userRef);
+      const redemption = promoPreview ? await readPromoForRedemption(transaction, promoPreview.code, uid) : null;
+      const currentData = userSnap.exists ? userSnap.data() : {};
+      const currentBalance = currentData?.wallet?.balance ? Number(currentData.wallet.balance) : 0;
+
+      // The promo may have hit its cap since the preview, so the discount comes from this read
+      let amount = pricing.total;
+      let discount = 0;
+      if (redemption) {
+        const check = evaluatePromo(redemption.promo, { vehicleType, amount: pricing.total, userCount: redemption.userCount });
+        if (check.error) return { error: check.error };
+        amount = check.total;
+        discount = check.discount;
+      }
 
-        if (currentBalance < deliveryPrice) {
+      if (paymentMethod === 'wallet') {
+        if (currentBalance < amount) {
           throw new Error('Insufficient funds');
         }
 
-        const newBalance = currentBalance - deliveryPrice;
+        const newBalance = currentBalance - amount;
 
         // Create wallet transaction
         const txRef = userRef.collection('wallet').doc();
         const txDoc = {
           id: txRef.id,
           uid,
-          amount: deliveryPrice,
+          amount,
           type: 'debit',
-          note: `Delivery booking - ${pkg}`,
+          note: `Delivery booking - ${pkg}` + (redemption ? ` (promo ${redemption.code}: -₦${discount})` : ''),
+          orderId: orderRef.id,
           createdAt: admin.firestore.FieldValue.serverTimestamp(),
         };
 
         // Update wallet balance and save transaction
         transaction.set(txRef, txDoc);
         transaction.set(userRef, { wallet: { balance: newBalance } }, { merge: true });
+      }
+      if (redemption) recordRedemption(transaction, redemption, { uid, orderId: orderRef.id, discount, orderTotal: pricing.total });
 
-        // Set order status to pending since payment is successful
-        orderStatus = 'pending';
-      });
-    } catch (error) {
-      console.error('Wallet transaction error:', error);
-      return res.status(400).json({ message: 'Payment failed. Please try again.' });
-    }
+      return { amount, discount, promoCode: redemption ? redemption.code : null };
+    });
+  } catch (error) {
+    console.error('Wallet transaction error:', error);
+    return { status: 400, body: { message: 'Payment failed. Please try again.' } };
+  }
+  if (charge.error) return { status: 400, body: { message: charge.error } };
 
-    const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc();
-    const order = {
-      id: orderRef.id,
-      uid,
-      items: [{ name: pkg }],
-      total: deliveryPrice,
-      metadata: {
-        pickup: cleanPickup,
-        destination: cleanDestination,
-        contact: {
-          name: sanitizeString(contact.name || ''),
-          phone: sanitizePhone(contact.phone || '')
-        },
-        pickupTime: pickupTime || null,
-        vehicleType: vehicleType,
-        distance: distance,
-        coordinates: coordinates
-      },
-      status: orderStatus,
-      createdAt: Date.now(),
-      type: 'delivery',
-      booking: true,
-      paid: true,
-    };
+  const promo = charge.promoCode ? { code: charge.promoCode, discount: charge.discount, listPrice: pricing.total } : null;
 
-    await orderRef.set(order);
+  // Recipient confirmation code for proof of delivery (only its hash is stored)
+  const deliveryCode = cleanDestination.contactPhone ? issueDeliveryCode(orderRef.id, cleanDestination.contactPhone) : null;
+  let order;
+  try {
+    order = await buildBookedOrder(uid, draft, { orderRef, trackingCode, deliveryCode, total: charge.amount, promo, orderFields });
+    const createBatch = admin.firestore().batch();
+    queueOrderCreation(createBatch, orderRef, order, { actorRole, historyNote });
+    await createBatch.commit();
+  } catch (createErr) {
+    // The money has moved but there is no order: put it back. A failed batch writes nothing,
+    // so the tracking code was never taken (and on a collision it belongs to another order).
+    console.error(`[ORDERS] Creating order ${orderRef.id} failed after payment, undoing the charge:`, createErr && createErr.message ? createErr.message : createErr);
+    await undoBookingCharge(uid, orderRef.id, { amount: paymentMethod === 'wallet' ? charge.amount : 0, promo });
+    return { status: 500, body: { message: 'Could not create delivery request. Any payment has been refunded to your wallet.' } };
+  }
 
-    try { await userRef.set({ lastOrderAt: Date.now() }, { merge: true }); } catch (e) { console.error('Failed to update user lastOrderAt', e); }
+  try { await userRef.set({ lastOrderAt: Date.now() }, { merge: true }); } catch (e) { console.error('Failed to update user lastOrderAt', e); }
+
+  afterOrderCreated(order, deliveryCode);
+
+  // Card bookings wait for the OPay webhook before a driver is looked for
+  let checkout = null;
+  if (paymentMethod === 'card') {
+    checkout = await startCardCheckout(order, userData);
+    if (!checkout.error) order.payment.transactionId = checkout.transactionId;
+  }
 
-    return res.status(201).json({
+  return {
+    status: 201,
+    body: {
       success: true,
-      order,
-      pricing: {
-        vehicleType,
-        basePrice: VEHICLE_TYPES[vehicleType].basePrice,
-        calculatedPrice: deliveryPrice,
-        distance: distance,
-        isWithinAbeokuta: cleanPickup.coordinates.lat && cleanDestination.coordinates.lat ?
-          (isWithinAbeokuta(cleanPickup.coordinates.lat, cleanPickup.coordinates.lng) &&
-            isWithinAbeokuta(cleanDestination.coordinates.lat, cleanDestination.coordinates.lng)) : false
-      }
-    });
+      order: redactDeliveryConfirmation(order),
+      pricing,
+      promo,
+      ...(checkout ? {
+        transactionId: checkout.transactionId || null,
+        opayUrl: checkout.opayUrl || null,
+        paymentError: checkout.error || null
+      } : {})
+    }
+  };
+}
+
+/**
+ * Refund a booking's wallet debit and give back its promo use when the order itself could
+ * not be created
+ */
+async function undoBookingCharge(uid, orderId, { amount, promo }) {
+  const userRef = admin.firestore().doc(`users/${uid}`);
+  await admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(userRef);
+    if (amount > 0) {
+      const balance = snap.exists && snap.data()?.wallet?.balance ? Number(snap.data().wallet.balance) : 0;
+      const txRef = userRef.collection('wallet').doc();
+      t.set(txRef, {
+        id: txRef.id,
+        uid,
+        amount,
+        type: 'credit',
+        note: `Refund for failed booking ${orderId}`,
+        orderId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      t.set(userRef, { wallet: { balance: balance + amount } }, { merge: true });
+    }
+    if (promo) reverseRedemption(t, { code: promo.code, uid, orderId, discount: promo.discount, reason: 'order_not_created' });
+  });
+}
+
+// Book a driver / create a delivery request (user-facing, secure)
+export const bookDriver = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const result = await placeBooking(uid, req.body || {});
+    return res.status(result.status).json(result.body);
   } catch (err) {
     console.error('bookDriver error', err);
     return res.status(500).json({ message: 'Could not create delivery request' });
   }
 };
 
+/**
+ * Open an OPay checkout for a card-paid order and remember its transaction on the order.
+ * Returns { transactionId, opayUrl } or { error }.
+ */
+async function startCardCheckout(order, user) {
+  try {
+    const transactionId = generateTransactionId();
+    const checkout = await createOpayCheckout({
+      transactionId,
+      uid: order.uid,
+      type: 'order_payment',
+      orderId: order.id,
+      amount: order.total,
+      status: 'pending',
+      timestamp: Date.now()
+    }, user || {}, 'Delivery Booking');
+    if (checkout.error) return checkout;
+
+    await admin.firestore().collection('users').doc(order.uid).collection('orders').doc(order.id)
+      .set({ payment: { transactionId } }, { merge: true });
+    return { transactionId, opayUrl: checkout.opayUrl };
+  } catch (err) {
+    console.error(`[ORDERS] Could not start card checkout for order ${order.id}:`, err && err.message ? err.message : err);
+    return { error: 'Could not start card payment. Please try again.' };
+  }
+}
+
+/**
+ * Settle a card-paid order once OPay confirms the payment (called from the payment webhook).
+ * Money that arrives for an order cancelled in the meantime, or for an order already paid
+ * through an earlier checkout (payment retries each open their own), is credited to the wallet.
+ */
+export async function confirmOrderCardPayment(transactionData) {
+  const { uid, orderId, amount, transactionId } = transactionData;
+  const userRef = admin.firestore().doc(`users/${uid}`);
+  const orderRef = userRef.collection('orders').doc(orderId);
+
+  const result = await admin.firestore().runTransaction(async (t) => {
+    const [orderSnap, userSnap] = await Promise.all([t.get(orderRef), t.get(userRef)]);
+    const order = orderSnap.exists ? orderSnap.data() : null;
+    // The payment that settled the order (the processing lock stops it arriving twice)
+    if (order && order.paid && order.payment?.transactionId === transactionId) return { alreadyPaid: true };
+
+    const now = Date.now();
+    t.set(admin.firestore().collection('transactions').doc(), {
+      uid,
+      type: 'payment',
+      amount,
+      orderId,
+      description: `Card payment for order ${orderId}`,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (!order || order.status === 'cancelled' || order.paid) {
+      const currentBalance = Number(userSnap.data()?.wallet?.balance) || 0;
+      const newBalance = currentBalance + amount;
+      const txRef = userRef.collection('wallet').doc();
+      t.set(txRef, {
+        id: txRef.id,
+        uid,
+        amount,
+        type: 'credit',
+        note: order && order.paid
+          ? `Duplicate card payment for order ${orderId}`
+          : `Card payment for cancelled order ${orderId}`,
+        orderId,
+        transactionId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      t.set(userRef, { wallet: { balance: newBalance } }, { merge: true });
+      return { credited: true, duplicate: Boolean(order && order.paid), newBalance };
+    }
+
+    t.set(orderRef, { paid: true, payment: { status: 'paid', paidAt: now, transactionId }, updatedAt: now }, { merge: true });
+    return { order: { ...order, paid: true } };
+  });
+
+  if (result.alreadyPaid) return;
+  if (result.credited) {
+    notifyUser(uid, 'wallet_balance_update', { newBalance: result.newBalance });
+    console.log(`[ORDERS] Card payment for ${result.duplicate ? 'already paid' : 'cancelled'} order ${orderId} credited to wallet of ${uid}`);
+    return;
+  }
+
+  notifyUser(uid, 'order_payment_confirmed', { orderId, amount });
+  if (result.order.status === 'pending') startAutoDispatch(uid, orderId);
+  console.log(`[ORDERS] Card payment confirmed for order ${orderId}`);
+}
+
+// Retry card checkout for a booking whose payment has not gone through
+export const payForOrder = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const userRef = admin.firestore().doc(`users/${uid}`);
+    const [userSnap, orderSnap] = await Promise.all([userRef.get(), userRef.collection('orders').doc(req.params.id).get()]);
+    if (!orderSnap.exists) return res.status(404).json({ message: 'Order not found' });
+
+    const order = orderSnap.data();
+    if (order.payment?.method !== 'card') return res.status(400).json({ message: 'This order is not paid by card' });
+    if (order.paid) return res.status(400).json({ message: 'Order is already paid' });
+    if (['cancelled', 'failed', 'delivered'].includes(order.status)) {
+      return res.status(400).json({ message: `Order is ${order.status} and can no longer be paid` });
+    }
+
+    const checkout = await startCardCheckout(order, userSnap.exists ? userSnap.data() : {});
+    if (checkout.error) return res.status(502).json({ message: checkout.error });
+
+    return res.status(200).json({ success: true, orderId: order.id, ...checkout });
+  } catch (err) {
+    console.error('payForOrder error', err);
+    return res.status(500).json({ message: 'Could not start payment' });
+  }
+};
+
 // Get location suggestions using OpenStreetMap Nominatim (free alternative to Google Maps)
 export const getLocationSuggestions = async (req, res) => {
   try {
-    const { query, countrycodes = 'ng', limit = 5 } = req.query;
+    const { query, countrycodes = 'ng', limit = 5, lat, lng } = req.query;
 
     if (!query || query.trim().length < 2) {
       return res.status(400).json({ message: 'Query must be at least 2 characters long' });
     }
 
-    // Use OpenStreetMap Nominatim API (free, no API key required)
-    const nominatimUrl = `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(query)}&countrycodes=${countrycodes}&limit=${limit}&addressdetails=1&extratags=1`;
-
-    const response = await fetch(nominatimUrl, {
-      headers: {
-        'User-Agent': 'ASAP-Logistics-App/1.0'
-      }
-    });
+    // Bias toward the zone the user is in (when the app sends its position), else all active zones
+    const zones = await getActiveZones();
+    const nearZone = lat !== undefined && lng !== undefined ? resolveZone(Number(lat), Number(lng), zones) : null;
+    const viewbox = zonesViewbox(nearZone ? [nearZone] : zones);
 
-    if (!response.ok) {
-      throw new Error('Failed to fetch location suggestions');
-    }
+    const places = await searchPlaces(query, { countrycodes, limit, viewbox });
 
-    const data = await response.json();
-
-    // Transform the response to a cleaner format
-    const suggestions = data.map(item => ({
-      place_id: item.place_id,
-      display_name: item.display_name,
-      address: {
-        house_number: item.address?.house_number || '',
-        road: item.address?.road || '',
-        suburb: item.address?.suburb || '',
-        city: item.address?.city || item.address?.town || item.address?.village || '',
-        state: item.address?.state || '',
-        country: item.address?.country || '',
-        postcode: item.address?.postcode || ''
-      },
-      coordinates: {
-        lat: parseFloat(item.lat),
-        lng: parseFloat(item.lon)
-      },
-      type: item.type,
-      importance: item.importance
-    }));
+    // Serviceable places first, otherwise in the geocoder's order
+    const suggestions = places
+      .map(place => {
+        const zone = resolveZone(place.coordinates.lat, place.coordinates.lng, zones);
+        return { ...place, serviceable: Boolean(zone), zone: summarizeZone(zone) };
+      })
+      .sort((a, b) => Number(b.serviceable) - Number(a.serviceable));
 
     return res.status(200).json({
       success: true,
@@ -390,17 +1053,49 @@ export const getLocationSuggestions = async (req, res) => {
   }
 };
 
-// Get vehicle types and pricing information
+// Turn a map pin into an address (same place structure as location suggestions)
+export const reverseGeocode = async (req, res) => {
+  try {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+    if (req.query.lat === undefined || req.query.lng === undefined ||
+      !Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({ message: 'Valid lat and lng are required' });
+    }
+
+    const [place, zones] = await Promise.all([reversePlace(lat, lng), getActiveZones()]);
+    // Serviceability is about the pin itself, not the (possibly snapped) address point
+    const zone = resolveZone(lat, lng, zones);
+
+    return res.status(200).json({
+      success: true,
+      place,
+      coordinates: { lat, lng },
+      serviceable: Boolean(zone),
+      zone: summarizeZone(zone)
+    });
+  } catch (error) {
+    console.error('Reverse geocode error:', error);
+    return res.status(500).json({ message: 'Could not look up this location' });
+  }
+};
+
+// Get vehicle types and pricing information from the rate card currently in effect
 export const getVehicleTypes = async (req, res) => {
   try {
-    const vehicleTypes = Object.keys(VEHICLE_TYPES).map(key => ({
+    const tariff = await getActiveTariff();
+    const vehicleTypes = Object.keys(tariff.vehicleTypes).map(key => ({
       type: key,
-      ...VEHICLE_TYPES[key]
+      ...tariff.vehicleTypes[key],
+      capacity: vehicleCapacity(key, tariff.vehicleTypes[key])
     }));
 
     return res.status(200).json({
       success: true,
-      vehicleTypes
+      vehicleTypes,
+      packageCategories: PACKAGE_CATEGORIES,
+      tariffVersion: tariff.version,
+      effectiveFrom: tariff.effectiveFrom
     });
   } catch (error) {
     console.error('Get vehicle types error:', error);
@@ -408,7 +1103,148 @@ export const getVehicleTypes = async (req, res) => {
   }
 };
 
-// Delete an order (only if it's pending and belongs to the user)
+// Cancellation policy: free within a short window after booking (or any time before a
+// scheduled order is dispatched), then a percentage fee, and no cancelling once a driver is assigned.
+const CANCEL_FREE_WINDOW_MINUTES = Number(process.env.CANCEL_FREE_WINDOW_MINUTES) || 5;
+const CANCEL_FEE_PERCENT = Number(process.env.CANCEL_FEE_PERCENT) || 20;
+const CANCELLABLE_STATUSES = ['scheduled', 'pending'];
+
+/**
+ * Work out whether an order can be cancelled right now and what the fee/refund would be.
+ * Admins may cancel any order that isn't finished yet.
+ */
+export function evaluateCancellation(order, { asAdmin = false, waiveFee = false, now = Date.now() } = {}) {
+  if (['cancelled', 'delivered', 'failed'].includes(order.status)) {
+    return { allowed: false, message: `Order is already ${order.status}` };
+  }
+  if (!asAdmin) {
+    if (order.assignedDriver) return { allowed: false, message: 'Order cannot be cancelled after a driver has been assigned' };
+    if (!CANCELLABLE_STATUSES.includes(order.status)) return { allowed: false, message: 'Order can no longer be cancelled' };
+  }
+
+  const paidAmount = order.paid ? Number(order.total) || 0 : 0;
+  const withinFreeWindow = now - (Number(order.createdAt) || 0) <= CANCEL_FREE_WINDOW_MINUTES * 60 * 1000;
+  const free = waiveFee || withinFreeWindow || order.status === 'scheduled';
+  const fee = free ? 0 : Math.round(paidAmount * CANCEL_FEE_PERCENT) / 100;
+
+  return { allowed: true, fee, refundAmount: Math.max(0, paidAmount - fee) };
+}
+
+/**
+ * Cancel an order and refund the wallet in one Firestore transaction.
+ * Internal helper shared by the user and admin cancel endpoints.
+ * Returns { order, refundAmount, fee, newBalance } or { error, status }.
+ */
+export async function cancelOrder({ uid, orderId, actorUid, asAdmin = false, waiveFee = false, reason = '' }) {
+  const userRef = admin.firestore().doc(`users/${uid}`);
+  const orderRef = userRef.collection('orders').doc(orderId);
+
+  const result = await admin.firestore().runTransaction(async (t) => {
+    const orderSnap = await t.get(orderRef);
+    if (!orderSnap.exists) return { error: 'Order not found', status: 404 };
+    const userSnap = await t.get(userRef);
+
+    const order = orderSnap.data();
+    const decision = evaluateCancellation(order, { asAdmin, waiveFee });
+    if (!decision.allowed) return { error: decision.message, status: 400 };
+    const driverRef = await readAssignedDriver(t, order, orderId);
+
+    const now = Date.now();
+    const cancellation = {
+      status: 'cancelled',
+      cancelledAt: now,
+      cancelledBy: actorUid || uid,
+      cancelledByAdmin: asAdmin,
+      cancelReason: sanitizeString(reason, 500),
+      cancellationFee: decision.fee,
+      refundAmount: decision.refundAmount,
+      eta: null,
+      updatedAt: now
+    };
+    // Nothing is owed any more on an unpaid card or pay-on-delivery booking
+    if (order.payment && !order.paid) cancellation.payment = { ...order.payment, status: 'void' };
+    t.set(orderRef, cancellation, { merge: true });
+    appendStatusHistory(t, orderRef, {
+      from: order.status,
+      to: 'cancelled',
+      actor: { uid: actorUid || uid, role: asAdmin ? 'admin' : 'user' },
+      note: cancellation.cancelReason
+    });
+    freeDriver(t, driverRef);
+    // A cancelled booking doesn't use up the promo code
+    if (order.promo && order.promo.code) {
+      reverseRedemption(t, { code: order.promo.code, uid, orderId, discount: order.promo.discount });
+    }
+
+    let newBalance = null;
+    if (decision.refundAmount > 0) {
+      const currentData = userSnap.exists ? userSnap.data() : {};
+      const currentBalance = currentData?.wallet?.balance ? Number(currentData.wallet.balance) : 0;
+      newBalance = currentBalance + decision.refundAmount;
+
+      const txRef = userRef.collection('wallet').doc();
+      t.set(txRef, {
+        id: txRef.id,
+        uid,
+        amount: decision.refundAmount,
+        type: 'credit',
+        note: `Refund for cancelled order ${orderId}` + (decision.fee > 0 ? ` (less ₦${decision.fee} cancellation fee)` : ''),
+        orderId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+      t.set(userRef, { wallet: { balance: newBalance } }, { merge: true });
+    }
+
+    return { order: { ...order, ...cancellation }, refundAmount: decision.refundAmount, fee: decision.fee, newBalance };
+  });
+
+  if (result.error) return result;
+
+  try {
+    notifyUser(uid, 'order_status_update', {
+      orderId,
+      status: 'cancelled',
+      refundAmount: result.refundAmount,
+      cancellationFee: result.fee,
+      updatedAt: result.order.updatedAt
+    });
+    if (result.newBalance !== null) notifyUser(uid, 'wallet_balance_update', { newBalance: result.newBalance });
+    if (result.order.driverUid) notifyUser(result.order.driverUid, 'job_cancelled', { orderId });
+  } catch (wsErr) {
+    console.warn('Failed to send WebSocket notification for cancellation:', wsErr);
+  }
+  publishTrackingUpdate(result.order);
+
+  console.log(`[ORDERS] Order ${orderId} for user ${uid} cancelled by ${asAdmin ? 'admin' : 'user'} ${actorUid || uid}; refunded ₦${result.refundAmount}`);
+  return result;
+}
+
+// Cancel one of the authenticated user's orders
+export const cancelMyOrder = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const { id } = req.params;
+    if (!id) return res.status(400).json({ message: 'Order ID is required' });
+
+    const result = await cancelOrder({ uid, orderId: id, actorUid: uid, reason: req.body?.reason || '' });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Order cancelled',
+      order: result.order,
+      refundAmount: result.refundAmount,
+      cancellationFee: result.fee
+    });
+  } catch (error) {
+    console.error('Cancel order error:', error);
+    return res.status(500).json({ message: 'Could not cancel order' });
+  }
+};
+
+// Delete an order (only unpaid pending orders or orders that were already cancelled)
 export const deleteOrder = async (req, res) => {
   try {
     const uid = req.user && req.user.uid;
@@ -417,7 +1253,8 @@ export const deleteOrder = async (req, res) => {
     const { id } = req.params;
     if (!id) return res.status(400).json({ message: 'Order ID is required' });
 
-    const orderRef = admin.firestore().doc(`orders/${id}`);
+    // Orders live under the owning user, so ownership is implied by the path
+    const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc(id);
     const orderSnap = await orderRef.get();
 
     if (!orderSnap.exists) {
@@ -426,18 +1263,28 @@ export const deleteOrder = async (req, res) => {
 
     const orderData = orderSnap.data();
 
-    // Check if the order belongs to the user
-    if (orderData.uid !== uid) {
-      return res.status(403).json({ message: 'You can only delete your own orders' });
+    // Paid orders must go through cancellation so the wallet is refunded
+    const deletable = orderData.status === 'cancelled' || (orderData.status === 'pending' && !orderData.paid);
+    if (!deletable) {
+      return res.status(400).json({
+        message: orderData.paid && CANCELLABLE_STATUSES.includes(orderData.status)
+          ? 'Paid orders must be cancelled first to receive a refund'
+          : 'Only pending or cancelled orders can be deleted'
+      });
     }
 
-    // Only allow deletion of pending orders
-    if (orderData.status !== 'pending') {
-      return res.status(400).json({ message: 'Only pending orders can be deleted' });
+    // An unpaid pending order is cancelled first so its card or pay-on-delivery payment is
+    // voided and any promo use given back; a card checkout paid later is credited to the wallet
+    if (orderData.status !== 'cancelled') {
+      const cancelled = await cancelOrder({ uid, orderId: id, actorUid: uid, reason: 'Deleted by customer' });
+      if (cancelled.error) return res.status(cancelled.status).json({ message: cancelled.error });
     }
 
-    // Delete the order
+    // Delete the order, its status history and its public tracking code
+    await deleteOrderHistory(orderRef);
+    await deleteOrderTrail(orderRef);
     await orderRef.delete();
+    await releaseTrackingCode(orderData.trackingCode);
 
     return res.status(200).json({
       success: true,
@@ -3,10 +3,14 @@ import opayClient, { opayPublicKey, opayMerchantId } from '../config/opay.js';
 import { generateHmac, encryptData, decryptData, generateTransactionId } from '../utils/paymentCrypto.js';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
+import { recordDriverLocation, forgetDriverLocation } from './driverLocation.controller.js';
+import { confirmOrderCardPayment } from './orders.controller.js';
 
 const db = admin.database();
 const wsClients = new Map();
 const adminSubscribers = new Set(); // Track admin clients subscribed to logs
+const trackingSubscribers = new Map(); // trackingCode -> Set of sockets watching that shipment
+const MAX_TRACKING_SUBSCRIPTIONS = 10; // per socket
 
 /* =======================================================
    BROADCAST SERVER LOGS
@@ -118,6 +122,89 @@ export function notifyAdmins(event, data) {
   });
 }
 
+export function notifyTrackingSubscribers(trackingCode, event, data) {
+  const subscribers = trackingSubscribers.get(trackingCode);
+  if (!subscribers) return;
+  subscribers.forEach(client => {
+    if (client.readyState === 1) {
+      client.send(JSON.stringify({ event, data }));
+    }
+  });
+}
+
+/* =======================================================
+   PUBLIC TRACKING SUBSCRIPTIONS
+======================================================= */
+async function subscribeTracking(ws, rawCode) {
+  const code = String(rawCode || '').trim().toUpperCase();
+  if (!/^[A-Z0-9-]{6,20}$/.test(code)) return { error: 'Invalid tracking code' };
+
+  if (!ws.trackingCodes) ws.trackingCodes = new Set();
+  if (ws.trackingCodes.has(code)) return { code };
+  if (ws.trackingCodes.size >= MAX_TRACKING_SUBSCRIPTIONS) return { error: 'Too many tracking subscriptions' };
+
+  const snap = await admin.firestore().doc(`trackingCodes/${code}`).get();
+  if (!snap.exists) return { error: 'Shipment not found' };
+
+  if (!trackingSubscribers.has(code)) trackingSubscribers.set(code, new Set());
+  trackingSubscribers.get(code).add(ws);
+  ws.trackingCodes.add(code);
+  return { code };
+}
+
+function unsubscribeTracking(ws, code) {
+  const codes = code ? [code] : Array.from(ws.trackingCodes || []);
+  codes.forEach(c => {
+    const subscribers = trackingSubscribers.get(c);
+    if (subscribers) {
+      subscribers.delete(ws);
+      if (subscribers.size === 0) trackingSubscribers.delete(c);
+    }
+    if (ws.trackingCodes) ws.trackingCodes.delete(c);
+  });
+}
+
+async function handleTrackingMessage(ws, data) {
+  if (data.event === 'subscribe-tracking') {
+    const result = await subscribeTracking(ws, data.code);
+    ws.send(JSON.stringify(result.error
+      ? { event: 'tracking_error', data: { code: data.code, message: result.error } }
+      : { event: 'tracking_subscribed', data: { code: result.code } }));
+    return true;
+  }
+  if (data.event === 'unsubscribe-tracking') {
+    unsubscribeTracking(ws, String(data.code || '').trim().toUpperCase());
+    return true;
+  }
+  return false;
+}
+
+// Anonymous socket (no login) that can only watch shipments by tracking code
+async function handleTrackingOnlyConnection(ws, code) {
+  const result = await subscribeTracking(ws, code);
+  if (result.error) {
+    ws.send(JSON.stringify({ event: 'tracking_error', data: { code, message: result.error } }));
+    return ws.close();
+  }
+
+  ws.send(JSON.stringify({ event: 'tracking_subscribed', data: { code: result.code } }));
+
+  ws.on('close', () => unsubscribeTracking(ws));
+
+  ws.on('message', async (msg) => {
+    try {
+      const data = JSON.parse(msg);
+      if (data.type === 'ping') {
+        ws.send(JSON.stringify({ type: 'pong' }));
+        return;
+      }
+      await handleTrackingMessage(ws, data);
+    } catch (err) {
+      console.error('WebSocket tracking message error:', err);
+    }
+  });
+}
+
 /* =======================================================
    TRANSACTION LOCK
 ======================================================= */
@@ -133,6 +220,49 @@ async function releaseProcessingLock(transactionId) {
   await db.ref(`processingTransactions/${transactionId}`).remove();
 }
 
+/* =======================================================
+   OPAY CHECKOUT
+   Creates the hosted cashier session and parks the transaction in
+   pendingTransactions until the webhook (or a manual confirm) settles it.
+======================================================= */
+export async function createOpayCheckout(transactionData, user, productName) {
+  const opayRequest = {
+    reference: transactionData.transactionId,
+    amount: Math.round(transactionData.amount * 100),
+    currency: 'NGN',
+    callbackUrl: `${process.env.FRONTEND_URL}/payment/callback`,
+    returnUrl: `${process.env.FRONTEND_URL}/payment/success`,
+    cancelUrl: `${process.env.FRONTEND_URL}/payment/cancel`,
+    customerName: user.name || 'User',
+    customerEmail: user.email || 'user@email.com',
+    productName
+  };
+
+  const opayResponse = await opayClient.post(
+    '/api/v1/international/cashier/create',
+    opayRequest
+  );
+
+  if (opayResponse.data.code !== '00000') return { error: 'OPay init failed' };
+
+  const paymentData = {
+    ...transactionData,
+    opayReference: opayResponse.data.data.reference,
+    opayOrderNo: opayResponse.data.data.orderNo
+  };
+
+  await admin.firestore()
+    .collection('pendingTransactions')
+    .doc(transactionData.transactionId)
+    .set({
+      data: encryptData(paymentData),
+      opayReference: paymentData.opayReference,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+  return { opayUrl: opayResponse.data.data.cashierUrl };
+}
+
 /* =======================================================
    INITIATE WALLET FUNDING
 ======================================================= */
@@ -162,45 +292,13 @@ export const initiateWalletFunding = async (req, res) => {
 
     const user = userSnap.data();
 
-    const opayRequest = {
-      reference: transactionId,
-      amount: Math.round(numericAmount * 100),
-      currency: 'NGN',
-      callbackUrl: `${process.env.FRONTEND_URL}/payment/callback`,
-      returnUrl: `${process.env.FRONTEND_URL}/payment/success`,
-      cancelUrl: `${process.env.FRONTEND_URL}/payment/cancel`,
-      customerName: user.name || 'User',
-      customerEmail: user.email || 'user@email.com',
-      productName: 'Wallet Funding'
-    };
-
-    const opayResponse = await opayClient.post(
-      '/api/v1/international/cashier/create',
-      opayRequest
-    );
-
-    if (opayResponse.data.code !== '00000')
-      return res.status(400).json({ message: 'OPay init failed' });
-
-    const paymentData = {
-      ...transactionData,
-      opayReference: opayResponse.data.data.reference,
-      opayOrderNo: opayResponse.data.data.orderNo
-    };
-
-    await admin.firestore()
-      .collection('pendingTransactions')
-      .doc(transactionId)
-      .set({
-        data: encryptData(paymentData),
-        opayReference: paymentData.opayReference,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+    const checkout = await createOpayCheckout(transactionData, user, 'Wallet Funding');
+    if (checkout.error) return res.status(400).json({ message: checkout.error });
 
     res.json({
       success: true,
       transactionId,
-      opayUrl: opayResponse.data.data.cashierUrl
+      opayUrl: checkout.opayUrl
     });
 
   } catch (err) {
@@ -282,6 +380,9 @@ async function processFailedPayment(transactionData) {
 }
 
 export async function processSuccessfulPayment(transactionData) {
+  // Card payments for a booking settle the order instead of funding the wallet
+  if (transactionData.type === 'order_payment') return confirmOrderCardPayment(transactionData);
+
   const { uid, amount } = transactionData;
   const userRef = admin.firestore().doc(`users/${uid}`);
 
@@ -315,6 +416,10 @@ export async function handleWebSocketConnection(ws, req) {
   try {
     const url = new URL(req.url, 'http://localhost');
     const token = url.searchParams.get('token');
+    const trackingCode = url.searchParams.get('track');
+    if (!token && trackingCode) {
+      return handleTrackingOnlyConnection(ws, trackingCode);
+    }
     if (!token) {
       console.error('❌ WebSocket: No token provided');
       return ws.close();
@@ -329,6 +434,10 @@ export async function handleWebSocketConnection(ws, req) {
       ws.isAdmin = true;
       console.log(`👑 WebSocket: Admin ${uid} connected`);
     }
+    if (userSnap.data()?.role === 'driver') {
+      ws.isDriver = true;
+      console.log(`🛵 WebSocket: Driver ${uid} connected`);
+    }
 
     wsClients.set(uid, ws);
 
@@ -340,6 +449,8 @@ export async function handleWebSocketConnection(ws, req) {
     ws.on('close', () => {
       console.log(`🔌 WebSocket: User ${uid} disconnected`);
       wsClients.delete(uid);
+      unsubscribeTracking(ws);
+      if (ws.isDriver) forgetDriverLocation(uid);
       // Remove from log subscribers if admin
       if (ws.isAdmin) {
         adminSubscribers.delete(ws);
@@ -366,6 +477,18 @@ export async function handleWebSocketConnection(ws, req) {
           adminSubscribers.delete(ws);
           return;
         }
+
+        if (await handleTrackingMessage(ws, data)) return;
+
+        // Driver GPS fixes: { event: 'driver-location', lat, lng, accuracy?, heading?, speed?, timestamp? }
+        if (data.event === 'driver-location') {
+          if (!ws.isDriver) return;
+          const result = await recordDriverLocation(uid, data);
+          if (!result.accepted && result.reason !== 'throttled') {
+            ws.send(JSON.stringify({ event: 'driver_location_rejected', data: { reason: result.reason } }));
+          }
+          return;
+        }
         
         // Handle REST API requests
         if (data.endpoint && data.method && data.token) {
@@ -589,45 +712,13 @@ export const initiateDeliveryPayment = async (req, res) => {
 
     const user = userSnap.data();
 
-    const opayRequest = {
-      reference: transactionId,
-      amount: Math.round(numericAmount * 100),
-      currency: 'NGN',
-      callbackUrl: `${process.env.FRONTEND_URL}/payment/callback`,
-      returnUrl: `${process.env.FRONTEND_URL}/payment/success`,
-      cancelUrl: `${process.env.FRONTEND_URL}/payment/cancel`,
-      customerName: user.name || 'User',
-      customerEmail: user.email || 'user@email.com',
-      productName: 'Delivery Payment'
-    };
-
-    const opayResponse = await opayClient.post(
-      '/api/v1/international/cashier/create',
-      opayRequest
-    );
-
-    if (opayResponse.data.code !== '00000')
-      return res.status(400).json({ message: 'OPay init failed' });
-
-    const paymentData = {
-      ...transactionData,
-      opayReference: opayResponse.data.data.reference,
-      opayOrderNo: opayResponse.data.data.orderNo
-    };
-
-    await admin.firestore()
-      .collection('pendingTransactions')
-      .doc(transactionId)
-      .set({
-        data: encryptData(paymentData),
-        opayReference: paymentData.opayReference,
-        createdAt: admin.firestore.FieldValue.serverTimestamp()
-      });
+    const checkout = await createOpayCheckout(transactionData, user, 'Delivery Payment');
+    if (checkout.error) return res.status(400).json({ message: checkout.error });
 
     res.json({
       success: true,
       transactionId,
-      opayUrl: opayResponse.data.data.cashierUrl
+      opayUrl: checkout.opayUrl
     });
 
   } catch (err) {
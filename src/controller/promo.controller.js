@@ -0,0 +1,315 @@
+import admin from '../config/firebase.js';
+import { broadcastServerLog } from './payment.controller.js';
+
+// Promo codes live in promoCodes/{CODE}. Each redemption is recorded under
+// promoCodes/{CODE}/redemptions, and promoCodes/{CODE}/users/{uid} counts a user's uses so
+// the per-user cap can be enforced inside the booking transaction.
+const CODE_RE = /^[A-Z0-9_-]{3,32}$/;
+const MAX_FLAT_DISCOUNT = 10_000_000;
+
+const promosCollection = () => admin.firestore().collection('promoCodes');
+
+export const normalizePromoCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Check a promo against a booking and work out the discount.
+ * `userCount` is how many times this user has already redeemed it.
+ * Returns { discount, total } or { error }.
+ */
+export function evaluatePromo(promo, { vehicleType, amount, userCount = 0, now = Date.now() }) {
+  if (!promo || promo.active === false) return { error: 'Promo code is not valid' };
+  if (promo.startsAt && now < promo.startsAt) return { error: 'Promo code is not active yet' };
+  if (promo.endsAt && now > promo.endsAt) return { error: 'Promo code has expired' };
+  if (promo.maxRedemptions && (promo.redemptionCount || 0) >= promo.maxRedemptions) {
+    return { error: 'Promo code has reached its usage limit' };
+  }
+  if (promo.perUserLimit && userCount >= promo.perUserLimit) {
+    return { error: 'You have already used this promo code' };
+  }
+  if (Array.isArray(promo.vehicleTypes) && promo.vehicleTypes.length && !promo.vehicleTypes.includes(vehicleType)) {
+    return { error: `Promo code is only valid for ${promo.vehicleTypes.join(', ')}` };
+  }
+  if (promo.minOrderValue && amount < promo.minOrderValue) {
+    return { error: `Promo code needs a minimum order of ₦${promo.minOrderValue}` };
+  }
+
+  let discount = promo.discountType === 'percent'
+    ? amount * promo.amount / 100
+    : promo.amount;
+  if (promo.maxDiscount) discount = Math.min(discount, promo.maxDiscount);
+  discount = Math.round(Math.min(discount, amount) * 100) / 100;
+
+  return { discount, total: Math.round((amount - discount) * 100) / 100 };
+}
+
+/**
+ * Evaluate a promo code outside a transaction (quotes and early validation at booking).
+ * Returns { code, discount, total } or { error }.
+ */
+export async function previewPromo(code, { uid, vehicleType, amount }) {
+  const normalized = normalizePromoCode(code);
+  if (!CODE_RE.test(normalized)) return { error: 'Promo code is not valid' };
+
+  const promoRef = promosCollection().doc(normalized);
+  const [promoSnap, usageSnap] = await Promise.all([promoRef.get(), promoRef.collection('users').doc(uid).get()]);
+  if (!promoSnap.exists) return { error: 'Promo code is not valid' };
+
+  const result = evaluatePromo(promoSnap.data(), {
+    vehicleType,
+    amount,
+    userCount: usageSnap.exists ? usageSnap.data().count || 0 : 0
+  });
+  return result.error ? result : { code: normalized, ...result };
+}
+
+/**
+ * Inside a transaction, read what's needed to redeem a promo. Firestore needs all reads
+ * before writes, so call this first and pass the result to evaluatePromo and recordRedemption.
+ */
+export async function readPromoForRedemption(t, code, uid) {
+  const normalized = normalizePromoCode(code);
+  const promoRef = promosCollection().doc(normalized);
+  const usageRef = promoRef.collection('users').doc(uid);
+  const [promoSnap, usageSnap] = await Promise.all([t.get(promoRef), t.get(usageRef)]);
+  return {
+    code: normalized,
+    promoRef,
+    usageRef,
+    promo: promoSnap.exists ? promoSnap.data() : null,
+    userCount: usageSnap.exists ? usageSnap.data().count || 0 : 0
+  };
+}
+
+/**
+ * Queue the redemption writes (usage counters and the redemption record) in a transaction
+ */
+export function recordRedemption(t, redemption, { uid, orderId, discount, orderTotal }) {
+  const now = Date.now();
+  const increment = admin.firestore.FieldValue.increment(1);
+  t.set(redemption.promoRef, { redemptionCount: increment, totalDiscount: admin.firestore.FieldValue.increment(discount), updatedAt: now }, { merge: true });
+  t.set(redemption.usageRef, { uid, count: increment, lastUsedAt: now }, { merge: true });
+  // Keyed by order so a cancellation can find it again
+  const ref = redemption.promoRef.collection('redemptions').doc(orderId);
+  t.set(ref, { id: ref.id, code: redemption.code, uid, orderId, discount, orderTotal, at: now });
+}
+
+/**
+ * Queue the writes that undo recordRedemption for a cancelled (or never created) order,
+ * giving the use back to the per-user and global caps. Writes only, so it can follow the
+ * transaction's reads.
+ */
+export function reverseRedemption(t, { code, uid, orderId, discount, reason = 'order_cancelled' }) {
+  const now = Date.now();
+  const decrement = admin.firestore.FieldValue.increment(-1);
+  const promoRef = promosCollection().doc(code);
+  t.set(promoRef, { redemptionCount: decrement, totalDiscount: admin.firestore.FieldValue.increment(-(Number(discount) || 0)), updatedAt: now }, { merge: true });
+  t.set(promoRef.collection('users').doc(uid), { count: decrement }, { merge: true });
+  // Kept, marked reversed, so the redemption list still shows what happened
+  t.set(promoRef.collection('redemptions').doc(orderId), { reversedAt: now, reversedReason: reason }, { merge: true });
+}
+
+// Accept epoch milliseconds or an ISO date string; null when absent, undefined when invalid
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : undefined;
+}
+
+// Optional non-negative number; null when absent, undefined when invalid
+function parseLimit(value, { integer = false, max = MAX_FLAT_DISCOUNT } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < 0 || n > max || (integer && !Number.isInteger(n))) return undefined;
+  return n;
+}
+
+// Validate admin-supplied promo fields; partial=true for updates
+function validatePromoInput(body, partial = false) {
+  const out = {};
+
+  if (!partial) {
+    const code = normalizePromoCode(body.code);
+    if (!CODE_RE.test(code)) return { error: 'Code must be 3-32 letters, digits, dashes or underscores' };
+    out.code = code;
+  }
+
+  if (!partial || body.discountType !== undefined) {
+    if (!['percent', 'flat'].includes(body.discountType)) return { error: "discountType must be 'percent' or 'flat'" };
+    out.discountType = body.discountType;
+  }
+
+  if (!partial || body.amount !== undefined) {
+    const amount = Number(body.amount);
+    const max = (out.discountType || body.discountType) === 'percent' ? 100 : MAX_FLAT_DISCOUNT;
+    if (!Number.isFinite(amount) || amount <= 0 || amount > max) return { error: `amount must be between 0 and ${max}` };
+    out.amount = amount;
+  }
+
+  const limits = {
+    maxDiscount: {},
+    minOrderValue: {},
+    maxRedemptions: { integer: true },
+    perUserLimit: { integer: true }
+  };
+  for (const [field, options] of Object.entries(limits)) {
+    if (partial && body[field] === undefined) continue;
+    const value = parseLimit(body[field], options);
+    if (value === undefined) return { error: `${field} must be a non-negative number` };
+    out[field] = value;
+  }
+  if (!partial && out.perUserLimit === null) out.perUserLimit = 1;
+
+  for (const field of ['startsAt', 'endsAt']) {
+    if (partial && body[field] === undefined) continue;
+    const value = parseDate(body[field]);
+    if (value === undefined) return { error: `${field} must be a valid date` };
+    out[field] = value;
+  }
+  if (out.startsAt && out.endsAt && out.endsAt <= out.startsAt) return { error: 'endsAt must be after startsAt' };
+
+  if (!partial || body.vehicleTypes !== undefined) {
+    const types = body.vehicleTypes === undefined || body.vehicleTypes === null ? [] : body.vehicleTypes;
+    if (!Array.isArray(types) || !types.every(v => typeof v === 'string' && v.trim())) {
+      return { error: 'vehicleTypes must be a list of vehicle type names' };
+    }
+    out.vehicleTypes = types.map(v => v.trim().slice(0, 64));
+  }
+
+  if (!partial || body.description !== undefined) {
+    out.description = typeof body.description === 'string' ? body.description.trim().slice(0, 256) : '';
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be a boolean' };
+    out.active = body.active;
+  } else if (!partial) {
+    out.active = true;
+  }
+
+  return { value: out };
+}
+
+// Admin: list promo codes, newest first
+export const listPromoCodes = async (req, res) => {
+  try {
+    const snap = await promosCollection().orderBy('createdAt', 'desc').limit(200).get();
+    return res.status(200).json({ success: true, promos: snap.docs.map(d => ({ id: d.id, ...d.data() })) });
+  } catch (err) {
+    console.error('listPromoCodes error', err);
+    return res.status(500).json({ message: 'Could not list promo codes' });
+  }
+};
+
+// Admin: create a promo code
+export const createPromoCode = async (req, res) => {
+  try {
+    const validated = validatePromoInput(req.body || {});
+    if (validated.error) return res.status(400).json({ message: validated.error });
+
+    const ref = promosCollection().doc(validated.value.code);
+    const doc = {
+      ...validated.value,
+      redemptionCount: 0,
+      totalDiscount: 0,
+      createdBy: req.user?.uid || null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    try {
+      await ref.create(doc);
+    } catch (createErr) {
+      // ALREADY_EXISTS
+      if (createErr.code === 6) return res.status(409).json({ message: 'A promo code with this code already exists' });
+      throw createErr;
+    }
+
+    console.log(`[ADMIN] Created promo code ${doc.code}`);
+    broadcastServerLog(`✅ Admin created promo code ${doc.code}`);
+
+    return res.status(201).json({ success: true, promo: { id: ref.id, ...doc } });
+  } catch (err) {
+    console.error('createPromoCode error', err);
+    return res.status(500).json({ message: 'Could not create promo code' });
+  }
+};
+
+// Admin: update promo fields (limits, window, vehicle types, active flag)
+export const updatePromoCode = async (req, res) => {
+  try {
+    const code = normalizePromoCode(req.params.code);
+    const ref = promosCollection().doc(code);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Promo code not found' });
+
+    // discountType and amount are checked together, so fill in whichever one is missing
+    const body = req.body || {};
+    const merged = body.discountType !== undefined || body.amount !== undefined
+      ? { discountType: snap.data().discountType, amount: snap.data().amount, ...body }
+      : body;
+    const validated = validatePromoInput(merged, true);
+    if (validated.error) return res.status(400).json({ message: validated.error });
+    if (Object.keys(validated.value).length === 0) {
+      return res.status(400).json({ message: 'No promo fields to update' });
+    }
+
+    const next = { ...snap.data(), ...validated.value };
+    if (next.startsAt && next.endsAt && next.endsAt <= next.startsAt) {
+      return res.status(400).json({ message: 'endsAt must be after startsAt' });
+    }
+
+    const updates = { ...validated.value, updatedAt: Date.now() };
+    await ref.set(updates, { merge: true });
+
+    return res.status(200).json({ success: true, promo: { id: code, ...snap.data(), ...updates } });
+  } catch (err) {
+    console.error('updatePromoCode error', err);
+    return res.status(500).json({ message: 'Could not update promo code' });
+  }
+};
+
+// Admin: delete a promo code that has never been redeemed (deactivate used ones instead)
+export const deletePromoCode = async (req, res) => {
+  try {
+    const code = normalizePromoCode(req.params.code);
+    const ref = promosCollection().doc(code);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Promo code not found' });
+
+    if ((snap.data().redemptionCount || 0) > 0) {
+      return res.status(400).json({ message: 'Promo code has been redeemed; deactivate it instead' });
+    }
+
+    const usage = await ref.collection('users').get();
+    const batch = admin.firestore().batch();
+    usage.forEach(doc => batch.delete(doc.ref));
+    batch.delete(ref);
+    await batch.commit();
+
+    broadcastServerLog(`✅ Admin deleted promo code ${code}`);
+    return res.status(200).json({ success: true, message: 'Promo code deleted' });
+  } catch (err) {
+    console.error('deletePromoCode error', err);
+    return res.status(500).json({ message: 'Could not delete promo code' });
+  }
+};
+
+// Admin: redemptions of one promo code, newest first
+export const listPromoRedemptions = async (req, res) => {
+  try {
+    const code = normalizePromoCode(req.params.code);
+    const ref = promosCollection().doc(code);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Promo code not found' });
+
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), 500);
+    const redemptions = await ref.collection('redemptions').orderBy('at', 'desc').limit(limit).get();
+    return res.status(200).json({
+      success: true,
+      promo: { id: code, ...snap.data() },
+      redemptions: redemptions.docs.map(d => d.data())
+    });
+  } catch (err) {
+    console.error('listPromoRedemptions error', err);
+    return res.status(500).json({ message: 'Could not list promo redemptions' });
+  }
+};
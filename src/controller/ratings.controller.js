@@ -0,0 +1,180 @@
+import admin from '../config/firebase.js';
+import { notifyAdmins } from './payment.controller.js';
+
+// Customers rate a delivered order once, within RATING_WINDOW_DAYS of delivery. The rating is
+// copied onto the order (so getOrders shows it), kept in ratings/{orderId} for admin queries,
+// and rolled into running aggregates on drivers/{uid}.rating and vehicleRatings/{vehicleType}.
+export const RATING_TAGS = ['late', 'damaged', 'rude', 'unprofessional', 'wrong_address', 'on_time', 'careful', 'friendly', 'professional'];
+const RATING_WINDOW_DAYS = Number(process.env.RATING_WINDOW_DAYS) || 7;
+// Ratings at or below this are flagged to admins as they come in
+const LOW_RATING_MAX_STARS = 2;
+const MAX_COMMENT_LENGTH = 1000;
+
+const ratingsCollection = () => admin.firestore().collection('ratings');
+const vehicleRatingsCollection = () => admin.firestore().collection('vehicleRatings');
+
+const completedAtOf = (order) => order.deliveredAt || order.statusUpdatedAt || order.updatedAt || null;
+
+/**
+ * Until when a customer may rate this order, or null when it can't (or can no longer) be rated
+ */
+export function ratingDeadline(order, now = Date.now()) {
+  if (!order || order.status !== 'delivered' || order.rating) return null;
+  const completedAt = completedAtOf(order);
+  if (!completedAt) return null;
+  const deadline = completedAt + RATING_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  return deadline > now ? deadline : null;
+}
+
+// Validate the customer's rating; returns { value } or { error }
+export function validateRatingInput(body = {}) {
+  const stars = Number(body.stars);
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) return { error: 'stars must be a whole number from 1 to 5' };
+
+  const tags = body.tags === undefined || body.tags === null ? [] : body.tags;
+  if (!Array.isArray(tags) || !tags.every(t => RATING_TAGS.includes(t))) {
+    return { error: `tags must be a list of: ${RATING_TAGS.join(', ')}` };
+  }
+
+  const comment = typeof body.comment === 'string' ? body.comment.trim().slice(0, MAX_COMMENT_LENGTH) : '';
+  return { value: { stars, tags: [...new Set(tags)], comment } };
+}
+
+// Add one rating to a running aggregate { count, sum, average, stars: {1..5}, tags }
+export function addToAggregate(current, { stars, tags }) {
+  const agg = {
+    count: Number(current?.count) || 0,
+    sum: Number(current?.sum) || 0,
+    stars: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0, ...(current?.stars || {}) },
+    tags: { ...(current?.tags || {}) }
+  };
+  agg.count += 1;
+  agg.sum += stars;
+  agg.stars[stars] = (Number(agg.stars[stars]) || 0) + 1;
+  for (const tag of tags) agg.tags[tag] = (Number(agg.tags[tag]) || 0) + 1;
+  agg.average = Math.round((agg.sum / agg.count) * 100) / 100;
+  agg.updatedAt = Date.now();
+  return agg;
+}
+
+// Customer: rate a delivered order
+export const rateOrder = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const { value, error } = validateRatingInput(req.body || {});
+    if (error) return res.status(400).json({ message: error });
+
+    const orderId = req.params.id;
+    const orderRef = admin.firestore().collection('users').doc(uid).collection('orders').doc(orderId);
+
+    const result = await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(orderRef);
+      if (!snap.exists) return { error: 'Order not found', status: 404 };
+      const order = snap.data();
+      if (order.rating) return { error: 'This order has already been rated', status: 409 };
+      if (order.status !== 'delivered') return { error: 'Only delivered orders can be rated', status: 400 };
+      if (!ratingDeadline(order)) {
+        return { error: `Orders can only be rated within ${RATING_WINDOW_DAYS} days of delivery`, status: 400 };
+      }
+
+      const vehicleType = order.metadata?.vehicleType || null;
+      const driverRef = order.driverUid ? admin.firestore().collection('drivers').doc(order.driverUid) : null;
+      const vehicleRef = vehicleType ? vehicleRatingsCollection().doc(vehicleType) : null;
+      // All reads before any writes
+      const driverSnap = driverRef ? await t.get(driverRef) : null;
+      const vehicleSnap = vehicleRef ? await t.get(vehicleRef) : null;
+
+      const now = Date.now();
+      const rating = { ...value, createdAt: now };
+      t.set(orderRef, { rating, updatedAt: now }, { merge: true });
+      t.set(ratingsCollection().doc(orderId), {
+        id: orderId,
+        orderId,
+        uid,
+        driverUid: order.driverUid || null,
+        driverName: order.driver?.name || order.assignedDriver || null,
+        vehicleType,
+        trackingCode: order.trackingCode || null,
+        ...rating
+      });
+      if (driverSnap && driverSnap.exists) {
+        t.set(driverRef, { rating: addToAggregate(driverSnap.data().rating, value) }, { merge: true });
+      }
+      if (vehicleRef) {
+        const current = vehicleSnap && vehicleSnap.exists ? vehicleSnap.data() : null;
+        t.set(vehicleRef, { vehicleType, ...addToAggregate(current, value) }, { merge: true });
+      }
+      return { order: { ...order, rating }, rating };
+    });
+
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    if (result.rating.stars <= LOW_RATING_MAX_STARS) {
+      notifyAdmins('low_rating', {
+        orderId,
+        uid,
+        driverUid: result.order.driverUid || null,
+        stars: result.rating.stars,
+        tags: result.rating.tags,
+        comment: result.rating.comment
+      });
+    }
+
+    return res.status(201).json({ success: true, rating: result.rating });
+  } catch (err) {
+    console.error('rateOrder error', err);
+    return res.status(500).json({ message: 'Could not save rating' });
+  }
+};
+
+// Admin: recent low ratings (stars <= maxStars), optionally for one driver or vehicle type
+export const listLowRatings = async (req, res) => {
+  try {
+    const maxStars = req.query.maxStars === undefined ? LOW_RATING_MAX_STARS : Number(req.query.maxStars);
+    if (!Number.isInteger(maxStars) || maxStars < 1 || maxStars > 5) {
+      return res.status(400).json({ message: 'maxStars must be a whole number from 1 to 5' });
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    // 'in' rather than '<=' so the results can be ordered by time
+    const starValues = Array.from({ length: maxStars }, (_, i) => i + 1);
+    let query = ratingsCollection().where('stars', 'in', starValues);
+    if (req.query.driverUid) query = query.where('driverUid', '==', String(req.query.driverUid));
+    if (req.query.vehicleType) query = query.where('vehicleType', '==', String(req.query.vehicleType));
+    if (req.query.tag) query = query.where('tags', 'array-contains', String(req.query.tag));
+
+    const snap = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return res.status(200).json({ success: true, ratings: snap.docs.map(d => d.data()) });
+  } catch (err) {
+    console.error('listLowRatings error', err);
+    return res.status(500).json({ message: 'Could not fetch ratings' });
+  }
+};
+
+// Admin: rating aggregates per vehicle type and per driver (lowest average first)
+export const getRatingSummary = async (req, res) => {
+  try {
+    const [vehicleSnap, driverSnap] = await Promise.all([
+      vehicleRatingsCollection().get(),
+      admin.firestore().collection('drivers').where('rating.count', '>', 0).limit(500).get()
+    ]);
+
+    const drivers = driverSnap.docs
+      .map(d => {
+        const driver = d.data();
+        return { uid: d.id, fullName: driver.fullName || null, vehicleType: driver.vehicleType || null, rating: driver.rating };
+      })
+      .sort((a, b) => a.rating.average - b.rating.average);
+
+    return res.status(200).json({
+      success: true,
+      vehicleTypes: vehicleSnap.docs.map(d => d.data()),
+      drivers
+    });
+  } catch (err) {
+    console.error('getRatingSummary error', err);
+    return res.status(500).json({ message: 'Could not fetch rating summary' });
+  }
+};
@@ -0,0 +1,235 @@
+import admin from '../config/firebase.js';
+import { getActiveTariff } from './tariff.controller.js';
+import { serviceHoursError } from './orders.controller.js';
+import { getLocalTimeParts, localTimeToEpoch, DEFAULT_TIMEZONE } from '../utils/time.js';
+
+// Recurring bookings live in users/{uid}/recurringBookings/{id}: a booking template (the same
+// fields bookDriver takes) plus a cron-like schedule "MIN HOUR * * DAYS" in the operating
+// timezone, e.g. "30 8 * * 1-5" for 08:30 every weekday. nextRunAt is the next pickup time;
+// the recurring bookings job books it a little ahead and moves nextRunAt on.
+const MAX_RECURRING_PER_USER = 20;
+const MAX_END_DATE_DAYS = 366;
+const TEMPLATE_FIELDS = ['pickup', 'destination', 'pickupAddressId', 'destinationAddressId', 'stops', 'packageDescription', 'package', 'contact', 'vehicleType', 'coordinates'];
+
+const recurringCollection = (uid) => admin.firestore().collection('users').doc(uid).collection('recurringBookings');
+
+// Parse one cron day-of-week field ("*", "1-5", "1,3,5"); 7 is accepted for Sunday
+function parseCronDays(field) {
+  if (field === '*') return [0, 1, 2, 3, 4, 5, 6];
+  const days = new Set();
+  for (const part of field.split(',')) {
+    const range = part.match(/^(\d)(?:-(\d))?$/);
+    if (!range) return null;
+    const from = Number(range[1]);
+    const to = range[2] === undefined ? from : Number(range[2]);
+    if (from > 7 || to > 7 || to < from) return null;
+    for (let d = from; d <= to; d++) days.add(d % 7);
+  }
+  return [...days].sort();
+}
+
+/**
+ * Parse a cron-like schedule. Only minute, hour and day-of-week are supported;
+ * day-of-month and month must be "*". Returns { schedule } or { error }.
+ */
+export function parseSchedule(cron) {
+  const fields = String(cron || '').trim().split(/\s+/);
+  if (fields.length !== 5) return { error: 'Schedule must look like "MIN HOUR * * DAYS", e.g. "30 8 * * 1-5"' };
+  const [min, hour, dom, month, dow] = fields;
+  const minute = /^\d{1,2}$/.test(min) ? Number(min) : NaN;
+  const hourNum = /^\d{1,2}$/.test(hour) ? Number(hour) : NaN;
+  if (!(minute >= 0 && minute <= 59) || !(hourNum >= 0 && hourNum <= 23)) {
+    return { error: 'Schedule minute and hour must be single numbers (0-59 and 0-23)' };
+  }
+  if (dom !== '*' || month !== '*') return { error: 'Schedules can only repeat on days of the week' };
+  const days = parseCronDays(dow);
+  if (!days || days.length === 0) return { error: 'Schedule days must be "*", a range like 1-5 or a list like 1,3,5' };
+  return { schedule: { cron: fields.join(' '), minute, hour: hourNum, days } };
+}
+
+/**
+ * The first pickup time on the schedule strictly after `after`, or null once past `endDate`
+ */
+export function nextOccurrence(schedule, after, endDate = null, timeZone = DEFAULT_TIMEZONE) {
+  const today = getLocalTimeParts(new Date(after), timeZone).date;
+  const [y, m, d] = today.split('-').map(Number);
+  for (let i = 0; i <= 7; i++) {
+    const day = new Date(Date.UTC(y, m - 1, d + i));
+    if (!schedule.days.includes(day.getUTCDay())) continue;
+    const at = localTimeToEpoch(day.toISOString().slice(0, 10), schedule.hour * 60 + schedule.minute, timeZone);
+    if (at <= after) continue;
+    return endDate && at > endDate ? null : at;
+  }
+  return null;
+}
+
+// Accept epoch milliseconds or an ISO date string; null when absent, undefined when invalid
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : undefined;
+}
+
+// Keep only booking fields; bookDriver validates them in full on every run
+async function validateTemplate(body) {
+  const template = {};
+  for (const field of TEMPLATE_FIELDS) {
+    if (body[field] !== undefined) template[field] = body[field];
+  }
+  const tariff = await getActiveTariff();
+  template.vehicleType = template.vehicleType || 'Motorbike (Fastest)';
+  if (!tariff.vehicleTypes[template.vehicleType]) return { error: 'Invalid vehicle type selected' };
+
+  // Saved addresses are looked up on each run, so later edits to them carry through
+  const coords = template.coordinates || {};
+  if (!template.pickupAddressId && (!coords.pickupLat || !coords.pickupLng)) return { error: 'Pickup coordinates are required' };
+  if ((!template.pickup && !template.pickupAddressId) ||
+    (!template.destination && !template.destinationAddressId && !Array.isArray(template.stops))) {
+    return { error: 'Pickup and destination (or stops) are required' };
+  }
+  if (!template.packageDescription && !Array.isArray(template.stops)) {
+    return { error: 'Package description is required' };
+  }
+  if (JSON.stringify(template).length > 20000) return { error: 'Booking template is too large' };
+  return { value: template };
+}
+
+// Validate schedule/end date together and work out the first run
+function planRuns(cron, endDateInput, now = Date.now()) {
+  const parsed = parseSchedule(cron);
+  if (parsed.error) return parsed;
+
+  const endDate = parseDate(endDateInput);
+  if (endDate === undefined) return { error: 'endDate must be a valid date' };
+  if (endDate === null) return { error: 'endDate is required' };
+  if (endDate <= now) return { error: 'endDate must be in the future' };
+  if (endDate > now + MAX_END_DATE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `endDate can be at most ${MAX_END_DATE_DAYS} days ahead` };
+  }
+
+  const nextRunAt = nextOccurrence(parsed.schedule, now, endDate);
+  if (!nextRunAt) return { error: 'The schedule has no runs before endDate' };
+  const hoursError = serviceHoursError(nextRunAt);
+  if (hoursError) return { error: hoursError };
+
+  return { schedule: parsed.schedule, endDate, nextRunAt };
+}
+
+// List the authenticated user's recurring bookings
+export const listRecurringBookings = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const snap = await recurringCollection(uid).orderBy('createdAt', 'desc').get();
+    return res.status(200).json({ success: true, recurringBookings: snap.docs.map(d => d.data()) });
+  } catch (err) {
+    console.error('listRecurringBookings error', err);
+    return res.status(500).json({ message: 'Could not fetch recurring bookings' });
+  }
+};
+
+// Save a recurring booking template
+export const createRecurringBooking = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const { schedule, endDate, name = '', template: templateInput = {} } = req.body || {};
+    const count = await recurringCollection(uid).count().get();
+    if (count.data().count >= MAX_RECURRING_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_RECURRING_PER_USER} recurring bookings` });
+    }
+
+    const template = await validateTemplate(templateInput || {});
+    if (template.error) return res.status(400).json({ message: template.error });
+    const plan = planRuns(schedule, endDate);
+    if (plan.error) return res.status(400).json({ message: plan.error });
+
+    const ref = recurringCollection(uid).doc();
+    const doc = {
+      id: ref.id,
+      uid,
+      name: typeof name === 'string' ? name.trim().slice(0, 128) : '',
+      template: template.value,
+      schedule: plan.schedule,
+      endDate: plan.endDate,
+      nextRunAt: plan.nextRunAt,
+      active: true,
+      runs: 0,
+      skips: 0,
+      lastRunAt: null,
+      lastResult: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    await ref.set(doc);
+
+    console.log(`[RECURRING] User ${uid} created recurring booking ${ref.id} (${plan.schedule.cron})`);
+    return res.status(201).json({ success: true, recurringBooking: doc });
+  } catch (err) {
+    console.error('createRecurringBooking error', err);
+    return res.status(500).json({ message: 'Could not create recurring booking' });
+  }
+};
+
+// Update a recurring booking (pause/resume, schedule, end date, template)
+export const updateRecurringBooking = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const ref = recurringCollection(uid).doc(req.params.id);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Recurring booking not found' });
+    const current = snap.data();
+
+    const body = req.body || {};
+    const updates = {};
+    if (body.name !== undefined) updates.name = typeof body.name === 'string' ? body.name.trim().slice(0, 128) : '';
+    if (body.template !== undefined) {
+      const template = await validateTemplate(body.template || {});
+      if (template.error) return res.status(400).json({ message: template.error });
+      updates.template = template.value;
+    }
+    if (body.active !== undefined) {
+      if (typeof body.active !== 'boolean') return res.status(400).json({ message: 'active must be a boolean' });
+      updates.active = body.active;
+    }
+
+    // Re-plan when the schedule changes or a paused booking is resumed
+    const active = updates.active ?? current.active;
+    if (body.schedule !== undefined || body.endDate !== undefined || (active && !current.active)) {
+      const plan = planRuns(body.schedule ?? current.schedule.cron, body.endDate ?? current.endDate);
+      if (plan.error) return res.status(400).json({ message: plan.error });
+      Object.assign(updates, { schedule: plan.schedule, endDate: plan.endDate, nextRunAt: plan.nextRunAt });
+    }
+
+    if (Object.keys(updates).length === 0) return res.status(400).json({ message: 'No fields to update' });
+    updates.updatedAt = Date.now();
+    await ref.set(updates, { merge: true });
+
+    return res.status(200).json({ success: true, recurringBooking: { ...current, ...updates } });
+  } catch (err) {
+    console.error('updateRecurringBooking error', err);
+    return res.status(500).json({ message: 'Could not update recurring booking' });
+  }
+};
+
+// Delete a recurring booking (orders already created are kept)
+export const deleteRecurringBooking = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const ref = recurringCollection(uid).doc(req.params.id);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Recurring booking not found' });
+
+    await ref.delete();
+    return res.status(200).json({ success: true, message: 'Recurring booking deleted' });
+  } catch (err) {
+    console.error('deleteRecurringBooking error', err);
+    return res.status(500).json({ message: 'Could not delete recurring booking' });
+  }
+};
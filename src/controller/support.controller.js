@@ -0,0 +1,432 @@
+import admin from '../config/firebase.js';
+import { notifyUser, notifyAdmins, broadcastServerLog } from './payment.controller.js';
+
+// Support tickets live in supportTickets/{id} with the conversation in
+// supportTickets/{id}/messages. A ticket belongs to one customer and may point at one of their
+// orders (users/{uid}/orders) or wallet transactions (users/{uid}/wallet). Admins assign,
+// reply (optionally with internal notes the customer never sees) and resolve, optionally
+// refunding to the wallet. Only tickets on an order or a debit can be refunded, and a debit
+// for an order counts against that order, so a charge is never refunded twice.
+const TICKET_CATEGORIES = ['delivery_delay', 'damaged_item', 'missing_item', 'driver_conduct', 'payment', 'refund', 'other'];
+const TICKET_STATUSES = ['open', 'in_progress', 'resolved', 'closed'];
+const RESOLUTION_ACTIONS = ['none', 'wallet_refund'];
+const MAX_OPEN_TICKETS_PER_USER = 10;
+const MAX_MESSAGE_LENGTH = 5000;
+
+const ticketsCollection = () => admin.firestore().collection('supportTickets');
+const messagesCollection = (ticketRef) => ticketRef.collection('messages');
+
+const sanitize = (v, max) => (typeof v === 'string' ? v.replace(/<[^>]*>/g, '').trim().slice(0, max) : '');
+const roundMoney = (v) => Math.round(v * 100) / 100;
+
+// Queue a thread message on a batch/transaction
+function addMessage(t, ticketRef, { authorUid, authorRole, body, internal = false, now = Date.now() }) {
+  const ref = messagesCollection(ticketRef).doc();
+  const message = { id: ref.id, authorUid: authorUid || null, authorRole, body, internal, createdAt: now };
+  t.set(ref, message);
+  return message;
+}
+
+// Thread messages, oldest first; internal notes are only for admins
+async function readThread(ticketRef, { includeInternal = false } = {}) {
+  const snap = await messagesCollection(ticketRef).orderBy('createdAt', 'asc').get();
+  return snap.docs.map(d => d.data()).filter(m => includeInternal || !m.internal);
+}
+
+// Tell the customer about a change; internal notes never trigger this
+function notifyTicketUpdate(ticket, extra = {}) {
+  notifyUser(ticket.uid, 'support_ticket_update', { ticketId: ticket.id, status: ticket.status, ...extra });
+}
+
+// Customer: open a ticket, optionally against an order or wallet transaction
+export const createTicket = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const { subject, category = 'other', message, orderId = null, transactionId = null } = req.body || {};
+    const cleanSubject = sanitize(subject, 200);
+    const cleanMessage = sanitize(message, MAX_MESSAGE_LENGTH);
+    if (!cleanSubject || !cleanMessage) return res.status(400).json({ message: 'Subject and message are required' });
+    if (!TICKET_CATEGORIES.includes(category)) {
+      return res.status(400).json({ message: `category must be one of: ${TICKET_CATEGORIES.join(', ')}` });
+    }
+    if (orderId && transactionId) return res.status(400).json({ message: 'Link a ticket to an order or a transaction, not both' });
+
+    const userRef = admin.firestore().collection('users').doc(uid);
+    let link = null;
+    if (orderId) {
+      const orderSnap = await userRef.collection('orders').doc(String(orderId)).get();
+      if (!orderSnap.exists) return res.status(404).json({ message: 'Order not found' });
+      const order = orderSnap.data();
+      link = { type: 'order', id: orderSnap.id, trackingCode: order.trackingCode || null, status: order.status, total: order.total ?? null };
+    } else if (transactionId) {
+      const txSnap = await userRef.collection('wallet').doc(String(transactionId)).get();
+      if (!txSnap.exists) return res.status(404).json({ message: 'Transaction not found' });
+      const tx = txSnap.data();
+      link = { type: 'transaction', id: txSnap.id, amount: tx.amount ?? null, txType: tx.type || null, orderId: tx.orderId || null };
+    }
+
+    const openSnap = await ticketsCollection().where('uid', '==', uid).where('status', 'in', ['open', 'in_progress']).get();
+    if (link) {
+      const duplicate = openSnap.docs.find(d => d.data().link?.id === link.id);
+      if (duplicate) return res.status(409).json({ message: 'You already have an open ticket for this', ticketId: duplicate.id });
+    }
+    if (openSnap.size >= MAX_OPEN_TICKETS_PER_USER) {
+      return res.status(400).json({ message: `You can have at most ${MAX_OPEN_TICKETS_PER_USER} open tickets` });
+    }
+
+    const now = Date.now();
+    const ticketRef = ticketsCollection().doc();
+    const ticket = {
+      id: ticketRef.id,
+      uid,
+      customerName: req.user.fullName || null,
+      subject: cleanSubject,
+      category,
+      link,
+      orderId: link?.type === 'order' ? link.id : null,
+      transactionId: link?.type === 'transaction' ? link.id : null,
+      status: 'open',
+      assignedTo: null,
+      messageCount: 1,
+      lastMessageAt: now,
+      lastMessageBy: 'user',
+      resolution: null,
+      refundedAmount: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    const batch = admin.firestore().batch();
+    batch.set(ticketRef, ticket);
+    const first = addMessage(batch, ticketRef, { authorUid: uid, authorRole: 'user', body: cleanMessage, now });
+    await batch.commit();
+
+    notifyAdmins('support_ticket_created', { ticketId: ticket.id, uid, subject: ticket.subject, category, link });
+    broadcastServerLog(`🎫 Support ticket ${ticket.id} opened by user ${uid} (${category})`);
+
+    return res.status(201).json({ success: true, ticket, messages: [first] });
+  } catch (err) {
+    console.error('createTicket error', err);
+    return res.status(500).json({ message: 'Could not open ticket' });
+  }
+};
+
+// Customer: list their tickets
+export const listMyTickets = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const snap = await ticketsCollection().where('uid', '==', uid).orderBy('updatedAt', 'desc').limit(100).get();
+    return res.status(200).json({ success: true, tickets: snap.docs.map(d => d.data()) });
+  } catch (err) {
+    console.error('listMyTickets error', err);
+    return res.status(500).json({ message: 'Could not fetch tickets' });
+  }
+};
+
+// Customer: a ticket and its (public) thread
+export const getMyTicket = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const ref = ticketsCollection().doc(req.params.id);
+    const snap = await ref.get();
+    if (!snap.exists || snap.data().uid !== uid) return res.status(404).json({ message: 'Ticket not found' });
+
+    return res.status(200).json({ success: true, ticket: snap.data(), messages: await readThread(ref) });
+  } catch (err) {
+    console.error('getMyTicket error', err);
+    return res.status(500).json({ message: 'Could not fetch ticket' });
+  }
+};
+
+// Customer: reply on a ticket; a reply to a resolved ticket reopens it
+export const replyToMyTicket = async (req, res) => {
+  try {
+    const uid = req.user && req.user.uid;
+    if (!uid) return res.status(401).json({ message: 'Unauthorized' });
+
+    const body = sanitize(req.body?.message, MAX_MESSAGE_LENGTH);
+    if (!body) return res.status(400).json({ message: 'Message is required' });
+
+    const ref = ticketsCollection().doc(req.params.id);
+    const result = await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists || snap.data().uid !== uid) return { error: 'Ticket not found', status: 404 };
+      const ticket = snap.data();
+      if (ticket.status === 'closed') return { error: 'This ticket is closed. Please open a new one.', status: 400 };
+
+      const now = Date.now();
+      const status = ticket.status === 'resolved' ? 'open' : ticket.status;
+      const message = addMessage(t, ref, { authorUid: uid, authorRole: 'user', body, now });
+      t.set(ref, {
+        status,
+        messageCount: admin.firestore.FieldValue.increment(1),
+        lastMessageAt: now,
+        lastMessageBy: 'user',
+        updatedAt: now
+      }, { merge: true });
+      return { ticket: { ...ticket, status }, message };
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    const assigneeUid = result.ticket.assignedTo?.uid;
+    if (assigneeUid) notifyUser(assigneeUid, 'support_ticket_reply', { ticketId: result.ticket.id, uid });
+    else notifyAdmins('support_ticket_reply', { ticketId: result.ticket.id, uid });
+
+    return res.status(201).json({ success: true, message: result.message, status: result.ticket.status });
+  } catch (err) {
+    console.error('replyToMyTicket error', err);
+    return res.status(500).json({ message: 'Could not send reply' });
+  }
+};
+
+// Admin: list tickets, newest activity first
+export const listTickets = async (req, res) => {
+  try {
+    const { status, assignedTo, orderId, uid } = req.query;
+    if (status && !TICKET_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${TICKET_STATUSES.join(', ')}` });
+    }
+
+    let query = ticketsCollection();
+    if (status) query = query.where('status', '==', status);
+    if (assignedTo) query = query.where('assignedTo.uid', '==', String(assignedTo));
+    if (orderId) query = query.where('orderId', '==', String(orderId));
+    if (uid) query = query.where('uid', '==', String(uid));
+
+    const snap = await query.orderBy('updatedAt', 'desc').limit(200).get();
+    return res.status(200).json({ success: true, tickets: snap.docs.map(d => d.data()) });
+  } catch (err) {
+    console.error('listTickets error', err);
+    return res.status(500).json({ message: 'Could not fetch tickets' });
+  }
+};
+
+// Admin: a ticket with its full thread (including internal notes)
+export const getTicket = async (req, res) => {
+  try {
+    const ref = ticketsCollection().doc(req.params.id);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Ticket not found' });
+
+    return res.status(200).json({ success: true, ticket: snap.data(), messages: await readThread(ref, { includeInternal: true }) });
+  } catch (err) {
+    console.error('getTicket error', err);
+    return res.status(500).json({ message: 'Could not fetch ticket' });
+  }
+};
+
+// Admin: assign a ticket to an admin (themselves by default)
+export const assignTicket = async (req, res) => {
+  try {
+    const adminUid = req.body?.adminUid || req.user?.uid;
+    if (!adminUid) return res.status(400).json({ message: 'adminUid is required' });
+
+    const adminSnap = await admin.firestore().collection('users').doc(String(adminUid)).get();
+    if (!adminSnap.exists || adminSnap.data().role !== 'admin') return res.status(400).json({ message: 'Tickets can only be assigned to admins' });
+    const assignee = { uid: adminSnap.id, name: adminSnap.data().fullName || null, assignedAt: Date.now(), assignedBy: req.user?.uid || null };
+
+    const ref = ticketsCollection().doc(req.params.id);
+    const result = await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists) return { error: 'Ticket not found', status: 404 };
+      const ticket = snap.data();
+      if (['resolved', 'closed'].includes(ticket.status)) return { error: `Ticket is already ${ticket.status}`, status: 400 };
+
+      const now = Date.now();
+      const updates = { assignedTo: assignee, status: 'in_progress', updatedAt: now };
+      t.set(ref, updates, { merge: true });
+      addMessage(t, ref, { authorUid: req.user?.uid, authorRole: 'admin', body: `Assigned to ${assignee.name || assignee.uid}`, internal: true, now });
+      return { ticket: { ...ticket, ...updates } };
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    if (assignee.uid !== req.user?.uid) notifyUser(assignee.uid, 'support_ticket_assigned', { ticketId: result.ticket.id });
+    notifyTicketUpdate(result.ticket);
+
+    return res.status(200).json({ success: true, ticket: result.ticket });
+  } catch (err) {
+    console.error('assignTicket error', err);
+    return res.status(500).json({ message: 'Could not assign ticket' });
+  }
+};
+
+// Admin: reply to the customer, or add an internal note
+export const replyToTicket = async (req, res) => {
+  try {
+    const body = sanitize(req.body?.message, MAX_MESSAGE_LENGTH);
+    if (!body) return res.status(400).json({ message: 'Message is required' });
+    const internal = req.body?.internal === true;
+
+    const ref = ticketsCollection().doc(req.params.id);
+    const result = await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists) return { error: 'Ticket not found', status: 404 };
+      const ticket = snap.data();
+      if (ticket.status === 'closed') return { error: 'Ticket is closed', status: 400 };
+
+      const now = Date.now();
+      const message = addMessage(t, ref, { authorUid: req.user?.uid, authorRole: 'admin', body, internal, now });
+      const updates = internal ? { updatedAt: now } : {
+        status: ticket.status === 'open' ? 'in_progress' : ticket.status,
+        messageCount: admin.firestore.FieldValue.increment(1),
+        lastMessageAt: now,
+        lastMessageBy: 'admin',
+        updatedAt: now
+      };
+      t.set(ref, updates, { merge: true });
+      return { ticket: { ...ticket, status: updates.status || ticket.status }, message };
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    if (!internal) notifyTicketUpdate(result.ticket, { reply: result.message });
+
+    return res.status(201).json({ success: true, message: result.message });
+  } catch (err) {
+    console.error('replyToTicket error', err);
+    return res.status(500).json({ message: 'Could not send reply' });
+  }
+};
+
+// Only money the customer paid out can be refunded: debits, and not ones covering several
+// orders (a bulk import), which are refunded order by order. Returns {} or { error }.
+function checkRefundableTransaction(tx) {
+  if (tx.type !== 'debit') return { error: 'Only payments (debits) can be refunded' };
+  if (Array.isArray(tx.orderIds) && tx.orderIds.length > 0 && !tx.orderId) {
+    return { error: 'This payment covers several orders; refund them from a ticket on each order' };
+  }
+  return {};
+}
+
+/**
+ * How much can still be refunded through support: for an order, what was actually charged
+ * less any cancellation refund and earlier support refunds; otherwise (a debit with no order)
+ * the debit's amount less earlier support refunds.
+ */
+export function refundableAmount({ order = null, tx = null }) {
+  let remaining = 0;
+  if (order) {
+    const charged = order.paid ? Number(order.total) || 0 : 0;
+    remaining = charged - (Number(order.refundAmount) || 0) - (Number(order.supportRefundTotal) || 0);
+  } else if (tx && tx.type === 'debit') {
+    remaining = (Number(tx.amount) || 0) - (Number(tx.supportRefundTotal) || 0);
+  }
+  return Math.max(0, roundMoney(remaining));
+}
+
+// Admin: resolve a ticket, optionally refunding to the customer's wallet
+export const resolveTicket = async (req, res) => {
+  try {
+    const { action = 'none', amount, note = '', close = false } = req.body || {};
+    if (!RESOLUTION_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `action must be one of: ${RESOLUTION_ACTIONS.join(', ')}` });
+    }
+    const refund = action === 'wallet_refund' ? roundMoney(Number(amount)) : 0;
+    if (action === 'wallet_refund' && !(refund > 0)) {
+      return res.status(400).json({ message: 'A refund needs an amount greater than 0' });
+    }
+    const cleanNote = sanitize(note, 1000);
+    const adminUid = req.user?.uid || null;
+
+    const ref = ticketsCollection().doc(req.params.id);
+    const result = await admin.firestore().runTransaction(async (t) => {
+      const snap = await t.get(ref);
+      if (!snap.exists) return { error: 'Ticket not found', status: 404 };
+      const ticket = snap.data();
+      if (['resolved', 'closed'].includes(ticket.status)) return { error: `Ticket is already ${ticket.status}`, status: 400 };
+
+      const userRef = admin.firestore().collection('users').doc(ticket.uid);
+      // All reads before any writes
+      let userSnap = null;
+      let linkedTxRef = null;
+      let tx = null;
+      let orderRef = null;
+      let order = null;
+      if (refund) {
+        userSnap = await t.get(userRef);
+        if (ticket.transactionId) {
+          linkedTxRef = userRef.collection('wallet').doc(ticket.transactionId);
+          const txSnap = await t.get(linkedTxRef);
+          if (!txSnap.exists) return { error: 'The linked transaction no longer exists', status: 400 };
+          tx = txSnap.data();
+          const txCheck = checkRefundableTransaction(tx);
+          if (txCheck.error) return { error: txCheck.error, status: 400 };
+        }
+        // A debit for an order is refunded against the order, so both kinds of ticket share its total
+        const orderId = ticket.orderId || tx?.orderId || null;
+        if (orderId) {
+          orderRef = userRef.collection('orders').doc(orderId);
+          const orderSnap = await t.get(orderRef);
+          if (!orderSnap.exists) return { error: 'The linked order no longer exists', status: 400 };
+          order = orderSnap.data();
+        }
+        if (!order && !tx) return { error: 'Only tickets linked to an order or a transaction can be refunded', status: 400 };
+      }
+
+      const now = Date.now();
+      let walletTransactionId = null;
+      let newBalance = null;
+      if (refund) {
+        if (!userSnap.exists) return { error: 'Customer account no longer exists', status: 400 };
+        const refundable = refundableAmount({ order, tx });
+        if (refund > refundable) {
+          return { error: `At most ₦${refundable} can still be refunded for this ${order ? 'order' : 'transaction'}`, status: 400 };
+        }
+        if (order) {
+          t.set(orderRef, { supportRefundTotal: admin.firestore.FieldValue.increment(refund), updatedAt: now }, { merge: true });
+        } else {
+          t.set(linkedTxRef, { supportRefundTotal: admin.firestore.FieldValue.increment(refund) }, { merge: true });
+        }
+
+        const balance = userSnap.data()?.wallet?.balance ? Number(userSnap.data().wallet.balance) : 0;
+        newBalance = balance + refund;
+        const txRef = userRef.collection('wallet').doc();
+        walletTransactionId = txRef.id;
+        t.set(txRef, {
+          id: txRef.id,
+          uid: ticket.uid,
+          amount: refund,
+          type: 'credit',
+          note: `Support refund for ticket ${ticket.id}` + (cleanNote ? ` - ${cleanNote}` : ''),
+          ticketId: ticket.id,
+          orderId: order ? orderRef.id : null,
+          refundedBy: adminUid,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        t.set(userRef, { wallet: { balance: newBalance } }, { merge: true });
+      }
+
+      const resolution = { action, amount: refund || null, note: cleanNote, walletTransactionId, resolvedBy: adminUid, resolvedAt: now };
+      const status = close === true ? 'closed' : 'resolved';
+      t.set(ref, {
+        status,
+        resolution,
+        refundedAmount: admin.firestore.FieldValue.increment(refund),
+        updatedAt: now
+      }, { merge: true });
+      const body = refund
+        ? `Resolved: ₦${refund} has been refunded to your wallet.${cleanNote ? ` ${cleanNote}` : ''}`
+        : `Resolved.${cleanNote ? ` ${cleanNote}` : ''}`;
+      addMessage(t, ref, { authorUid: adminUid, authorRole: 'admin', body, now });
+
+      return { ticket: { ...ticket, status, resolution, refundedAmount: (ticket.refundedAmount || 0) + refund }, newBalance };
+    });
+    if (result.error) return res.status(result.status).json({ message: result.error });
+
+    notifyTicketUpdate(result.ticket, { resolution: result.ticket.resolution });
+    if (refund) {
+      notifyUser(result.ticket.uid, 'wallet_balance_update', { newBalance: result.newBalance });
+      console.log(`[SUPPORT] Refunded ₦${refund} to ${result.ticket.uid} for ticket ${result.ticket.id}`);
+      broadcastServerLog(`💸 Support refund of ₦${refund} for ticket ${result.ticket.id}`);
+    }
+
+    return res.status(200).json({ success: true, ticket: result.ticket });
+  } catch (err) {
+    console.error('resolveTicket error', err);
+    return res.status(500).json({ message: 'Could not resolve ticket' });
+  }
+};
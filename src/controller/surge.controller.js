@@ -0,0 +1,227 @@
+import admin from '../config/firebase.js';
+import { broadcastServerLog } from './payment.controller.js';
+import { getLocalTimeParts, matchesTimeWindow, DEFAULT_TIMEZONE } from '../utils/time.js';
+
+// Surge configuration lives in settings/surge. Multipliers from time windows,
+// holidays and current demand are multiplied together and capped at maxMultiplier.
+const DEFAULT_SURGE_CONFIG = {
+  enabled: false,
+  timezone: DEFAULT_TIMEZONE,
+  maxMultiplier: 3,
+  rules: [],
+  holidays: [],
+  demand: { enabled: false, windowMinutes: 15, thresholds: [] }
+};
+
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+const DEMAND_CACHE_TTL_MS = 30 * 1000;
+let configCache = { value: null, fetchedAt: 0 };
+let demandCache = { windowMinutes: null, count: 0, fetchedAt: 0 };
+
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_RULE_MULTIPLIER = 5;
+
+const surgeRef = () => admin.firestore().doc('settings/surge');
+
+/**
+ * Get the surge configuration (cached briefly). Internal helper used by pricing.
+ */
+export async function getSurgeConfig() {
+  const now = Date.now();
+  if (configCache.value && now - configCache.fetchedAt < CONFIG_CACHE_TTL_MS) {
+    return configCache.value;
+  }
+  try {
+    const snap = await surgeRef().get();
+    const value = { ...DEFAULT_SURGE_CONFIG, ...(snap.exists ? snap.data() : {}) };
+    configCache = { value, fetchedAt: now };
+    return value;
+  } catch (err) {
+    console.error('[SURGE] Failed to load surge config:', err && err.message ? err.message : err);
+    return configCache.value || DEFAULT_SURGE_CONFIG;
+  }
+}
+
+// Count bookings still pending that were created in the last N minutes
+async function countRecentPendingOrders(windowMinutes) {
+  const now = Date.now();
+  if (demandCache.windowMinutes === windowMinutes && now - demandCache.fetchedAt < DEMAND_CACHE_TTL_MS) {
+    return demandCache.count;
+  }
+  const snap = await admin.firestore().collectionGroup('orders')
+    .where('status', '==', 'pending')
+    .where('createdAt', '>=', now - windowMinutes * 60 * 1000)
+    .count()
+    .get();
+  const count = snap.data().count;
+  demandCache = { windowMinutes, count, fetchedAt: now };
+  return count;
+}
+
+/**
+ * Work out the surge multiplier in effect at `at` (defaults to now).
+ * Returns { multiplier, reasons, pendingOrders }.
+ */
+export async function computeSurge(at = new Date()) {
+  const config = await getSurgeConfig();
+  const result = { multiplier: 1, reasons: [], pendingOrders: null };
+  if (!config.enabled) return result;
+
+  let local;
+  try {
+    local = getLocalTimeParts(at, config.timezone || DEFAULT_SURGE_CONFIG.timezone);
+  } catch (err) {
+    console.error('[SURGE] Invalid timezone in surge config:', config.timezone);
+    local = getLocalTimeParts(at, DEFAULT_SURGE_CONFIG.timezone);
+  }
+
+  // Time windows: the highest matching rule wins
+  const timeRule = (config.rules || [])
+    .filter(rule => matchesTimeWindow(rule, local))
+    .sort((a, b) => b.multiplier - a.multiplier)[0];
+  if (timeRule) {
+    result.multiplier *= timeRule.multiplier;
+    result.reasons.push({ type: 'time', name: timeRule.name, multiplier: timeRule.multiplier });
+  }
+
+  const holiday = (config.holidays || []).find(h => h.date === local.date);
+  if (holiday) {
+    result.multiplier *= holiday.multiplier;
+    result.reasons.push({ type: 'holiday', name: holiday.name, multiplier: holiday.multiplier });
+  }
+
+  const demand = config.demand || {};
+  if (demand.enabled && Array.isArray(demand.thresholds) && demand.thresholds.length) {
+    try {
+      const pending = await countRecentPendingOrders(demand.windowMinutes);
+      result.pendingOrders = pending;
+      const tier = demand.thresholds
+        .filter(t => pending >= t.minPending)
+        .sort((a, b) => b.multiplier - a.multiplier)[0];
+      if (tier) {
+        result.multiplier *= tier.multiplier;
+        result.reasons.push({ type: 'demand', name: `${pending} pending orders`, multiplier: tier.multiplier });
+      }
+    } catch (err) {
+      // Demand is best-effort: never block pricing because the count query failed
+      console.warn('[SURGE] Could not count pending orders:', err && err.message ? err.message : err);
+    }
+  }
+
+  const cap = Number(config.maxMultiplier) || DEFAULT_SURGE_CONFIG.maxMultiplier;
+  result.multiplier = Math.round(Math.min(result.multiplier, cap) * 100) / 100;
+  return result;
+}
+
+const isMultiplier = (v) => Number.isFinite(v) && v >= 1 && v <= MAX_RULE_MULTIPLIER;
+
+// Validate and normalize the full surge config submitted by an admin
+function validateSurgeConfig(body) {
+  const out = {};
+
+  out.enabled = body.enabled === true;
+
+  const timezone = typeof body.timezone === 'string' && body.timezone ? body.timezone : DEFAULT_SURGE_CONFIG.timezone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (e) {
+    return { error: `Unknown timezone: ${timezone}` };
+  }
+  out.timezone = timezone;
+
+  const maxMultiplier = body.maxMultiplier === undefined ? DEFAULT_SURGE_CONFIG.maxMultiplier : Number(body.maxMultiplier);
+  if (!Number.isFinite(maxMultiplier) || maxMultiplier < 1 || maxMultiplier > 10) {
+    return { error: 'maxMultiplier must be between 1 and 10' };
+  }
+  out.maxMultiplier = maxMultiplier;
+
+  const rules = Array.isArray(body.rules) ? body.rules : [];
+  if (rules.length > 50) return { error: 'At most 50 time rules are allowed' };
+  out.rules = [];
+  for (const rule of rules) {
+    const multiplier = Number(rule.multiplier);
+    if (!TIME_RE.test(rule.start || '') || !TIME_RE.test(rule.end || '')) {
+      return { error: 'Rule start and end must be HH:MM (24h)' };
+    }
+    if (!isMultiplier(multiplier)) return { error: `Rule multiplier must be between 1 and ${MAX_RULE_MULTIPLIER}` };
+    const days = Array.isArray(rule.days) ? rule.days.map(Number) : [];
+    if (!days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return { error: 'Rule days must be weekday numbers 0 (Sunday) to 6 (Saturday)' };
+    }
+    out.rules.push({
+      name: typeof rule.name === 'string' ? rule.name.trim().slice(0, 64) : '',
+      days,
+      start: rule.start,
+      end: rule.end,
+      multiplier
+    });
+  }
+
+  const holidays = Array.isArray(body.holidays) ? body.holidays : [];
+  if (holidays.length > 100) return { error: 'At most 100 holidays are allowed' };
+  out.holidays = [];
+  for (const h of holidays) {
+    const multiplier = Number(h.multiplier);
+    if (!DATE_RE.test(h.date || '') || Number.isNaN(Date.parse(h.date))) {
+      return { error: 'Holiday date must be YYYY-MM-DD' };
+    }
+    if (!isMultiplier(multiplier)) return { error: `Holiday multiplier must be between 1 and ${MAX_RULE_MULTIPLIER}` };
+    out.holidays.push({
+      date: h.date,
+      name: typeof h.name === 'string' ? h.name.trim().slice(0, 64) : '',
+      multiplier
+    });
+  }
+
+  const demand = body.demand || {};
+  const windowMinutes = demand.windowMinutes === undefined ? DEFAULT_SURGE_CONFIG.demand.windowMinutes : Number(demand.windowMinutes);
+  if (!Number.isInteger(windowMinutes) || windowMinutes < 1 || windowMinutes > 240) {
+    return { error: 'demand.windowMinutes must be an integer between 1 and 240' };
+  }
+  const thresholds = Array.isArray(demand.thresholds) ? demand.thresholds : [];
+  if (thresholds.length > 20) return { error: 'At most 20 demand thresholds are allowed' };
+  const cleanThresholds = [];
+  for (const t of thresholds) {
+    const minPending = Number(t.minPending);
+    const multiplier = Number(t.multiplier);
+    if (!Number.isInteger(minPending) || minPending < 1) return { error: 'demand threshold minPending must be a positive integer' };
+    if (!isMultiplier(multiplier)) return { error: `Demand multiplier must be between 1 and ${MAX_RULE_MULTIPLIER}` };
+    cleanThresholds.push({ minPending, multiplier });
+  }
+  out.demand = { enabled: demand.enabled === true, windowMinutes, thresholds: cleanThresholds };
+
+  return { value: out };
+}
+
+// Admin: get surge configuration and the multiplier that would apply right now
+export const getSurgeSettings = async (req, res) => {
+  try {
+    const config = await getSurgeConfig();
+    const current = await computeSurge();
+    return res.status(200).json({ success: true, config, current });
+  } catch (err) {
+    console.error('getSurgeSettings error', err);
+    return res.status(500).json({ message: 'Could not fetch surge settings' });
+  }
+};
+
+// Admin: replace surge configuration
+export const updateSurgeSettings = async (req, res) => {
+  try {
+    const validated = validateSurgeConfig(req.body || {});
+    if (validated.error) return res.status(400).json({ message: validated.error });
+
+    const config = { ...validated.value, updatedAt: Date.now(), updatedBy: req.user?.uid || null };
+    await surgeRef().set(config);
+    configCache = { value: null, fetchedAt: 0 };
+
+    console.log(`✓ [SURGE] Surge settings updated (enabled=${config.enabled})`);
+    broadcastServerLog(`✅ Admin updated surge settings (enabled=${config.enabled})`);
+
+    return res.status(200).json({ success: true, config });
+  } catch (err) {
+    console.error('updateSurgeSettings error', err);
+    return res.status(500).json({ message: 'Could not update surge settings' });
+  }
+};
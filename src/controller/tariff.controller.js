@@ -0,0 +1,326 @@
+import admin from '../config/firebase.js';
+import { broadcastServerLog } from './payment.controller.js';
+
+// Built-in rate card used until an admin publishes one to Firestore.
+// Capacity limits (kg / cm) cap what a vehicle may carry; packages heavier than
+// includedWeightKg or bulkier than includedVolumeL (litres) pay per extra kg / litre.
+export const DEFAULT_VEHICLE_TYPES = {
+  'Motorbike (Fastest)': {
+    basePrice: 1500,
+    perKmRate: 500,
+    perStopFee: 500,
+    maxWeightKg: 20,
+    maxLengthCm: 60,
+    maxWidthCm: 50,
+    maxHeightCm: 50,
+    includedWeightKg: 5,
+    perExtraKgRate: 100,
+    includedVolumeL: 40,
+    perExtraLitreRate: 10,
+    description: 'Fastest delivery option'
+  },
+  'Car (Fragile)': {
+    basePrice: 3500,
+    perKmRate: 1000,
+    perStopFee: 1000,
+    maxWeightKg: 100,
+    maxLengthCm: 120,
+    maxWidthCm: 80,
+    maxHeightCm: 60,
+    includedWeightKg: 20,
+    perExtraKgRate: 50,
+    includedVolumeL: 150,
+    perExtraLitreRate: 5,
+    description: 'Suitable for fragile items'
+  },
+  'Van (Large Items)': {
+    basePrice: 4000,
+    perKmRate: 2000,
+    perStopFee: 1500,
+    maxWeightKg: 800,
+    maxLengthCm: 300,
+    maxWidthCm: 170,
+    maxHeightCm: 150,
+    includedWeightKg: 100,
+    perExtraKgRate: 20,
+    includedVolumeL: 1500,
+    perExtraLitreRate: 2,
+    description: 'For large and bulky items'
+  }
+};
+
+// Optional per-vehicle package fields; when a published rate card leaves one out the
+// built-in value for a vehicle of the same name applies, otherwise there is no limit/fee
+const CAPACITY_FIELDS = ['maxWeightKg', 'maxLengthCm', 'maxWidthCm', 'maxHeightCm'];
+const PACKAGE_RATE_FIELDS = ['includedWeightKg', 'perExtraKgRate', 'includedVolumeL', 'perExtraLitreRate'];
+const MAX_CAPACITY = 100_000;
+
+const DEFAULT_TARIFF = {
+  id: 'default',
+  version: 0,
+  effectiveFrom: 0,
+  vehicleTypes: DEFAULT_VEHICLE_TYPES
+};
+
+// Cache the active rate card briefly so every booking doesn't hit Firestore
+const TARIFF_CACHE_TTL_MS = 60 * 1000;
+let tariffCache = { value: null, fetchedAt: 0 };
+
+const MAX_VEHICLE_TYPES = 20;
+const MAX_PRICE = 10_000_000;
+
+const tariffsCollection = () => admin.firestore().collection('tariffs');
+
+/**
+ * Get the rate card currently in effect (latest version whose effectiveFrom has passed).
+ * Internal helper used by orders pricing — falls back to the built-in table.
+ */
+export async function getActiveTariff() {
+  const now = Date.now();
+  if (tariffCache.value && now - tariffCache.fetchedAt < TARIFF_CACHE_TTL_MS) {
+    return tariffCache.value;
+  }
+
+  try {
+    const snap = await tariffsCollection()
+      .where('effectiveFrom', '<=', now)
+      .orderBy('effectiveFrom', 'desc')
+      .limit(1)
+      .get();
+
+    const tariff = snap.empty ? DEFAULT_TARIFF : { id: snap.docs[0].id, ...snap.docs[0].data() };
+    tariffCache = { value: tariff, fetchedAt: now };
+    return tariff;
+  } catch (err) {
+    console.error('[TARIFF] Failed to load active tariff, using last known/default:', err && err.message ? err.message : err);
+    return tariffCache.value || DEFAULT_TARIFF;
+  }
+}
+
+// Validate and normalize the vehicleTypes map submitted by an admin
+export function validateVehicleTypes(vehicleTypes) {
+  if (!vehicleTypes || typeof vehicleTypes !== 'object' || Array.isArray(vehicleTypes)) {
+    return { error: 'vehicleTypes must be an object keyed by vehicle type name' };
+  }
+
+  const names = Object.keys(vehicleTypes);
+  if (names.length === 0) return { error: 'At least one vehicle type is required' };
+  if (names.length > MAX_VEHICLE_TYPES) return { error: `At most ${MAX_VEHICLE_TYPES} vehicle types are allowed` };
+
+  const clean = {};
+  for (const rawName of names) {
+    const name = String(rawName).trim();
+    if (!name || name.length > 64) return { error: `Invalid vehicle type name: "${rawName}"` };
+
+    const entry = vehicleTypes[rawName] || {};
+    const basePrice = Number(entry.basePrice);
+    const perKmRate = Number(entry.perKmRate);
+    const perStopFee = entry.perStopFee === undefined ? 0 : Number(entry.perStopFee);
+
+    if (!Number.isFinite(basePrice) || basePrice < 0 || basePrice > MAX_PRICE) {
+      return { error: `basePrice for "${name}" must be a number between 0 and ${MAX_PRICE}` };
+    }
+    if (!Number.isFinite(perKmRate) || perKmRate < 0 || perKmRate > MAX_PRICE) {
+      return { error: `perKmRate for "${name}" must be a number between 0 and ${MAX_PRICE}` };
+    }
+    if (!Number.isFinite(perStopFee) || perStopFee < 0 || perStopFee > MAX_PRICE) {
+      return { error: `perStopFee for "${name}" must be a number between 0 and ${MAX_PRICE}` };
+    }
+
+    const packageFields = {};
+    for (const field of [...CAPACITY_FIELDS, ...PACKAGE_RATE_FIELDS]) {
+      if (entry[field] === undefined || entry[field] === null) continue;
+      const value = Number(entry[field]);
+      const max = field.startsWith('perExtra') ? MAX_PRICE : MAX_CAPACITY;
+      if (!Number.isFinite(value) || value < 0 || value > max) {
+        return { error: `${field} for "${name}" must be a number between 0 and ${max}` };
+      }
+      packageFields[field] = value;
+    }
+
+    // Only validated fields are kept: the card is served to clients as-is
+    clean[name] = {
+      basePrice,
+      perKmRate,
+      perStopFee,
+      ...packageFields,
+      description: typeof entry.description === 'string' ? entry.description.trim().slice(0, 256) : ''
+    };
+  }
+
+  return { value: clean };
+}
+
+// A vehicle's package field, falling back to the built-in vehicle of the same name
+function vehicleField(name, vehicle, field) {
+  const value = vehicle?.[field] ?? DEFAULT_VEHICLE_TYPES[name]?.[field];
+  return Number.isFinite(Number(value)) && value !== null ? Number(value) : null;
+}
+
+/**
+ * What a vehicle can carry: { maxWeightKg, maxDimensionsCm } (null means no limit)
+ */
+export function vehicleCapacity(name, vehicle) {
+  const dims = ['maxLengthCm', 'maxWidthCm', 'maxHeightCm'].map(f => vehicleField(name, vehicle, f));
+  return {
+    maxWeightKg: vehicleField(name, vehicle, 'maxWeightKg'),
+    maxDimensionsCm: dims.every(d => d !== null) ? { length: dims[0], width: dims[1], height: dims[2] } : null
+  };
+}
+
+/**
+ * Why a package does not fit a vehicle, or null when it does.
+ * Dimensions are compared longest side to longest side, so any orientation counts.
+ */
+export function checkPackageFit(name, vehicle, pkg) {
+  if (!pkg) return null;
+  const capacity = vehicleCapacity(name, vehicle);
+  if (pkg.weightKg !== null && capacity.maxWeightKg !== null && pkg.weightKg > capacity.maxWeightKg) {
+    return `${name} carries at most ${capacity.maxWeightKg} kg`;
+  }
+  if (pkg.dimensionsCm && capacity.maxDimensionsCm) {
+    const size = Object.values(pkg.dimensionsCm).sort((a, b) => b - a);
+    const limit = Object.values(capacity.maxDimensionsCm).sort((a, b) => b - a);
+    if (size.some((side, i) => side > limit[i])) {
+      const { length, width, height } = capacity.maxDimensionsCm;
+      return `${name} fits packages up to ${length} × ${width} × ${height} cm`;
+    }
+  }
+  return null;
+}
+
+/**
+ * The smallest vehicle type in the rate card that can carry the package (null if none can).
+ * Vehicles are ranked by weight limit, then cargo volume; unlimited vehicles come last.
+ */
+export function suggestVehicleType(vehicleTypes, pkg) {
+  const volumeOf = (dims) => (dims ? dims.length * dims.width * dims.height : Infinity);
+  const ranked = Object.keys(vehicleTypes)
+    .map(name => ({ name, capacity: vehicleCapacity(name, vehicleTypes[name]) }))
+    .sort((a, b) =>
+      (a.capacity.maxWeightKg ?? Infinity) - (b.capacity.maxWeightKg ?? Infinity) ||
+      volumeOf(a.capacity.maxDimensionsCm) - volumeOf(b.capacity.maxDimensionsCm));
+  const fit = ranked.find(v => !checkPackageFit(v.name, vehicleTypes[v.name], pkg));
+  return fit ? fit.name : null;
+}
+
+/**
+ * Weight and size surcharges for a package: { weightSurcharge, sizeSurcharge }
+ */
+export function packageSurcharges(name, vehicle, pkg) {
+  const result = { weightSurcharge: 0, sizeSurcharge: 0 };
+  if (!pkg) return result;
+
+  const includedKg = vehicleField(name, vehicle, 'includedWeightKg');
+  const perKg = vehicleField(name, vehicle, 'perExtraKgRate') || 0;
+  if (pkg.weightKg !== null && includedKg !== null && pkg.weightKg > includedKg) {
+    result.weightSurcharge = Math.round((pkg.weightKg - includedKg) * perKg * 100) / 100;
+  }
+
+  const includedL = vehicleField(name, vehicle, 'includedVolumeL');
+  const perLitre = vehicleField(name, vehicle, 'perExtraLitreRate') || 0;
+  if (pkg.volumeL !== null && includedL !== null && pkg.volumeL > includedL) {
+    result.sizeSurcharge = Math.round((pkg.volumeL - includedL) * perLitre * 100) / 100;
+  }
+  return result;
+}
+
+// Accept epoch milliseconds or an ISO date string; defaults to now
+function parseEffectiveFrom(value) {
+  if (value === undefined || value === null || value === '') return Date.now();
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+// Admin: list all rate card versions (newest first) plus the one currently in effect
+export const listTariffs = async (req, res) => {
+  try {
+    const snap = await tariffsCollection().orderBy('version', 'desc').limit(100).get();
+    const tariffs = snap.docs.map(d => ({ id: d.id, ...d.data() }));
+    const active = await getActiveTariff();
+    return res.status(200).json({ success: true, tariffs, activeVersion: active.version });
+  } catch (err) {
+    console.error('listTariffs error', err);
+    return res.status(500).json({ message: 'Could not list tariffs' });
+  }
+};
+
+// Admin: get the rate card currently in effect
+export const getCurrentTariff = async (req, res) => {
+  try {
+    const tariff = await getActiveTariff();
+    return res.status(200).json({ success: true, tariff });
+  } catch (err) {
+    console.error('getCurrentTariff error', err);
+    return res.status(500).json({ message: 'Could not fetch tariff' });
+  }
+};
+
+// Admin: publish a new rate card version, effective immediately or from a future date
+export const createTariff = async (req, res) => {
+  try {
+    const { vehicleTypes, effectiveFrom, note = '' } = req.body;
+
+    const validated = validateVehicleTypes(vehicleTypes);
+    if (validated.error) return res.status(400).json({ message: validated.error });
+
+    const effectiveFromMs = parseEffectiveFrom(effectiveFrom);
+    if (effectiveFromMs === null) return res.status(400).json({ message: 'effectiveFrom must be a valid date' });
+    // Past versions are history; a new version may not rewrite what already priced orders
+    if (effectiveFromMs < Date.now() - 60 * 1000) {
+      return res.status(400).json({ message: 'effectiveFrom cannot be in the past' });
+    }
+
+    const counterRef = admin.firestore().doc('settings/tariffs');
+    const tariff = await admin.firestore().runTransaction(async (t) => {
+      const counterSnap = await t.get(counterRef);
+      const version = (Number(counterSnap.exists ? counterSnap.data().latestVersion : 0) || 0) + 1;
+      const ref = tariffsCollection().doc(`v${version}`);
+      const doc = {
+        version,
+        effectiveFrom: effectiveFromMs,
+        vehicleTypes: validated.value,
+        note: typeof note === 'string' ? note.trim().slice(0, 500) : '',
+        createdBy: req.user?.uid || null,
+        createdAt: Date.now()
+      };
+      t.set(ref, doc);
+      t.set(counterRef, { latestVersion: version, updatedAt: Date.now() }, { merge: true });
+      return { id: ref.id, ...doc };
+    });
+
+    tariffCache = { value: null, fetchedAt: 0 };
+
+    console.log(`[ADMIN] Published tariff v${tariff.version} effective ${new Date(tariff.effectiveFrom).toISOString()}`);
+    broadcastServerLog(`✅ Admin published tariff v${tariff.version}`);
+
+    return res.status(201).json({ success: true, tariff });
+  } catch (err) {
+    console.error('createTariff error', err);
+    return res.status(500).json({ message: 'Could not create tariff' });
+  }
+};
+
+// Admin: withdraw a scheduled rate card version that has not taken effect yet
+export const deleteTariff = async (req, res) => {
+  try {
+    const { tariffId } = req.params;
+    if (!tariffId) return res.status(400).json({ message: 'Missing tariffId' });
+
+    const ref = tariffsCollection().doc(tariffId);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Tariff not found' });
+
+    if (Number(snap.data().effectiveFrom) <= Date.now()) {
+      return res.status(400).json({ message: 'Only tariffs that have not taken effect can be deleted' });
+    }
+
+    await ref.delete();
+    tariffCache = { value: null, fetchedAt: 0 };
+
+    return res.status(200).json({ success: true, message: 'Tariff deleted' });
+  } catch (err) {
+    console.error('deleteTariff error', err);
+    return res.status(500).json({ message: 'Could not delete tariff' });
+  }
+};
@@ -0,0 +1,123 @@
+import admin from '../config/firebase.js';
+import crypto from 'crypto';
+import { notifyTrackingSubscribers } from './payment.controller.js';
+
+// Tracking codes look like ASAP-7KQ3-M9XZ: no 0/O or 1/I so they can be read over the phone
+const CODE_ALPHABET = '23456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+const CODE_RE = /^ASAP-[2-9A-HJ-NP-Z]{4}-[2-9A-HJ-NP-Z]{4}$/;
+
+const trackingRef = (code) => admin.firestore().collection('trackingCodes').doc(code);
+
+const randomBlock = () => Array.from({ length: 4 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]).join('');
+
+export const normalizeTrackingCode = (code) => String(code || '').trim().toUpperCase();
+
+export const isValidTrackingCode = (code) => CODE_RE.test(code);
+
+/**
+ * Pick an unused tracking code. The caller writes the index doc with
+ * registerTrackingCode in the same batch that creates the order.
+ */
+export async function allocateTrackingCode() {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const code = `ASAP-${randomBlock()}-${randomBlock()}`;
+    const snap = await trackingRef(code).get();
+    if (!snap.exists) return code;
+  }
+  throw new Error('Could not allocate tracking code');
+}
+
+/**
+ * Queue the code → order index in a batch/transaction (create() fails on a collision)
+ */
+export function registerTrackingCode(batch, code, uid, orderId) {
+  batch.create(trackingRef(code), { uid, orderId, createdAt: Date.now() });
+}
+
+export async function releaseTrackingCode(code) {
+  if (!code) return;
+  try {
+    await trackingRef(code).delete();
+  } catch (err) {
+    console.warn(`[TRACKING] Could not release tracking code ${code}:`, err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Public view of an order: no contact details, phone numbers or prices
+ */
+export function buildTrackingView(order, history = []) {
+  const meta = order.metadata || {};
+  return {
+    trackingCode: order.trackingCode,
+    status: order.status,
+    vehicleType: meta.vehicleType || null,
+    pickup: meta.pickup ? { address: meta.pickup.address } : null,
+    destination: meta.destination ? { address: meta.destination.address } : null,
+    stops: Array.isArray(order.stops)
+      ? order.stops.map(st => ({ index: st.index, address: st.address, status: st.status, completedAt: st.completedAt || null }))
+      : null,
+    scheduledFor: order.scheduledFor || null,
+    eta: order.eta || null,
+    createdAt: order.createdAt || null,
+    updatedAt: order.updatedAt || order.createdAt || null,
+    timeline: history.map(h => ({ status: h.to, at: h.at }))
+  };
+}
+
+/**
+ * Push a status change to anyone watching this order's tracking page
+ */
+export function publishTrackingUpdate(order) {
+  if (!order || !order.trackingCode) return;
+  try {
+    notifyTrackingSubscribers(order.trackingCode, 'tracking_update', {
+      trackingCode: order.trackingCode,
+      status: order.status,
+      stops: Array.isArray(order.stops)
+        ? order.stops.map(st => ({ index: st.index, status: st.status, completedAt: st.completedAt || null }))
+        : null,
+      eta: order.eta || null,
+      updatedAt: order.updatedAt || Date.now()
+    });
+  } catch (err) {
+    console.warn('[TRACKING] Failed to publish tracking update:', err && err.message ? err.message : err);
+  }
+}
+
+/**
+ * Resolve a tracking code to its order document reference, or null
+ */
+export async function findOrderRefByTrackingCode(code) {
+  const snap = await trackingRef(code).get();
+  if (!snap.exists) return null;
+  const { uid, orderId } = snap.data();
+  return admin.firestore().collection('users').doc(uid).collection('orders').doc(orderId);
+}
+
+/**
+ * GET /api/track/:code
+ * Public (no login) — redacted shipment status for recipients
+ */
+export const trackShipment = async (req, res) => {
+  try {
+    const code = normalizeTrackingCode(req.params.code);
+    if (!isValidTrackingCode(code)) {
+      return res.status(400).json({ message: 'Invalid tracking code' });
+    }
+
+    const orderRef = await findOrderRefByTrackingCode(code);
+    const orderSnap = orderRef ? await orderRef.get() : null;
+    if (!orderSnap || !orderSnap.exists) {
+      return res.status(404).json({ message: 'Shipment not found' });
+    }
+
+    const historySnap = await orderRef.collection('history').orderBy('at', 'asc').limit(100).get();
+    const history = historySnap.docs.map(d => d.data());
+
+    return res.status(200).json({ success: true, shipment: buildTrackingView(orderSnap.data(), history) });
+  } catch (err) {
+    console.error('trackShipment error', err);
+    return res.status(500).json({ message: 'Could not fetch shipment' });
+  }
+};
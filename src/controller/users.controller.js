@@ -167,6 +167,33 @@ export const deleteAccount = async (req, res) => {
       console.log(`[USER DELETE] Deleted ${sessionsSnap.size} sessions for user ${uidToDelete}`);
     }
 
+    // 6b. Stop recurring bookings (subcollections are not removed with the user document)
+    const recurringSnap = await userRef.collection('recurringBookings').get();
+    if (!recurringSnap.empty) {
+      const recurringBatch = admin.firestore().batch();
+      recurringSnap.docs.forEach((doc) => recurringBatch.delete(doc.ref));
+      await recurringBatch.commit();
+      console.log(`[USER DELETE] Deleted ${recurringSnap.size} recurring bookings for user ${uidToDelete}`);
+    }
+
+    // 6c. Delete saved addresses
+    const addressesSnap = await userRef.collection('addresses').get();
+    if (!addressesSnap.empty) {
+      const addressesBatch = admin.firestore().batch();
+      addressesSnap.docs.forEach((doc) => addressesBatch.delete(doc.ref));
+      await addressesBatch.commit();
+      console.log(`[USER DELETE] Deleted ${addressesSnap.size} saved addresses for user ${uidToDelete}`);
+    }
+
+    // 6d. Delete bulk import records
+    const importsSnap = await userRef.collection('imports').get();
+    if (!importsSnap.empty) {
+      const importsBatch = admin.firestore().batch();
+      importsSnap.docs.forEach((doc) => importsBatch.delete(doc.ref));
+      await importsBatch.commit();
+      console.log(`[USER DELETE] Deleted ${importsSnap.size} bulk imports for user ${uidToDelete}`);
+    }
+
     // 7. Delete user document from Firestore
     await userRef.delete();
     console.log(`[USER DELETE] Deleted user document for ${uidToDelete} from Firestore`);
@@ -0,0 +1,267 @@
+import admin from '../config/firebase.js';
+import { broadcastServerLog } from './payment.controller.js';
+import { calculateDistance, pointInGeometry, normalizeGeometry, geometryBounds } from '../utils/geo.js';
+
+// Legacy service area used until admins upload zones: 20km around central Abeokuta
+const DEFAULT_ZONE = {
+  id: 'abeokuta-default',
+  name: 'Abeokuta',
+  city: 'Abeokuta',
+  center: { lat: 7.1475, lng: 3.3619 },
+  radiusKm: 20,
+  priority: 0,
+  inZonePrices: {},
+  outOfZone: { allowed: true, surcharge: 0, perKmMultiplier: 1 },
+  isDefault: true
+};
+
+const DEFAULT_OUT_OF_ZONE = { allowed: true, surcharge: 0, perKmMultiplier: 1 };
+
+const ZONES_CACHE_TTL_MS = 60 * 1000;
+let zonesCache = { value: null, fetchedAt: 0 };
+
+const zonesCollection = () => admin.firestore().collection('zones');
+
+// Firestore cannot store nested arrays, so geometry is persisted as a JSON string
+const hydrateZone = (doc) => {
+  const data = doc.data();
+  let geometry = null;
+  try {
+    geometry = data.geometry ? JSON.parse(data.geometry) : null;
+  } catch (e) {
+    console.warn(`[ZONES] Zone ${doc.id} has unreadable geometry`);
+  }
+  return { id: doc.id, ...data, geometry };
+};
+
+/**
+ * Get active service zones, highest priority first.
+ * Internal helper used by pricing — returns the legacy Abeokuta radius when none are configured.
+ */
+export async function getActiveZones() {
+  const now = Date.now();
+  if (zonesCache.value && now - zonesCache.fetchedAt < ZONES_CACHE_TTL_MS) {
+    return zonesCache.value;
+  }
+
+  try {
+    const snap = await zonesCollection().where('active', '==', true).get();
+    const zones = snap.docs.map(hydrateZone)
+      .filter(z => z.geometry)
+      .sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    const value = zones.length ? zones : [DEFAULT_ZONE];
+    zonesCache = { value, fetchedAt: now };
+    return value;
+  } catch (err) {
+    console.error('[ZONES] Failed to load zones, using last known/default:', err && err.message ? err.message : err);
+    return zonesCache.value || [DEFAULT_ZONE];
+  }
+}
+
+const zoneContains = (zone, lat, lng) => {
+  if (zone.geometry) return pointInGeometry(lat, lng, zone.geometry);
+  if (zone.center && zone.radiusKm) {
+    return calculateDistance(lat, lng, zone.center.lat, zone.center.lng) <= zone.radiusKm;
+  }
+  return false;
+};
+
+/**
+ * Find the zone containing a point (first match in priority order), or null
+ */
+export function resolveZone(lat, lng, zones) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+  return zones.find(zone => zoneContains(zone, lat, lng)) || null;
+}
+
+/**
+ * Out-of-zone rules for a zone, with defaults filled in
+ */
+export function getOutOfZoneRules(zone) {
+  return { ...DEFAULT_OUT_OF_ZONE, ...(zone && zone.outOfZone ? zone.outOfZone : {}) };
+}
+
+const zoneBounds = (zone) => {
+  if (zone.geometry) return geometryBounds(zone.geometry);
+  const dLat = zone.radiusKm / 111;
+  const dLng = zone.radiusKm / (111 * Math.cos(zone.center.lat * Math.PI / 180));
+  return { minLat: zone.center.lat - dLat, maxLat: zone.center.lat + dLat, minLng: zone.center.lng - dLng, maxLng: zone.center.lng + dLng };
+};
+
+/**
+ * Box around the given zones as a geocoder viewbox [minLng, maxLat, maxLng, minLat], or null
+ */
+export function zonesViewbox(zones) {
+  const boxes = zones.filter(z => z.geometry || (z.center && z.radiusKm)).map(zoneBounds);
+  if (!boxes.length) return null;
+  const round = (v) => Math.round(v * 10000) / 10000;
+  return [
+    round(Math.min(...boxes.map(b => b.minLng))),
+    round(Math.max(...boxes.map(b => b.maxLat))),
+    round(Math.max(...boxes.map(b => b.maxLng))),
+    round(Math.min(...boxes.map(b => b.minLat)))
+  ];
+}
+
+// Compact zone reference stored on quotes and orders
+export const summarizeZone = (zone) => (zone ? { id: zone.id, name: zone.name, city: zone.city || '' } : null);
+
+// Validate admin-supplied zone fields; partial=true for updates
+function validateZoneInput(body, partial = false) {
+  const out = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim().slice(0, 128) : '';
+    if (!name) return { error: 'Zone name is required' };
+    out.name = name;
+  }
+
+  if (!partial || body.city !== undefined) {
+    const city = typeof body.city === 'string' ? body.city.trim().slice(0, 128) : '';
+    if (!city) return { error: 'City is required' };
+    out.city = city;
+  }
+
+  if (!partial || body.geometry !== undefined) {
+    const { geometry, error } = normalizeGeometry(body.geometry);
+    if (error) return { error };
+    out.geometry = JSON.stringify(geometry);
+  }
+
+  if (body.inZonePrices !== undefined) {
+    if (!body.inZonePrices || typeof body.inZonePrices !== 'object' || Array.isArray(body.inZonePrices)) {
+      return { error: 'inZonePrices must be an object keyed by vehicle type' };
+    }
+    const prices = {};
+    for (const [vehicleType, value] of Object.entries(body.inZonePrices)) {
+      const price = Number(value);
+      if (!Number.isFinite(price) || price < 0) return { error: `Invalid in-zone price for "${vehicleType}"` };
+      prices[vehicleType] = price;
+    }
+    out.inZonePrices = prices;
+  } else if (!partial) {
+    out.inZonePrices = {};
+  }
+
+  if (body.outOfZone !== undefined) {
+    const rules = body.outOfZone || {};
+    const surcharge = rules.surcharge === undefined ? 0 : Number(rules.surcharge);
+    const perKmMultiplier = rules.perKmMultiplier === undefined ? 1 : Number(rules.perKmMultiplier);
+    if (!Number.isFinite(surcharge) || surcharge < 0) return { error: 'outOfZone.surcharge must be a non-negative number' };
+    if (!Number.isFinite(perKmMultiplier) || perKmMultiplier <= 0 || perKmMultiplier > 10) {
+      return { error: 'outOfZone.perKmMultiplier must be between 0 and 10' };
+    }
+    out.outOfZone = { allowed: rules.allowed !== false, surcharge, perKmMultiplier };
+  } else if (!partial) {
+    out.outOfZone = { ...DEFAULT_OUT_OF_ZONE };
+  }
+
+  if (body.priority !== undefined) {
+    const priority = Number(body.priority);
+    if (!Number.isInteger(priority)) return { error: 'priority must be an integer' };
+    out.priority = priority;
+  } else if (!partial) {
+    out.priority = 0;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be a boolean' };
+    out.active = body.active;
+  } else if (!partial) {
+    out.active = true;
+  }
+
+  return { value: out };
+}
+
+const serializeZone = (id, data) => ({
+  id,
+  ...data,
+  geometry: typeof data.geometry === 'string' ? JSON.parse(data.geometry) : data.geometry
+});
+
+// Admin: list all zones (active and inactive)
+export const listZones = async (req, res) => {
+  try {
+    const snap = await zonesCollection().get();
+    const zones = snap.docs.map(hydrateZone).sort((a, b) => (b.priority || 0) - (a.priority || 0));
+    return res.status(200).json({ success: true, zones, usingDefault: zones.filter(z => z.active).length === 0 });
+  } catch (err) {
+    console.error('listZones error', err);
+    return res.status(500).json({ message: 'Could not list zones' });
+  }
+};
+
+// Admin: create a zone from a GeoJSON polygon
+export const createZone = async (req, res) => {
+  try {
+    const validated = validateZoneInput(req.body || {});
+    if (validated.error) return res.status(400).json({ message: validated.error });
+
+    const ref = zonesCollection().doc();
+    const doc = {
+      ...validated.value,
+      createdBy: req.user?.uid || null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    await ref.set(doc);
+    zonesCache = { value: null, fetchedAt: 0 };
+
+    console.log(`[ADMIN] Created zone ${ref.id} (${doc.name}, ${doc.city})`);
+    broadcastServerLog(`✅ Admin created zone: ${doc.name} (${doc.city})`);
+
+    return res.status(201).json({ success: true, zone: serializeZone(ref.id, doc) });
+  } catch (err) {
+    console.error('createZone error', err);
+    return res.status(500).json({ message: 'Could not create zone' });
+  }
+};
+
+// Admin: update zone fields (geometry, prices, rules, priority, active flag)
+export const updateZone = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    if (!zoneId) return res.status(400).json({ message: 'Missing zoneId' });
+
+    const ref = zonesCollection().doc(zoneId);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Zone not found' });
+
+    const validated = validateZoneInput(req.body || {}, true);
+    if (validated.error) return res.status(400).json({ message: validated.error });
+    if (Object.keys(validated.value).length === 0) {
+      return res.status(400).json({ message: 'No zone fields to update' });
+    }
+
+    const updates = { ...validated.value, updatedAt: Date.now() };
+    await ref.set(updates, { merge: true });
+    zonesCache = { value: null, fetchedAt: 0 };
+
+    return res.status(200).json({ success: true, zone: serializeZone(zoneId, { ...snap.data(), ...updates }) });
+  } catch (err) {
+    console.error('updateZone error', err);
+    return res.status(500).json({ message: 'Could not update zone' });
+  }
+};
+
+// Admin: delete a zone
+export const deleteZone = async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    if (!zoneId) return res.status(400).json({ message: 'Missing zoneId' });
+
+    const ref = zonesCollection().doc(zoneId);
+    const snap = await ref.get();
+    if (!snap.exists) return res.status(404).json({ message: 'Zone not found' });
+
+    await ref.delete();
+    zonesCache = { value: null, fetchedAt: 0 };
+
+    broadcastServerLog(`✅ Admin deleted zone: ${snap.data().name || zoneId}`);
+    return res.status(200).json({ success: true, message: 'Zone deleted' });
+  } catch (err) {
+    console.error('deleteZone error', err);
+    return res.status(500).json({ message: 'Could not delete zone' });
+  }
+};
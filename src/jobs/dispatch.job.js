@@ -0,0 +1,246 @@
+import admin from '../config/firebase.js';
+import { notifyAdmins, notifyUser, broadcastServerLog } from '../controller/payment.controller.js';
+import { offerOrderToDriver } from '../controller/driver.controller.js';
+import { calculateDistance } from '../utils/geo.js';
+
+// Auto-dispatch: a new pending booking is offered to the nearest online driver of the
+// booked vehicle type. If the offer times out or is declined it falls through to the next
+// candidate; when nobody is left (or too many tries) the order is escalated to admins.
+//
+// order.dispatch = { state: 'searching' | 'offered' | 'assigned' | 'escalated' | 'manual' | 'closed', attempts, ... }
+const AUTO_DISPATCH_ENABLED = process.env.AUTO_DISPATCH !== 'false';
+const OFFER_TIMEOUT_MS = (Number(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 45) * 1000;
+const MAX_ATTEMPTS = Number(process.env.DISPATCH_MAX_ATTEMPTS) || 5;
+const MAX_RADIUS_KM = Number(process.env.DISPATCH_MAX_RADIUS_KM) || 15;
+const DRIVER_STALE_MS = (Number(process.env.DISPATCH_DRIVER_STALE_MINUTES) || 5) * 60 * 1000;
+const POLL_INTERVAL_MS = Number(process.env.DISPATCH_POLL_MS) || 15 * 1000;
+const STUCK_SEARCH_MS = 30 * 1000;
+
+let timer = null;
+let running = false;
+const offerTimers = new Map();
+
+const orderRefOf = (uid, orderId) => admin.firestore().collection('users').doc(uid).collection('orders').doc(orderId);
+
+function pickupPoint(order) {
+  const coords = order.metadata?.coordinates || {};
+  const lat = Number(coords.pickupLat);
+  const lng = Number(coords.pickupLng);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+/**
+ * Online, approved, idle drivers of the given vehicle type with a recent location,
+ * nearest first. Drivers in `exclude` are skipped.
+ */
+export async function rankCandidateDrivers(vehicleType, pickup, exclude = []) {
+  const snap = await admin.firestore().collection('drivers')
+    .where('online', '==', true)
+    .where('vehicleType', '==', vehicleType)
+    .get();
+  return rankDrivers(snap.docs.map(d => d.data()), pickup, exclude);
+}
+
+/**
+ * Filter and order already-loaded driver docs as rankCandidateDrivers does
+ */
+export function rankDrivers(drivers, pickup, exclude = [], now = Date.now()) {
+  return drivers
+    .filter(driver => driver.approved === true && driver.active !== false && !driver.activeOrderId)
+    .filter(driver => !exclude.includes(driver.uid))
+    .filter(driver => driver.location && now - (driver.location.at || 0) <= DRIVER_STALE_MS)
+    .map(driver => ({
+      uid: driver.uid,
+      fullName: driver.fullName,
+      distanceKm: Math.round(calculateDistance(pickup.lat, pickup.lng, driver.location.lat, driver.location.lng) * 100) / 100
+    }))
+    .filter(candidate => candidate.distanceKm <= MAX_RADIUS_KM)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+async function escalate(orderRef, order, reason) {
+  const now = Date.now();
+  await orderRef.set({ dispatch: { state: 'escalated', escalatedAt: now, escalationReason: reason, updatedAt: now } }, { merge: true });
+  notifyAdmins('dispatch_escalated', {
+    orderId: order.id,
+    uid: order.uid,
+    vehicleType: order.metadata?.vehicleType,
+    pickup: order.metadata?.pickup?.address,
+    attempts: order.dispatch?.attempts || 0,
+    reason
+  });
+  broadcastServerLog(`⚠️ Auto-dispatch could not place order ${order.id}: ${reason}`);
+  console.warn(`[DISPATCH] Escalated order ${order.id}: ${reason}`);
+}
+
+function scheduleOfferTimeout(uid, orderId) {
+  const key = `${uid}/${orderId}`;
+  clearTimeout(offerTimers.get(key));
+  const handle = setTimeout(() => {
+    offerTimers.delete(key);
+    expireOfferAndContinue(uid, orderId).catch(err =>
+      console.error(`[DISPATCH] Offer timeout handling failed for ${orderId}:`, err && err.message ? err.message : err));
+  }, OFFER_TIMEOUT_MS + 500);
+  if (handle.unref) handle.unref();
+  offerTimers.set(key, handle);
+}
+
+/**
+ * Offer the order to the next best driver, or escalate when nobody is left.
+ */
+export async function dispatchNextDriver(uid, orderId) {
+  const orderRef = orderRefOf(uid, orderId);
+  const snap = await orderRef.get();
+  if (!snap.exists) return;
+  const order = snap.data();
+
+  if (order.status !== 'pending') {
+    if (order.dispatch && !['assigned', 'closed'].includes(order.dispatch.state)) {
+      await orderRef.set({ dispatch: { state: order.status === 'assigned' ? 'assigned' : 'closed', updatedAt: Date.now() } }, { merge: true });
+    }
+    return;
+  }
+  if (order.assignment?.status === 'offered' && (!order.assignment.expiresAt || order.assignment.expiresAt > Date.now())) {
+    return; // someone is already looking at it
+  }
+  // Only orders under auto-dispatch; admins own escalated and manually assigned ones
+  if (!order.dispatch || ['escalated', 'manual'].includes(order.dispatch.state)) return;
+
+  const pickup = pickupPoint(order);
+  if (!pickup) return escalate(orderRef, order, 'Order has no pickup coordinates');
+
+  let attempts = order.dispatch?.attempts || 0;
+  if (attempts >= MAX_ATTEMPTS) return escalate(orderRef, order, `No driver accepted after ${attempts} offers`);
+
+  const tried = [...new Set([...(order.dispatch?.tried || []), ...(order.rejectedDrivers || [])])];
+  const candidates = await rankCandidateDrivers(order.metadata?.vehicleType, pickup, tried);
+
+  for (const candidate of candidates) {
+    if (attempts >= MAX_ATTEMPTS) break;
+    attempts++;
+    const expiresAt = Date.now() + OFFER_TIMEOUT_MS;
+    const result = await offerOrderToDriver({
+      uid,
+      orderId,
+      driverUid: candidate.uid,
+      actor: { role: 'system' },
+      expiresAt
+    });
+    // Offer can fail if the driver just took another job; try the next one
+    await orderRef.set({
+      dispatch: {
+        state: result.error ? 'searching' : 'offered',
+        attempts,
+        tried: admin.firestore.FieldValue.arrayUnion(candidate.uid),
+        updatedAt: Date.now(),
+        ...(result.error ? {} : { currentDriverUid: candidate.uid, currentDistanceKm: candidate.distanceKm, lastOfferedAt: Date.now() })
+      }
+    }, { merge: true });
+    if (!result.error) {
+      scheduleOfferTimeout(uid, orderId);
+      console.log(`[DISPATCH] Order ${orderId} offered to ${candidate.uid} (${candidate.distanceKm} km, attempt ${attempts})`);
+      return;
+    }
+  }
+
+  const reason = candidates.length
+    ? `No driver accepted after ${attempts} offers`
+    : `No available ${order.metadata?.vehicleType || 'matching'} drivers within ${MAX_RADIUS_KM} km`;
+  return escalate(orderRef, { ...order, dispatch: { ...order.dispatch, attempts } }, reason);
+}
+
+/**
+ * Withdraw an offer that was not answered in time, then move on to the next driver.
+ */
+export async function expireOfferAndContinue(uid, orderId) {
+  const orderRef = orderRefOf(uid, orderId);
+  const expired = await admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(orderRef);
+    if (!snap.exists) return null;
+    const assignment = snap.data().assignment;
+    if (!assignment || assignment.status !== 'offered' || !assignment.expiresAt || assignment.expiresAt > Date.now()) return null;
+    t.set(orderRef, {
+      driverUid: null,
+      assignment: null,
+      rejectedDrivers: admin.firestore.FieldValue.arrayUnion(assignment.driverUid),
+      dispatch: { state: 'searching', updatedAt: Date.now() },
+      updatedAt: Date.now()
+    }, { merge: true });
+    return assignment;
+  });
+
+  if (expired) {
+    notifyUser(expired.driverUid, 'job_offer_expired', { orderId });
+    console.log(`[DISPATCH] Offer for order ${orderId} to ${expired.driverUid} expired`);
+  }
+  return dispatchNextDriver(uid, orderId);
+}
+
+/**
+ * Kick off auto-dispatch for a freshly pending order (new booking or promoted scheduled booking).
+ * Fire-and-forget: errors are logged, never thrown to the caller.
+ */
+export function startAutoDispatch(uid, orderId) {
+  if (!AUTO_DISPATCH_ENABLED) return;
+  (async () => {
+    await orderRefOf(uid, orderId).set({
+      dispatch: { state: 'searching', attempts: 0, tried: [], startedAt: Date.now(), updatedAt: Date.now() }
+    }, { merge: true });
+    await dispatchNextDriver(uid, orderId);
+  })().catch(err => console.error(`[DISPATCH] Auto-dispatch failed for order ${orderId}:`, err && err.message ? err.message : err));
+}
+
+/**
+ * Continue auto-dispatch after a driver declines (no-op for orders not under auto-dispatch)
+ */
+export function continueAutoDispatch(order) {
+  if (!AUTO_DISPATCH_ENABLED || !order.dispatch || !['searching', 'offered'].includes(order.dispatch.state)) return;
+  (async () => {
+    await orderRefOf(order.uid, order.id).set({ dispatch: { state: 'searching', updatedAt: Date.now() } }, { merge: true });
+    await dispatchNextDriver(order.uid, order.id);
+  })().catch(err => console.error(`[DISPATCH] Could not continue dispatch for order ${order.id}:`, err && err.message ? err.message : err));
+}
+
+// Safety net for restarts and lost timers: expire overdue offers and retry stalled searches
+export async function sweepDispatches() {
+  if (running) return;
+  running = true;
+  try {
+    const now = Date.now();
+    const snap = await admin.firestore().collectionGroup('orders')
+      .where('dispatch.state', 'in', ['searching', 'offered'])
+      .limit(100)
+      .get();
+
+    for (const doc of snap.docs) {
+      const order = doc.data();
+      try {
+        const offer = order.assignment;
+        if (offer?.status === 'offered' && offer.expiresAt && offer.expiresAt <= now) {
+          await expireOfferAndContinue(order.uid, order.id);
+        } else if (!offer && now - (order.dispatch.updatedAt || 0) > STUCK_SEARCH_MS) {
+          await dispatchNextDriver(order.uid, order.id);
+        }
+      } catch (orderErr) {
+        console.error(`[DISPATCH] Sweep failed for order ${doc.id}:`, orderErr && orderErr.message ? orderErr.message : orderErr);
+      }
+    }
+  } catch (err) {
+    console.error('[DISPATCH] Dispatch sweep failed:', err && err.message ? err.message : err);
+  } finally {
+    running = false;
+  }
+}
+
+export function startDispatchEngine() {
+  if (timer || !AUTO_DISPATCH_ENABLED) return;
+  timer = setInterval(sweepDispatches, POLL_INTERVAL_MS);
+  console.log(`[DISPATCH] Auto-dispatch running (offer timeout ${OFFER_TIMEOUT_MS / 1000}s, radius ${MAX_RADIUS_KM} km)`);
+}
+
+export function stopDispatchEngine() {
+  if (timer) clearInterval(timer);
+  timer = null;
+  offerTimers.forEach(handle => clearTimeout(handle));
+  offerTimers.clear();
+}
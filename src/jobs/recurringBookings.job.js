@@ -0,0 +1,136 @@
+import admin from '../config/firebase.js';
+import { notifyUser } from '../controller/payment.controller.js';
+import { placeBooking } from '../controller/orders.controller.js';
+import { nextOccurrence } from '../controller/recurring.controller.js';
+
+// Books each recurring booking's next run BOOK_AHEAD_MINUTES before its pickup time, through
+// the same path as bookDriver (so the wallet is debited per run). A run that can't be booked,
+// e.g. for lack of funds, is skipped and the user is told; the schedule carries on.
+const POLL_INTERVAL_MS = Number(process.env.RECURRING_POLL_MS) || 60 * 1000;
+const BOOK_AHEAD_MS = (Number(process.env.RECURRING_BOOK_AHEAD_MINUTES) || 120) * 60 * 1000;
+// Runs further in the past than this (server was down) are skipped rather than booked late
+const MISSED_RUN_GRACE_MS = 5 * 60 * 1000;
+const BATCH_LIMIT = 50;
+
+let timer = null;
+let running = false;
+
+// Claim a due run so a second instance can't book it too; returns the run time or null
+async function claimRun(ref) {
+  return admin.firestore().runTransaction(async (t) => {
+    const snap = await t.get(ref);
+    if (!snap.exists) return null;
+    const plan = snap.data();
+    if (!plan.active || !plan.nextRunAt || plan.nextRunAt > Date.now() + BOOK_AHEAD_MS) return null;
+
+    const next = nextOccurrence(plan.schedule, plan.nextRunAt, plan.endDate);
+    t.set(ref, {
+      nextRunAt: next,
+      active: next !== null,
+      ...(next === null ? { completedAt: Date.now() } : {}),
+      lastRunAt: Date.now(),
+      updatedAt: Date.now()
+    }, { merge: true });
+    return { runAt: plan.nextRunAt, plan, finished: next === null };
+  });
+}
+
+async function recordSkip(ref, plan, runAt, reason, extra = {}) {
+  const now = Date.now();
+  await ref.set({
+    skips: admin.firestore.FieldValue.increment(1),
+    lastResult: { status: 'skipped', runAt, reason, at: now }
+  }, { merge: true });
+  notifyUser(plan.uid, 'recurring_booking_skipped', { recurringBookingId: plan.id, name: plan.name || '', runAt, reason, ...extra });
+  console.warn(`[RECURRING] Skipped run of ${plan.id} for ${new Date(runAt).toISOString()}: ${reason}`);
+}
+
+async function runRecurringBooking(ref) {
+  const claimed = await claimRun(ref);
+  if (!claimed) return false;
+  const { runAt, plan, finished } = claimed;
+
+  if (runAt < Date.now() - MISSED_RUN_GRACE_MS) {
+    await recordSkip(ref, plan, runAt, 'The pickup time passed before this run could be booked');
+    return true;
+  }
+
+  // The run is already claimed, so a crash here must still be recorded rather than lost
+  let result;
+  try {
+    result = await placeBooking(plan.uid, { ...plan.template, pickupTime: runAt, paymentMethod: 'wallet' }, {
+      skipRateLimit: true,
+      orderFields: { recurringBookingId: plan.id },
+      historyNote: `Recurring booking${plan.name ? ` "${plan.name}"` : ''} for ${new Date(runAt).toISOString()}`,
+      actorRole: 'system'
+    });
+  } catch (bookErr) {
+    console.error(`[RECURRING] Booking run of ${plan.id} threw:`, bookErr && bookErr.message ? bookErr.message : bookErr);
+    await recordSkip(ref, plan, runAt, 'Booking failed');
+    return true;
+  }
+
+  if (result.status !== 201) {
+    const { message, requiredAmount, currentBalance } = result.body || {};
+    await recordSkip(ref, plan, runAt, message || 'Booking failed',
+      requiredAmount !== undefined ? { requiredAmount, currentBalance } : {});
+    return true;
+  }
+
+  const order = result.body.order;
+  await ref.set({
+    runs: admin.firestore.FieldValue.increment(1),
+    lastResult: { status: 'booked', runAt, orderId: order.id, total: order.total, at: Date.now() }
+  }, { merge: true });
+  notifyUser(plan.uid, 'recurring_booking_created', {
+    recurringBookingId: plan.id,
+    name: plan.name || '',
+    runAt,
+    orderId: order.id,
+    total: order.total,
+    finished
+  });
+  console.log(`[RECURRING] Booked order ${order.id} from recurring booking ${plan.id}`);
+  return true;
+}
+
+export async function processRecurringBookings() {
+  // Skip if the previous run is still going
+  if (running) return 0;
+  running = true;
+  let processed = 0;
+
+  try {
+    const snap = await admin.firestore().collectionGroup('recurringBookings')
+      .where('active', '==', true)
+      .where('nextRunAt', '<=', Date.now() + BOOK_AHEAD_MS)
+      .limit(BATCH_LIMIT)
+      .get();
+
+    for (const doc of snap.docs) {
+      try {
+        if (await runRecurringBooking(doc.ref)) processed++;
+      } catch (runErr) {
+        console.error(`[RECURRING] Failed to run recurring booking ${doc.id}:`, runErr && runErr.message ? runErr.message : runErr);
+      }
+    }
+  } catch (err) {
+    console.error('[RECURRING] Recurring booking scan failed:', err && err.message ? err.message : err);
+  } finally {
+    running = false;
+  }
+
+  return processed;
+}
+
+export function startRecurringBookings() {
+  if (timer) return;
+  timer = setInterval(processRecurringBookings, POLL_INTERVAL_MS);
+  processRecurringBookings();
+  console.log(`[RECURRING] Recurring bookings running every ${POLL_INTERVAL_MS / 1000}s`);
+}
+
+export function stopRecurringBookings() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,87 @@
+import admin from '../config/firebase.js';
+import { notifyAdmins, notifyUser } from '../controller/payment.controller.js';
+import { appendStatusHistory } from '../controller/orderStatus.controller.js';
+import { publishTrackingUpdate } from '../controller/tracking.controller.js';
+import { refreshOrderEta } from '../controller/eta.controller.js';
+import { startAutoDispatch } from './dispatch.job.js';
+
+// Promotes 'scheduled' bookings to 'pending' once their dispatchAt time arrives
+// (bookDriver sets dispatchAt a little before the requested pickup time).
+const POLL_INTERVAL_MS = Number(process.env.SCHEDULER_POLL_MS) || 60 * 1000;
+const BATCH_LIMIT = 100;
+
+let timer = null;
+let running = false;
+
+export async function promoteDueScheduledOrders() {
+  // Skip if the previous run is still going (slow Firestore, big batch)
+  if (running) return 0;
+  running = true;
+  let promotedCount = 0;
+
+  try {
+    const now = Date.now();
+    const snap = await admin.firestore().collectionGroup('orders')
+      .where('status', '==', 'scheduled')
+      .where('dispatchAt', '<=', now)
+      .limit(BATCH_LIMIT)
+      .get();
+
+    for (const doc of snap.docs) {
+      try {
+        // Re-check inside a transaction so a cancelled order or a second instance can't double-promote
+        const order = await admin.firestore().runTransaction(async (t) => {
+          const fresh = await t.get(doc.ref);
+          if (!fresh.exists || fresh.data().status !== 'scheduled') return null;
+          t.update(doc.ref, { status: 'pending', promotedAt: now, updatedAt: now, statusUpdatedAt: now });
+          appendStatusHistory(t, doc.ref, { from: 'scheduled', to: 'pending', note: 'Scheduled pickup is due' });
+          return fresh.data();
+        });
+        if (!order) continue;
+        promotedCount++;
+
+        notifyAdmins('scheduled_order_due', {
+          orderId: doc.id,
+          uid: order.uid,
+          scheduledFor: order.scheduledFor,
+          vehicleType: order.metadata?.vehicleType,
+          pickup: order.metadata?.pickup?.address,
+          destination: order.metadata?.destination?.address
+        });
+        notifyUser(order.uid, 'order_status_update', {
+          orderId: doc.id,
+          status: 'pending',
+          updatedAt: now
+        });
+        publishTrackingUpdate({ ...order, status: 'pending', updatedAt: now });
+        refreshOrderEta(order.uid, doc.id);
+        // Card bookings still awaiting payment are dispatched once the payment clears
+        if (order.payment?.status !== 'awaiting_payment') startAutoDispatch(order.uid, doc.id);
+      } catch (orderErr) {
+        console.error(`[SCHEDULER] Failed to promote order ${doc.id}:`, orderErr && orderErr.message ? orderErr.message : orderErr);
+      }
+    }
+
+    if (promotedCount > 0) {
+      console.log(`[SCHEDULER] Promoted ${promotedCount} scheduled order(s) to pending`);
+    }
+  } catch (err) {
+    console.error('[SCHEDULER] Scheduled order scan failed:', err && err.message ? err.message : err);
+  } finally {
+    running = false;
+  }
+
+  return promotedCount;
+}
+
+export function startScheduledOrderDispatcher() {
+  if (timer) return;
+  timer = setInterval(promoteDueScheduledOrders, POLL_INTERVAL_MS);
+  promoteDueScheduledOrders();
+  console.log(`[SCHEDULER] Scheduled order dispatcher running every ${POLL_INTERVAL_MS / 1000}s`);
+}
+
+export function stopScheduledOrderDispatcher() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
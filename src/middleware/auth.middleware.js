@@ -101,3 +101,10 @@ export function isAdmin(req, res, next) {
   if (!isAdminUser) return res.status(403).json({ message: 'Admin required' });
   return next();
 }
+
+// Driver check middleware (riders log in via /api/driver/login)
+export function isDriver(req, res, next) {
+  if (!req.user) return res.status(401).json({ message: 'Unauthorized' });
+  if (req.user.role !== 'driver') return res.status(403).json({ message: 'Driver account required' });
+  return next();
+}
@@ -0,0 +1,24 @@
+import express from 'express';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Routes that take large bodies parse them themselves with a larger limit, after the caller
+// is authenticated. The app-wide JSON parser skips these paths so anonymous requests never
+// get a large body read.
+// Proof-of-delivery uploads carry base64 signature/photo images
+const proofMaxKb = Number(process.env.PROOF_MAX_BODY_KB) || 8192;
+// Bulk order imports carry up to a few hundred KB of CSV/JSON rows
+const importMaxKb = Number(process.env.IMPORT_MAX_BODY_KB) || 1024;
+
+const OWN_BODY_PARSER_PATHS = [
+  /^\/api\/driver\/jobs\/[^/]+\/deliver\/?$/,
+  /^\/api\/admin\/orders\/[^/]+\/[^/]+\/deliver\/?$/,
+  /^\/api\/user\/orders\/import\/?$/
+];
+
+export const hasOwnBodyParser = (req) => OWN_BODY_PARSER_PATHS.some(re => re.test(req.path));
+
+export const proofUploadBody = express.json({ limit: `${proofMaxKb}kb` });
+
+export const importBody = express.json({ limit: `${importMaxKb}kb` });
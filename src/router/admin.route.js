@@ -1,12 +1,30 @@
 import express from 'express';
 import { verifyToken, isAdmin } from '../middleware/auth.middleware.js';
+import { proofUploadBody } from '../middleware/body.middleware.js';
 import * as adminCtrl from '../controller/admin.controller.js';
+import * as tariffCtrl from '../controller/tariff.controller.js';
+import * as zonesCtrl from '../controller/zones.controller.js';
+import * as surgeCtrl from '../controller/surge.controller.js';
+import * as etaCtrl from '../controller/eta.controller.js';
+import * as promoCtrl from '../controller/promo.controller.js';
+import * as codCtrl from '../controller/cod.controller.js';
+import * as ratingsCtrl from '../controller/ratings.controller.js';
+import * as supportCtrl from '../controller/support.controller.js';
+import * as deliveryCtrl from '../controller/delivery.controller.js';
+import * as driverCtrl from '../controller/driver.controller.js';
+import * as driverLocationCtrl from '../controller/driverLocation.controller.js';
 
 const router = express.Router();
 
 router.get('/orders', verifyToken, isAdmin, adminCtrl.listOrders);
 router.patch('/orders/:uid/:orderId', verifyToken, isAdmin, adminCtrl.updateOrderStatus);
 router.delete('/orders/:uid/:orderId', verifyToken, isAdmin, adminCtrl.deleteOrder);
+router.post('/orders/:uid/:orderId/cancel', verifyToken, isAdmin, adminCtrl.cancelUserOrder);
+router.post('/orders/:uid/:orderId/deliver', verifyToken, isAdmin, proofUploadBody, deliveryCtrl.adminCompleteDelivery);
+router.get('/orders/:uid/:orderId/proof', verifyToken, isAdmin, deliveryCtrl.adminGetDeliveryProof);
+router.get('/orders/:uid/:orderId/proof/:kind', verifyToken, isAdmin, deliveryCtrl.adminGetDeliveryProofFile);
+router.post('/orders/:uid/:orderId/assign', verifyToken, isAdmin, driverCtrl.assignOrderToDriver);
+router.get('/orders/:uid/:orderId/trail', verifyToken, isAdmin, driverLocationCtrl.adminGetOrderTrail);
 router.get('/users', verifyToken, isAdmin, adminCtrl.listUsers);
 router.delete('/users/:uid', verifyToken, isAdmin, adminCtrl.deleteUser);
 router.post('/users/:uid/wallet/add', verifyToken, isAdmin, adminCtrl.addMoneyToWallet);
@@ -16,4 +34,50 @@ router.delete('/contacts/:contactId', verifyToken, isAdmin, adminCtrl.deleteCont
 router.post('/decrypt-message', verifyToken, isAdmin, adminCtrl.decryptContactMessage);
 router.post('/send-email', verifyToken, isAdmin, adminCtrl.sendEmailToUsers);
 
+// Tariffs (versioned rate cards)
+router.get('/tariffs', verifyToken, isAdmin, tariffCtrl.listTariffs);
+router.get('/tariffs/active', verifyToken, isAdmin, tariffCtrl.getCurrentTariff);
+router.post('/tariffs', verifyToken, isAdmin, tariffCtrl.createTariff);
+router.delete('/tariffs/:tariffId', verifyToken, isAdmin, tariffCtrl.deleteTariff);
+
+// Service zones (GeoJSON polygons per city)
+router.get('/zones', verifyToken, isAdmin, zonesCtrl.listZones);
+router.post('/zones', verifyToken, isAdmin, zonesCtrl.createZone);
+router.patch('/zones/:zoneId', verifyToken, isAdmin, zonesCtrl.updateZone);
+router.delete('/zones/:zoneId', verifyToken, isAdmin, zonesCtrl.deleteZone);
+
+// Surge pricing rules
+router.get('/surge', verifyToken, isAdmin, surgeCtrl.getSurgeSettings);
+router.put('/surge', verifyToken, isAdmin, surgeCtrl.updateSurgeSettings);
+
+// ETA speeds and time-of-day factors
+router.get('/eta', verifyToken, isAdmin, etaCtrl.getEtaSettings);
+router.put('/eta', verifyToken, isAdmin, etaCtrl.updateEtaSettings);
+
+// Promo codes
+router.get('/promos', verifyToken, isAdmin, promoCtrl.listPromoCodes);
+router.post('/promos', verifyToken, isAdmin, promoCtrl.createPromoCode);
+router.patch('/promos/:code', verifyToken, isAdmin, promoCtrl.updatePromoCode);
+router.delete('/promos/:code', verifyToken, isAdmin, promoCtrl.deletePromoCode);
+router.get('/promos/:code/redemptions', verifyToken, isAdmin, promoCtrl.listPromoRedemptions);
+
+// Drivers
+router.get('/drivers', verifyToken, isAdmin, driverCtrl.listDrivers);
+router.patch('/drivers/:driverId', verifyToken, isAdmin, driverCtrl.updateDriver);
+
+// Ratings and reviews
+router.get('/ratings', verifyToken, isAdmin, ratingsCtrl.listLowRatings);
+router.get('/ratings/summary', verifyToken, isAdmin, ratingsCtrl.getRatingSummary);
+
+// Support tickets
+router.get('/support/tickets', verifyToken, isAdmin, supportCtrl.listTickets);
+router.get('/support/tickets/:id', verifyToken, isAdmin, supportCtrl.getTicket);
+router.post('/support/tickets/:id/assign', verifyToken, isAdmin, supportCtrl.assignTicket);
+router.post('/support/tickets/:id/messages', verifyToken, isAdmin, supportCtrl.replyToTicket);
+router.post('/support/tickets/:id/resolve', verifyToken, isAdmin, supportCtrl.resolveTicket);
+
+// Pay-on-delivery reconciliation
+router.get('/cod', verifyToken, isAdmin, codCtrl.getCodReconciliation);
+router.post('/cod/drivers/:driverId/remit', verifyToken, isAdmin, codCtrl.remitDriverCod);
+
 export default router;
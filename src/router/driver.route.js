@@ -0,0 +1,24 @@
+import express from 'express';
+import { verifyToken, isDriver } from '../middleware/auth.middleware.js';
+import { proofUploadBody } from '../middleware/body.middleware.js';
+import * as driverCtrl from '../controller/driver.controller.js';
+
+const router = express.Router();
+
+// Auth
+router.post('/register', driverCtrl.registerDriver);
+router.post('/login', driverCtrl.driverLogin);
+
+// Profile and availability
+router.get('/me', verifyToken, isDriver, driverCtrl.getDriverProfile);
+router.patch('/availability', verifyToken, isDriver, driverCtrl.setDriverAvailability);
+
+// Jobs
+router.get('/jobs', verifyToken, isDriver, driverCtrl.listMyJobs);
+router.post('/jobs/:orderId/accept', verifyToken, isDriver, driverCtrl.acceptJob);
+router.post('/jobs/:orderId/reject', verifyToken, isDriver, driverCtrl.rejectJob);
+router.patch('/jobs/:orderId/status', verifyToken, isDriver, driverCtrl.updateJobStatus);
+router.post('/jobs/:orderId/cash-collected', verifyToken, isDriver, driverCtrl.markCashCollected);
+router.post('/jobs/:orderId/deliver', verifyToken, isDriver, proofUploadBody, driverCtrl.completeJob);
+
+export default router;
@@ -0,0 +1,21 @@
+import express from 'express';
+import { trackShipment } from '../controller/tracking.controller.js';
+
+let rateLimitPkg = null;
+try {
+  rateLimitPkg = (await import('express-rate-limit')).default;
+} catch (e) {
+  // optional: package not installed — proceed without route limiter
+}
+
+const router = express.Router();
+
+// Tracking codes are guessable in principle, so keep lookups per IP low
+const trackingLimiter = rateLimitPkg
+  ? rateLimitPkg({ windowMs: 60 * 1000, max: 30, handler: (req, res) => res.status(429).json({ success: false, message: 'Too many tracking requests. Try later.' }) })
+  : (req, res, next) => next();
+
+// Public shipment tracking (no login)
+router.get('/:code', trackingLimiter, trackShipment);
+
+export default router;
@@ -1,21 +1,60 @@
 import express from 'express';
 import { verifyToken } from '../middleware/auth.middleware.js';
+import { importBody } from '../middleware/body.middleware.js';
 import * as ordersCtrl from '../controller/orders.controller.js';
 import * as historyCtrl from '../controller/history.controller.js';
 import * as usersCtrl from '../controller/users.controller.js';
+import * as orderStatusCtrl from '../controller/orderStatus.controller.js';
+import * as deliveryCtrl from '../controller/delivery.controller.js';
+import * as driverLocationCtrl from '../controller/driverLocation.controller.js';
+import * as recurringCtrl from '../controller/recurring.controller.js';
+import * as importCtrl from '../controller/import.controller.js';
+import * as addressesCtrl from '../controller/addresses.controller.js';
+import * as ratingsCtrl from '../controller/ratings.controller.js';
+import * as supportCtrl from '../controller/support.controller.js';
 
 const router = express.Router();
 
 // Orders
 router.post('/orders', verifyToken, ordersCtrl.createOrder);
 router.get('/orders', verifyToken, ordersCtrl.getOrders);
+router.post('/orders/import', verifyToken, importBody, importCtrl.importOrders);
+router.get('/orders/import/:importId', verifyToken, importCtrl.getOrderImport);
 router.delete('/orders/:id', verifyToken, ordersCtrl.deleteOrder);
+router.post('/orders/:id/cancel', verifyToken, ordersCtrl.cancelMyOrder);
+router.post('/orders/:id/pay', verifyToken, ordersCtrl.payForOrder);
+router.get('/orders/:id/timeline', verifyToken, orderStatusCtrl.getOrderTimeline);
+router.get('/orders/:id/proof', verifyToken, deliveryCtrl.getMyDeliveryProof);
+router.get('/orders/:id/proof/:kind', verifyToken, deliveryCtrl.getMyDeliveryProofFile);
+router.post('/orders/:id/delivery-code/resend', verifyToken, deliveryCtrl.resendDeliveryCode);
+router.get('/orders/:id/trail', verifyToken, driverLocationCtrl.getMyOrderTrail);
+router.post('/orders/:id/rating', verifyToken, ratingsCtrl.rateOrder);
 
 // Booking and delivery
+router.post('/quote', verifyToken, ordersCtrl.getQuote);
 router.post('/book-driver', verifyToken, ordersCtrl.bookDriver);
 
+// Recurring bookings (saved route + weekly schedule)
+router.get('/recurring-bookings', verifyToken, recurringCtrl.listRecurringBookings);
+router.post('/recurring-bookings', verifyToken, recurringCtrl.createRecurringBooking);
+router.patch('/recurring-bookings/:id', verifyToken, recurringCtrl.updateRecurringBooking);
+router.delete('/recurring-bookings/:id', verifyToken, recurringCtrl.deleteRecurringBooking);
+
+// Saved addresses (address book)
+router.get('/addresses', verifyToken, addressesCtrl.listAddresses);
+router.post('/addresses', verifyToken, addressesCtrl.createAddress);
+router.patch('/addresses/:id', verifyToken, addressesCtrl.updateAddress);
+router.delete('/addresses/:id', verifyToken, addressesCtrl.deleteAddress);
+
+// Support tickets (complaints about an order or wallet transaction)
+router.get('/support/tickets', verifyToken, supportCtrl.listMyTickets);
+router.post('/support/tickets', verifyToken, supportCtrl.createTicket);
+router.get('/support/tickets/:id', verifyToken, supportCtrl.getMyTicket);
+router.post('/support/tickets/:id/messages', verifyToken, supportCtrl.replyToMyTicket);
+
 // Location and vehicle services
 router.get('/location-suggestions', verifyToken, ordersCtrl.getLocationSuggestions);
+router.get('/reverse-geocode', verifyToken, ordersCtrl.reverseGeocode);
 router.get('/vehicle-types', verifyToken, ordersCtrl.getVehicleTypes);
 
 // Wallet routes removed (wallet functionality deprecated)
@@ -0,0 +1,83 @@
+// Minimal RFC 4180 CSV reader for uploads: quoted fields, "" escapes, CRLF or LF line endings.
+
+/**
+ * Split CSV text into rows of string fields. Returns { rows, lines } or { error }, where
+ * lines[i] is the line of the file rows[i] starts on (a quoted field may span lines).
+ */
+export function parseCsvRows(text) {
+  const rows = [];
+  const lines = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  let i = 0;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  const isLineBreak = (ch) => ch === '\n' || (ch === '\r' && src[i + 1] !== '\n');
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (ch === '"') { inQuotes = false; i++; continue; }
+      if (isLineBreak(ch)) line++;
+      field += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      if (field !== '') return { error: `Unexpected quote on line ${line}` };
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      row.push(field);
+      rows.push(row);
+      lines.push(rowLine);
+      row = [];
+      field = '';
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      line++;
+      rowLine = line;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+  if (inQuotes) return { error: `Unterminated quoted field starting on line ${rowLine}` };
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+    lines.push(rowLine);
+  }
+  // Blank lines carry no data; keep the line numbers of the rest
+  const keep = rows.map(r => r.some(f => f.trim() !== ''));
+  return { rows: rows.filter((_, idx) => keep[idx]), lines: lines.filter((_, idx) => keep[idx]) };
+}
+
+/**
+ * Parse CSV with a header line into objects keyed by (trimmed) column name.
+ * Returns { records, lines } or { error }; lines[i] is the file line of records[i].
+ */
+export function parseCsv(text) {
+  const parsed = parseCsvRows(text);
+  if (parsed.error) return parsed;
+  const [header, ...body] = parsed.rows;
+  const bodyLines = parsed.lines.slice(1);
+  if (!header) return { error: 'CSV is empty' };
+
+  const columns = header.map(h => h.trim());
+  if (columns.some(c => !c)) return { error: 'CSV header has an empty column name' };
+  if (new Set(columns).size !== columns.length) return { error: 'CSV header has duplicate column names' };
+
+  const records = [];
+  for (let r = 0; r < body.length; r++) {
+    if (body[r].length > columns.length) return { error: `Line ${bodyLines[r]} has more fields than the header` };
+    const record = {};
+    columns.forEach((c, idx) => { record[c] = (body[r][idx] ?? '').trim(); });
+    records.push(record);
+  }
+  return { records, lines: bodyLines };
+}
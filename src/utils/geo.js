@@ -0,0 +1,139 @@
+// Geometry helpers shared by pricing and service zones.
+// GeoJSON positions are [lng, lat]; everything else in the app uses { lat, lng }.
+
+// Calculate distance between two points using Haversine formula
+export function calculateDistance(lat1, lng1, lat2, lng2) {
+  const R = 6371; // Earth's radius in kilometers
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// Google encoded polyline (precision 5, as OSRM returns) for a list of { lat, lng } points
+export function encodePolyline(points) {
+  let out = '';
+  let prevLat = 0;
+  let prevLng = 0;
+  const encodeValue = (v) => {
+    let n = v < 0 ? ~(v << 1) : v << 1;
+    let chunk = '';
+    while (n >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (n & 0x1f)) + 63);
+      n >>= 5;
+    }
+    return chunk + String.fromCharCode(n + 63);
+  };
+  for (const p of points) {
+    const lat = Math.round(p.lat * 1e5);
+    const lng = Math.round(p.lng * 1e5);
+    out += encodeValue(lat - prevLat) + encodeValue(lng - prevLng);
+    prevLat = lat;
+    prevLng = lng;
+  }
+  return out;
+}
+
+// Ray-casting test against a single linear ring
+function pointInRing(lat, lng, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const intersects = ((yi > lat) !== (yj > lat)) &&
+      (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi);
+    if (intersects) inside = !inside;
+  }
+  return inside;
+}
+
+// Inside the outer ring and outside every hole
+function pointInPolygonRings(lat, lng, rings) {
+  if (!rings.length || !pointInRing(lat, lng, rings[0])) return false;
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(lat, lng, rings[i])) return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether a point falls inside a GeoJSON Polygon or MultiPolygon geometry
+ */
+export function pointInGeometry(lat, lng, geometry) {
+  if (!geometry) return false;
+  if (geometry.type === 'Polygon') return pointInPolygonRings(lat, lng, geometry.coordinates);
+  if (geometry.type === 'MultiPolygon') {
+    return geometry.coordinates.some(rings => pointInPolygonRings(lat, lng, rings));
+  }
+  return false;
+}
+
+/**
+ * Bounding box { minLat, maxLat, minLng, maxLng } of a GeoJSON Polygon or MultiPolygon
+ */
+export function geometryBounds(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const bounds = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+  for (const rings of polygons) {
+    for (const [lng, lat] of rings[0] || []) {
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+      bounds.minLng = Math.min(bounds.minLng, lng);
+      bounds.maxLng = Math.max(bounds.maxLng, lng);
+    }
+  }
+  return bounds;
+}
+
+const isPosition = (p) => Array.isArray(p) && p.length >= 2 &&
+  Number.isFinite(Number(p[0])) && Number.isFinite(Number(p[1])) &&
+  Math.abs(Number(p[0])) <= 180 && Math.abs(Number(p[1])) <= 90;
+
+// Validate a ring and close it if the client left it open
+function normalizeRing(ring) {
+  if (!Array.isArray(ring) || !ring.every(isPosition)) return null;
+  const clean = ring.map(p => [Number(p[0]), Number(p[1])]);
+  const first = clean[0];
+  const last = clean[clean.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) clean.push([first[0], first[1]]);
+  return clean.length >= 4 ? clean : null;
+}
+
+/**
+ * Validate GeoJSON (Feature, Polygon or MultiPolygon) and return a normalized geometry.
+ * Returns { geometry } on success or { error } describing the problem.
+ */
+export function normalizeGeometry(input, maxVertices = 5000) {
+  const geometry = input && input.type === 'Feature' ? input.geometry : input;
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return { error: 'Geometry must be a GeoJSON Polygon or MultiPolygon' };
+  }
+
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  if (!Array.isArray(polygons) || polygons.length === 0) return { error: 'Geometry has no coordinates' };
+
+  let vertices = 0;
+  const normalized = [];
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) return { error: 'Polygon must have at least one ring' };
+    const cleanRings = [];
+    for (const ring of rings) {
+      const clean = normalizeRing(ring);
+      if (!clean) return { error: 'Each ring needs at least 4 valid [lng, lat] positions' };
+      vertices += clean.length;
+      cleanRings.push(clean);
+    }
+    normalized.push(cleanRings);
+  }
+
+  if (vertices > maxVertices) return { error: `Geometry exceeds ${maxVertices} vertices` };
+
+  return {
+    geometry: geometry.type === 'Polygon'
+      ? { type: 'Polygon', coordinates: normalized[0] }
+      : { type: 'MultiPolygon', coordinates: normalized }
+  };
+}
@@ -0,0 +1,210 @@
+import admin from '../config/firebase.js';
+import fs from 'fs';
+import path from 'path';
+import { sha256hex } from './crypto.js';
+import { calculateDistance } from './geo.js';
+
+// Geocoding goes through a provider chosen by GEOCODER_PROVIDER: 'nominatim' (default, live
+// OpenStreetMap) or 'fixture' (canned Nominatim responses from GEOCODER_FIXTURES, for offline
+// work and tests). Providers return raw Nominatim-style items; normalizePlace turns them into
+// the structure the app sends to clients. Results are cached in memory and, for live
+// providers, in Firestore (geocodeCache), and identical lookups in flight share one request.
+const PROVIDER_NAME = process.env.GEOCODER_PROVIDER || 'nominatim';
+const NOMINATIM_URL = process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org';
+const FIXTURES_PATH = path.resolve(process.env.GEOCODER_FIXTURES || 'test/fixtures/geocoder.json');
+const CACHE_TTL_MS = (Number(process.env.GEOCODE_CACHE_TTL_MINUTES) || 24 * 60) * 60 * 1000;
+const MEMORY_CACHE_MAX = 1000;
+const REQUEST_TIMEOUT_MS = 8000;
+
+/**
+ * Convert a Nominatim search/reverse item to the app's place structure
+ */
+export function normalizePlace(item) {
+  return {
+    place_id: item.place_id,
+    display_name: item.display_name,
+    address: {
+      house_number: item.address?.house_number || '',
+      road: item.address?.road || '',
+      suburb: item.address?.suburb || '',
+      city: item.address?.city || item.address?.town || item.address?.village || '',
+      state: item.address?.state || '',
+      country: item.address?.country || '',
+      postcode: item.address?.postcode || ''
+    },
+    coordinates: {
+      lat: parseFloat(item.lat),
+      lng: parseFloat(item.lon)
+    },
+    type: item.type,
+    importance: item.importance
+  };
+}
+
+async function nominatimGet(endpoint, params) {
+  const url = `${NOMINATIM_URL}/${endpoint}?${new URLSearchParams({ format: 'json', addressdetails: '1', ...params })}`;
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'ASAP-Logistics-App/1.0' },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`Nominatim ${endpoint} failed with status ${response.status}`);
+  return response.json();
+}
+
+const nominatimProvider = {
+  name: 'nominatim',
+  persistent: true,
+  async search(query, { countrycodes, limit, viewbox }) {
+    const params = { q: query, countrycodes, limit: String(limit), extratags: '1' };
+    // viewbox without bounded=1 prefers results in the box without excluding the rest
+    if (viewbox) params.viewbox = viewbox.join(',');
+    return nominatimGet('search', params);
+  },
+  async reverse(lat, lng) {
+    const item = await nominatimGet('reverse', { lat: String(lat), lon: String(lng), zoom: '18' });
+    // Nominatim answers a point with nothing near it with { error: 'Unable to geocode' }
+    return item && !item.error ? item : null;
+  }
+};
+
+// Fixture file: { "search": [nominatim items], "reverse": [nominatim items] }. A search matches
+// every query word against display_name; reverse returns the nearest item within ~1km
+// (the search items are used when there is no reverse list).
+let fixtures = null;
+function loadFixtures() {
+  if (!fixtures) {
+    const raw = JSON.parse(fs.readFileSync(FIXTURES_PATH, 'utf8'));
+    fixtures = { search: raw.search || [], reverse: raw.reverse || raw.search || [] };
+  }
+  return fixtures;
+}
+
+const fixtureProvider = {
+  name: 'fixture',
+  persistent: false,
+  async search(query, { limit }) {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return loadFixtures().search
+      .filter(item => words.every(w => String(item.display_name || '').toLowerCase().includes(w)))
+      .slice(0, limit);
+  },
+  async reverse(lat, lng) {
+    let best = null;
+    let bestKm = Infinity;
+    for (const item of loadFixtures().reverse) {
+      const km = calculateDistance(lat, lng, parseFloat(item.lat), parseFloat(item.lon));
+      if (km < bestKm) { best = item; bestKm = km; }
+    }
+    return bestKm <= 1 ? best : null;
+  }
+};
+
+const providers = new Map([[nominatimProvider.name, nominatimProvider], [fixtureProvider.name, fixtureProvider]]);
+
+/**
+ * Add (or replace) a provider: { name, persistent, search(query, { countrycodes, limit, viewbox }), reverse(lat, lng) }.
+ * `persistent` providers also get the Firestore cache.
+ */
+export function registerGeocoderProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+function activeProvider() {
+  const provider = providers.get(PROVIDER_NAME);
+  if (!provider) throw new Error(`Unknown geocoder provider "${PROVIDER_NAME}"`);
+  return provider;
+}
+
+const memoryCache = new Map();
+const inflight = new Map();
+
+function readMemory(key) {
+  const entry = memoryCache.get(key);
+  if (!entry) return undefined;
+  if (entry.expiresAt <= Date.now()) {
+    memoryCache.delete(key);
+    return undefined;
+  }
+  return entry.value;
+}
+
+function writeMemory(key, value) {
+  // Maps keep insertion order, so the first key is the oldest entry
+  if (memoryCache.size >= MEMORY_CACHE_MAX) memoryCache.delete(memoryCache.keys().next().value);
+  memoryCache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+}
+
+const cacheDoc = (key) => admin.firestore().collection('geocodeCache').doc(sha256hex(key));
+
+async function readFirestore(key) {
+  try {
+    const snap = await cacheDoc(key).get();
+    if (!snap.exists) return undefined;
+    const data = snap.data();
+    return data.expiresAt > Date.now() ? JSON.parse(data.value) : undefined;
+  } catch (err) {
+    console.warn('[GEOCODER] Cache read failed:', err && err.message ? err.message : err);
+    return undefined;
+  }
+}
+
+async function writeFirestore(key, value) {
+  try {
+    // Stored as a JSON string: Firestore rejects the undefined fields some places have, and a miss (null) round-trips
+    await cacheDoc(key).set({ key, value: JSON.stringify(value), expiresAt: Date.now() + CACHE_TTL_MS, createdAt: Date.now() });
+  } catch (err) {
+    console.warn('[GEOCODER] Cache write failed:', err && err.message ? err.message : err);
+  }
+}
+
+// Memory cache → Firestore cache → provider, with one provider call per key at a time
+async function cached(key, lookup) {
+  const hit = readMemory(key);
+  if (hit !== undefined) return hit;
+  if (inflight.has(key)) return inflight.get(key);
+
+  const provider = activeProvider();
+  const pending = (async () => {
+    const stored = provider.persistent ? await readFirestore(key) : undefined;
+    if (stored !== undefined) {
+      writeMemory(key, stored);
+      return stored;
+    }
+    const value = await lookup(provider);
+    writeMemory(key, value);
+    if (provider.persistent) writeFirestore(key, value);
+    return value;
+  })();
+
+  inflight.set(key, pending);
+  try {
+    return await pending;
+  } finally {
+    inflight.delete(key);
+  }
+}
+
+/**
+ * Forward geocode a free-text query. `viewbox` is [minLng, maxLat, maxLng, minLat] to bias
+ * results toward. Returns normalized places.
+ */
+export async function searchPlaces(query, { countrycodes = 'ng', limit = 5, viewbox = null } = {}) {
+  const q = String(query).trim().replace(/\s+/g, ' ');
+  const opts = { countrycodes, limit: Math.min(Math.max(Number(limit) || 5, 1), 20), viewbox };
+  const key = `${PROVIDER_NAME}|search|${q.toLowerCase()}|${opts.countrycodes}|${opts.limit}|${viewbox ? viewbox.join(',') : ''}`;
+  return cached(key, async (provider) => (await provider.search(q, opts)).map(normalizePlace));
+}
+
+/**
+ * Reverse geocode a point to a normalized place, or null when nothing is there.
+ * Coordinates are rounded to ~10m so nearby pins share a cache entry.
+ */
+export async function reversePlace(lat, lng) {
+  const rLat = Math.round(lat * 10000) / 10000;
+  const rLng = Math.round(lng * 10000) / 10000;
+  const key = `${PROVIDER_NAME}|reverse|${rLat},${rLng}`;
+  return cached(key, async (provider) => {
+    const item = await provider.reverse(rLat, rLng);
+    return item ? normalizePlace(item) : null;
+  });
+}
@@ -0,0 +1,109 @@
+import { calculateDistance, encodePolyline } from './geo.js';
+
+// Road routing goes through a provider chosen by ROUTING_PROVIDER: 'osrm' (default, an OSRM
+// HTTP server at OSRM_URL) or 'straight_line' (Haversine legs, no network). When OSRM fails
+// or times out the straight line is used instead, so pricing never blocks on the router.
+// Routes are { distanceKm, durationMinutes, polyline, legs: [{ distanceKm, durationMinutes }], source }.
+const PROVIDER_NAME = process.env.ROUTING_PROVIDER || 'osrm';
+const OSRM_URL = process.env.OSRM_URL || 'https://router.project-osrm.org';
+const OSRM_PROFILE = process.env.OSRM_PROFILE || 'driving';
+const REQUEST_TIMEOUT_MS = Number(process.env.ROUTING_TIMEOUT_MS) || 5000;
+// A quote and the booking that follows it route the same points, so keep results briefly
+const CACHE_TTL_MS = 15 * 60 * 1000;
+const CACHE_MAX = 500;
+
+const round = (v, places = 2) => Math.round(v * 10 ** places) / 10 ** places;
+
+const straightLineProvider = {
+  name: 'straight_line',
+  async route(points) {
+    const legs = [];
+    for (let i = 1; i < points.length; i++) {
+      legs.push({ distanceKm: calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng), durationMinutes: null });
+    }
+    return {
+      distanceKm: legs.reduce((sum, leg) => sum + leg.distanceKm, 0),
+      // No road data: callers estimate travel time from distance themselves
+      durationMinutes: null,
+      polyline: encodePolyline(points),
+      legs
+    };
+  }
+};
+
+const osrmProvider = {
+  name: 'osrm',
+  async route(points) {
+    const coords = points.map(p => `${p.lng},${p.lat}`).join(';');
+    const url = `${OSRM_URL}/route/v1/${OSRM_PROFILE}/${coords}?overview=full&geometries=polyline`;
+    const response = await fetch(url, {
+      headers: { 'User-Agent': 'ASAP-Logistics-App/1.0' },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    if (!response.ok) throw new Error(`OSRM route failed with status ${response.status}`);
+    const data = await response.json();
+    const best = data.code === 'Ok' && Array.isArray(data.routes) ? data.routes[0] : null;
+    if (!best) throw new Error(`OSRM found no route (${data.code || 'no code'})`);
+    return {
+      distanceKm: best.distance / 1000,
+      durationMinutes: best.duration / 60,
+      polyline: best.geometry,
+      legs: (best.legs || []).map(leg => ({ distanceKm: leg.distance / 1000, durationMinutes: leg.duration / 60 }))
+    };
+  }
+};
+
+const providers = new Map([[osrmProvider.name, osrmProvider], [straightLineProvider.name, straightLineProvider]]);
+
+/**
+ * Add (or replace) a routing provider: { name, route(points) } resolving to a route without `source`
+ */
+export function registerRoutingProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+const cache = new Map();
+
+const isPoint = (p) => Boolean(p && Number.isFinite(p.lat) && Number.isFinite(p.lng) && p.lat && p.lng);
+
+/**
+ * Route through `points` ({ lat, lng }, pickup first) in order. Returns null when any point
+ * is missing coordinates; otherwise always a route, falling back to straight lines.
+ */
+export async function getRoute(points) {
+  if (!Array.isArray(points) || points.length < 2 || !points.every(isPoint)) return null;
+
+  const key = `${PROVIDER_NAME}|${points.map(p => `${round(p.lat, 5)},${round(p.lng, 5)}`).join(';')}`;
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.value;
+
+  let raw;
+  let source = PROVIDER_NAME;
+  try {
+    const provider = providers.get(PROVIDER_NAME);
+    if (!provider) throw new Error(`Unknown routing provider "${PROVIDER_NAME}"`);
+    raw = await provider.route(points);
+  } catch (err) {
+    console.warn('[ROUTING] Routing failed, using straight-line distance:', err && err.message ? err.message : err);
+    raw = await straightLineProvider.route(points);
+    source = straightLineProvider.name;
+  }
+
+  const value = {
+    distanceKm: round(raw.distanceKm),
+    durationMinutes: raw.durationMinutes === null ? null : round(raw.durationMinutes, 1),
+    polyline: raw.polyline,
+    legs: raw.legs.map(leg => ({
+      distanceKm: round(leg.distanceKm),
+      durationMinutes: leg.durationMinutes === null ? null : round(leg.durationMinutes, 1)
+    })),
+    source
+  };
+
+  // Only cache real routes; a fallback should be retried next time
+  if (source === PROVIDER_NAME) {
+    if (cache.size >= CACHE_MAX) cache.delete(cache.keys().next().value);
+    cache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+  }
+  return value;
+}
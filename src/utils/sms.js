@@ -0,0 +1,62 @@
+import dotenv from 'dotenv';
+import axios from 'axios';
+
+dotenv.config();
+
+const {
+  TERMII_API_KEY,
+  TERMII_SENDER_ID,
+  TERMII_BASE_URL
+} = process.env;
+
+const SMS_BASE_URL = TERMII_BASE_URL || 'https://api.ng.termii.com';
+const smsConfigured = !!TERMII_API_KEY;
+
+if (!smsConfigured) {
+  console.warn('[SMS] TERMII_API_KEY not configured - SMS messages will fall back to console');
+}
+
+// Nigerian numbers are stored as 080..., Termii expects 23480...
+function toInternational(phone) {
+  const digits = String(phone || '').replace(/[^\d]/g, '');
+  if (digits.startsWith('234')) return digits;
+  if (digits.startsWith('0')) return `234${digits.slice(1)}`;
+  return digits;
+}
+
+/**
+ * Send a plain SMS via Termii. Falls back to console logging when not configured.
+ * Console output also reaches admin log subscribers, so messages carrying a secret pass
+ * `logMessage`, a redacted copy that is logged instead.
+ */
+export async function sendSms({ to, message, logMessage = null }) {
+  if (!to || !message) {
+    throw new Error('SMS recipient and message are required');
+  }
+
+  const recipient = toInternational(to);
+
+  if (!smsConfigured) {
+    console.log(`[SMS] 📱 SMS would be sent to ${recipient}: ${logMessage || message}`);
+    return { logged: true };
+  }
+
+  try {
+    const { data } = await axios.post(`${SMS_BASE_URL}/api/sms/send`, {
+      api_key: TERMII_API_KEY,
+      to: recipient,
+      from: TERMII_SENDER_ID || 'ASAP',
+      sms: message,
+      type: 'plain',
+      channel: 'generic'
+    }, { timeout: 10000 });
+
+    console.log(`[SMS] ✓ SMS sent to ${recipient} (messageId: ${data?.message_id || 'n/a'})`);
+    return data;
+  } catch (err) {
+    console.error(`[SMS] ✗ Failed to send SMS to ${recipient}:`, err?.response?.data || err.message);
+    throw err;
+  }
+}
+
+export default { sendSms };
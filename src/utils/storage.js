@@ -0,0 +1,63 @@
+import admin from '../config/firebase.js';
+import fs from 'fs';
+import path from 'path';
+
+// Files go to Firebase Storage when a bucket is configured, otherwise to the local disk
+const STORAGE_BUCKET = process.env.FIREBASE_STORAGE_BUCKET || '';
+const LOCAL_UPLOAD_DIR = path.resolve(process.env.LOCAL_UPLOAD_DIR || 'uploads');
+
+function localPath(filePath) {
+  const full = path.resolve(LOCAL_UPLOAD_DIR, filePath);
+  if (!full.startsWith(LOCAL_UPLOAD_DIR + path.sep)) throw new Error('Invalid file path');
+  return full;
+}
+
+/**
+ * Store a file and return a reference that can be saved on a document:
+ * { storage: 'firebase' | 'local', path, contentType, size }
+ */
+export async function saveFile(filePath, buffer, contentType) {
+  if (STORAGE_BUCKET) {
+    try {
+      await admin.storage().bucket(STORAGE_BUCKET).file(filePath).save(buffer, {
+        contentType,
+        resumable: false,
+        metadata: { cacheControl: 'private, max-age=0' }
+      });
+      return { storage: 'firebase', path: filePath, contentType, size: buffer.length };
+    } catch (err) {
+      console.error('[STORAGE] Firebase upload failed, saving locally:', err && err.message ? err.message : err);
+    }
+  }
+
+  const full = localPath(filePath);
+  await fs.promises.mkdir(path.dirname(full), { recursive: true });
+  await fs.promises.writeFile(full, buffer);
+  return { storage: 'local', path: filePath, contentType, size: buffer.length };
+}
+
+/**
+ * Open a readable stream for a reference returned by saveFile
+ */
+export function openFileStream(ref) {
+  if (ref.storage === 'firebase') {
+    return admin.storage().bucket(STORAGE_BUCKET).file(ref.path).createReadStream();
+  }
+  return fs.createReadStream(localPath(ref.path));
+}
+
+/**
+ * Remove a stored file; missing files are ignored
+ */
+export async function deleteFile(ref) {
+  if (!ref || !ref.path) return;
+  try {
+    if (ref.storage === 'firebase') {
+      await admin.storage().bucket(STORAGE_BUCKET).file(ref.path).delete({ ignoreNotFound: true });
+    } else {
+      await fs.promises.rm(localPath(ref.path), { force: true });
+    }
+  } catch (err) {
+    console.warn(`[STORAGE] Could not delete ${ref.path}:`, err && err.message ? err.message : err);
+  }
+}
@@ -0,0 +1,69 @@
+// Local-time helpers for business rules that follow the operating timezone
+// (surge windows, service hours) rather than the server clock.
+
+export const DEFAULT_TIMEZONE = process.env.APP_TIMEZONE || 'Africa/Lagos';
+
+/**
+ * Local weekday (0 = Sunday), minutes since midnight and YYYY-MM-DD for a date in a timezone
+ */
+export function getLocalTimeParts(date, timeZone = DEFAULT_TIMEZONE) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).reduce((acc, p) => ({ ...acc, [p.type]: p.value }), {});
+
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  return {
+    weekday: weekdays.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    date: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+// Convert 'HH:MM' to minutes since midnight
+export const toMinutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + m;
+};
+
+/**
+ * Whether local time falls in a { start, end, days? } window. Windows whose end is before
+ * their start wrap past midnight (e.g. 21:00–05:00); an empty `days` list means every day.
+ */
+export function matchesTimeWindow(rule, local) {
+  const start = toMinutes(rule.start);
+  const end = toMinutes(rule.end);
+  const overnight = end <= start;
+  const inWindow = overnight
+    ? local.minutes >= start || local.minutes < end
+    : local.minutes >= start && local.minutes < end;
+  if (!inWindow) return false;
+
+  if (!Array.isArray(rule.days) || rule.days.length === 0) return true;
+  // The early-morning half of an overnight window belongs to the previous day's rule
+  const day = overnight && local.minutes < end ? (local.weekday + 6) % 7 : local.weekday;
+  return rule.days.includes(day);
+}
+
+/**
+ * Epoch milliseconds for a local YYYY-MM-DD date and minutes since midnight in a timezone
+ */
+export function localTimeToEpoch(date, minutes, timeZone = DEFAULT_TIMEZONE) {
+  const [y, m, d] = date.split('-').map(Number);
+  const wallClock = Date.UTC(y, m - 1, d, 0, minutes);
+  // Shift by the zone's offset at that instant; the second pass settles DST boundaries
+  let guess = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalTimeParts(new Date(guess), timeZone);
+    const [ly, lm, ld] = local.date.split('-').map(Number);
+    const offset = Date.UTC(ly, lm - 1, ld, 0, local.minutes) - guess;
+    guess = wallClock - offset;
+  }
+  return guess;
+}
@@ -0,0 +1,29 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateCancellation } from '../src/controller/orders.controller.js';
+
+test('evaluateCancellation is free in the first minutes and charges a fee after', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const order = { status: 'pending', paid: true, total: 2000 };
+  assert.deepEqual(evaluateCancellation({ ...order, createdAt: now - 60 * 1000 }, { now }), { allowed: true, fee: 0, refundAmount: 2000 });
+  assert.deepEqual(evaluateCancellation({ ...order, createdAt: now - 60 * 60 * 1000 }, { now }), { allowed: true, fee: 400, refundAmount: 1600 });
+  assert.deepEqual(evaluateCancellation({ ...order, createdAt: now - 60 * 60 * 1000 }, { now, waiveFee: true }), { allowed: true, fee: 0, refundAmount: 2000 });
+  assert.deepEqual(evaluateCancellation({ ...order, status: 'scheduled', createdAt: now - 60 * 60 * 1000 }, { now }), { allowed: true, fee: 0, refundAmount: 2000 });
+});
+
+test('evaluateCancellation refunds nothing on an unpaid order', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.deepEqual(evaluateCancellation({ status: 'pending', paid: false, total: 2000, createdAt: now - 60 * 60 * 1000 }, { now }), { allowed: true, fee: 0, refundAmount: 0 });
+});
+
+test('evaluateCancellation stops customers once a driver is on the way, but not admins', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const assigned = { status: 'assigned', assignedDriver: 'Tunde', paid: true, total: 2000, createdAt: now };
+  assert.equal(evaluateCancellation(assigned, { now }).allowed, false);
+  assert.equal(evaluateCancellation({ ...assigned, status: 'in_transit' }, { now }).allowed, false);
+  assert.equal(evaluateCancellation(assigned, { now, asAdmin: true }).allowed, true);
+  for (const status of ['cancelled', 'delivered', 'failed']) {
+    assert.equal(evaluateCancellation({ ...assigned, status }, { now, asAdmin: true }).allowed, false);
+  }
+});
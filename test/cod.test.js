@@ -0,0 +1,40 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { summarizeCodOrders } from '../src/controller/cod.controller.js';
+
+const cod = (id, status, payment) => ({ id, uid: 'u1', status, total: 3000, payment: { method: 'cod', amountDue: 3000, ...payment } });
+
+test('summarizeCodOrders counts uncollected orders as receivables', () => {
+  const { receivables, byDriver } = summarizeCodOrders([
+    cod('a', 'pending', { status: 'unpaid' }),
+    cod('b', 'in_transit', { status: 'unpaid', amountDue: 4500 })
+  ]);
+  assert.equal(receivables.count, 2);
+  assert.equal(receivables.amount, 7500);
+  assert.deepEqual(receivables.orders.map(o => o.id), ['a', 'b']);
+  assert.equal(byDriver.size, 0);
+});
+
+test('summarizeCodOrders leaves failed and cancelled orders out of receivables', () => {
+  const { receivables } = summarizeCodOrders([
+    cod('a', 'failed', { status: 'unpaid' }),
+    cod('b', 'cancelled', { status: 'unpaid' }),
+    cod('c', 'failed', { status: 'void' })
+  ]);
+  assert.equal(receivables.count, 0);
+  assert.equal(receivables.amount, 0);
+});
+
+test('summarizeCodOrders totals what each rider holds by method', () => {
+  const { receivables, byDriver } = summarizeCodOrders([
+    cod('a', 'delivered', { status: 'collected', collectedBy: 'd1', collectedAmount: 3000, collectedVia: 'cash' }),
+    cod('b', 'delivered', { status: 'collected', collectedBy: 'd1', collectedAmount: 2000, collectedVia: 'transfer' }),
+    { ...cod('c', 'delivered', { status: 'collected', collectedAmount: 1000 }), driverUid: 'd2' },
+    cod('d', 'delivered', { status: 'remitted', collectedBy: 'd1', collectedAmount: 9000 })
+  ]);
+  assert.equal(receivables.count, 0);
+  const d1 = byDriver.get('d1');
+  assert.deepEqual({ owed: d1.owed, cash: d1.cash, transfer: d1.transfer }, { owed: 5000, cash: 3000, transfer: 2000 });
+  assert.equal(byDriver.get('d2').owed, 1000);
+});
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../src/utils/csv.js';
+
+test('parseCsv reads quoted fields, escapes, CRLF, a BOM and blank lines', () => {
+  const text = '\uFEFFname, address ,note\r\n"Ade","12 Kuto Rd, Abeokuta","said ""ring twice"""\r\n\r\nBola,Panseke,\n';
+  assert.deepEqual(parseCsv(text).records, [
+    { name: 'Ade', address: '12 Kuto Rd, Abeokuta', note: 'said "ring twice"' },
+    { name: 'Bola', address: 'Panseke', note: '' }
+  ]);
+});
+
+test('parseCsv keeps each record\'s line in the file across blank lines and multi-line fields', () => {
+  const text = 'name,note\n\nAde,first\n"Bola","two\nlines"\n\n\nChidi,last\n';
+  const { records, lines } = parseCsv(text);
+  assert.deepEqual(records.map(r => r.name), ['Ade', 'Bola', 'Chidi']);
+  assert.deepEqual(lines, [3, 4, 8]);
+  assert.deepEqual(parseCsv('a,b\r\n\r\n1,2\r\n').lines, [3]);
+});
+
+test('parseCsv reports the real line of a bad row', () => {
+  assert.match(parseCsv('a,b\n\n\n1,2,3').error, /Line 4 /);
+  assert.match(parseCsv('a,b\n1,2\n\n3,x"y"').error, /line 4$/);
+});
+
+test('parseCsv fills short rows and rejects malformed input', () => {
+  assert.deepEqual(parseCsv('a,b\n1').records, [{ a: '1', b: '' }]);
+  assert.ok(parseCsv('').error);
+  assert.ok(parseCsv('a,a\n1,2').error);
+  assert.ok(parseCsv('a,\n1,2').error);
+  assert.ok(parseCsv('a,b\n1,2,3').error);
+  assert.ok(parseCsv('a,b\n"1,2').error);
+  assert.ok(parseCsv('a,b\n1"x",2').error);
+});
@@ -0,0 +1,35 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { rankDrivers } from '../src/jobs/dispatch.job.js';
+
+const now = Date.parse('2026-10-19T12:00:00Z');
+const pickup = { lat: 7.1475, lng: 3.3619 };
+const driver = (uid, latOffset, extra = {}) => ({
+  uid,
+  fullName: uid,
+  approved: true,
+  location: { lat: pickup.lat + latOffset, lng: pickup.lng, at: now - 60 * 1000 },
+  ...extra
+});
+
+test('rankDrivers orders available drivers nearest first', () => {
+  const ranked = rankDrivers([driver('far', 0.05), driver('near', 0.01), driver('mid', 0.03)], pickup, [], now);
+  assert.deepEqual(ranked.map(c => c.uid), ['near', 'mid', 'far']);
+  assert.equal(ranked[0].distanceKm, 1.11);
+});
+
+test('rankDrivers skips drivers who cannot take the job', () => {
+  const drivers = [
+    driver('ok', 0.01),
+    driver('unapproved', 0.01, { approved: false }),
+    driver('suspended', 0.01, { active: false }),
+    driver('busy', 0.01, { activeOrderId: 'order-1' }),
+    driver('tried', 0.01),
+    driver('stale', 0.01, { location: { lat: pickup.lat, lng: pickup.lng, at: now - 10 * 60 * 1000 } }),
+    driver('nowhere', 0.01, { location: null }),
+    // About 22km away, past the 15km dispatch radius
+    driver('distant', 0.2)
+  ];
+  assert.deepEqual(rankDrivers(drivers, pickup, ['tried'], now).map(c => c.uid), ['ok']);
+});
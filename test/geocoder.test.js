@@ -0,0 +1,36 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { searchPlaces, reversePlace, normalizePlace } from '../src/utils/geocoder.js';
+
+test('fixture search matches every query word, case-insensitively', async () => {
+  const places = await searchPlaces('OLUMO rock');
+  assert.equal(places.length, 1);
+  assert.equal(places[0].place_id, 100003);
+  assert.deepEqual(places[0].coordinates, { lat: 7.1606, lng: 3.3475 });
+  assert.equal(places[0].address.city, 'Abeokuta');
+  // Fields the fixture leaves out come back as empty strings
+  assert.equal(places[0].address.postcode, '');
+});
+
+test('fixture search honours the limit and returns [] when nothing matches', async () => {
+  assert.equal((await searchPlaces('abeokuta', { limit: 2 })).length, 2);
+  assert.equal((await searchPlaces('abeokuta', { limit: 50 })).length, 6);
+  assert.deepEqual(await searchPlaces('nowhere at all'), []);
+});
+
+test('fixture reverse returns the nearest place within a kilometre', async () => {
+  const place = await reversePlace(7.1453, 3.3519);
+  assert.equal(place.place_id, 100001);
+  assert.equal(place.display_name, 'Kuto Market, Kuto, Abeokuta South, Ogun State, 110101, Nigeria');
+});
+
+test('fixture reverse returns null far from every place', async () => {
+  assert.equal(await reversePlace(9.0765, 7.3986), null);
+});
+
+test('normalizePlace falls back from city to town and village', () => {
+  const place = normalizePlace({ place_id: 1, display_name: 'Somewhere', lat: '7.1', lon: '3.3', address: { village: 'Odeda' } });
+  assert.equal(place.address.city, 'Odeda');
+  assert.deepEqual(place.coordinates, { lat: 7.1, lng: 3.3 });
+});
@@ -0,0 +1,16 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { canTransition } from '../src/controller/orderStatus.controller.js';
+
+test('canTransition follows the order lifecycle', () => {
+  assert.equal(canTransition('pending', 'assigned'), true);
+  assert.equal(canTransition('assigned', 'pending'), true);
+  assert.equal(canTransition('in_transit', 'delivered'), true);
+  assert.equal(canTransition('pending', 'delivered'), false);
+  assert.equal(canTransition('delivered', 'pending'), false);
+  assert.equal(canTransition('cancelled', 'pending'), false);
+  // Statuses from before the lifecycle may move to any known status, but never to an unknown one
+  assert.equal(canTransition('processing', 'delivered'), true);
+  assert.equal(canTransition('pending', 'lost'), false);
+});
@@ -0,0 +1,104 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPricing, signQuote, verifyQuote } from '../src/controller/orders.controller.js';
+import { DEFAULT_VEHICLE_TYPES } from '../src/controller/tariff.controller.js';
+import { calculateDistance } from '../src/utils/geo.js';
+
+const CAR = 'Car (Fragile)';
+const BIKE = 'Motorbike (Fastest)';
+
+// 20km around central Abeokuta with a flat car price; Lagos is well outside it
+const abeokuta = {
+  id: 'abeokuta',
+  name: 'Abeokuta',
+  center: { lat: 7.1475, lng: 3.3619 },
+  radiusKm: 20,
+  inZonePrices: { [CAR]: 2500 },
+  outOfZone: { allowed: true, surcharge: 1000, perKmMultiplier: 1.5 }
+};
+const centre = { lat: 7.1475, lng: 3.3619 };
+const nearby = { lat: 7.1975, lng: 3.3619 };
+const further = { lat: 7.2175, lng: 3.3919 };
+const lagos = { lat: 6.5244, lng: 3.3792 };
+
+const context = (overrides = {}) => ({
+  tariff: { id: 'test', version: 1, vehicleTypes: DEFAULT_VEHICLE_TYPES },
+  zones: [abeokuta],
+  surge: { multiplier: 1, reasons: [] },
+  etaConfig: { timezone: 'Africa/Lagos', roadFactor: 1.3, defaultSpeedKmh: 25, stopHandlingMinutes: 5, timeFactors: [] },
+  pickupAt: Date.parse('2026-10-19T12:00:00Z'),
+  ...overrides
+});
+
+test('buildPricing charges the zone flat price inside a zone', () => {
+  const car = buildPricing(context(), CAR, [centre, nearby]);
+  assert.equal(car.inZone, true);
+  assert.equal(car.total, 2500);
+  assert.equal(car.pickupZone.id, 'abeokuta');
+  // No flat price for the vehicle: its base price applies
+  assert.equal(buildPricing(context(), BIKE, [centre, nearby]).total, 1500);
+});
+
+test('buildPricing prices out-of-zone trips by distance under the pickup zone rules', () => {
+  const pricing = buildPricing(context(), CAR, [centre, lagos]);
+  const km = calculateDistance(centre.lat, centre.lng, lagos.lat, lagos.lng);
+  assert.equal(pricing.inZone, false);
+  assert.equal(pricing.serviceable, true);
+  assert.equal(pricing.distancePrice, km * 1000 * 1.5);
+  assert.equal(pricing.outOfZoneSurcharge, 1000);
+  assert.equal(pricing.total, Math.round((km * 1000 * 1.5 + 1000) * 100) / 100);
+
+  // A routed road distance replaces the straight line
+  const road = buildPricing(context(), CAR, [centre, lagos], null, { source: 'osrm', distanceKm: 100 });
+  assert.equal(road.distanceSource, 'road');
+  assert.equal(road.total, 100 * 1000 * 1.5 + 1000);
+});
+
+test('buildPricing marks trips the pickup zone does not allow as unserviceable', () => {
+  const closed = { ...abeokuta, outOfZone: { allowed: false } };
+  const pricing = buildPricing(context({ zones: [closed] }), CAR, [centre, lagos]);
+  assert.equal(pricing.serviceable, false);
+  assert.match(pricing.message, /outside Abeokuta/);
+});
+
+test('buildPricing adds the per-stop fee for each drop after the first', () => {
+  const pricing = buildPricing(context(), BIKE, [centre, nearby, further]);
+  assert.equal(pricing.stopCount, 2);
+  assert.equal(pricing.extraStopFee, 500);
+  assert.equal(pricing.total, 2000);
+});
+
+test('buildPricing adds package surcharges before surge', () => {
+  const pkg = { weightKg: 10, volumeL: null };
+  const surge = { multiplier: 1.5, reasons: ['High demand'] };
+  const pricing = buildPricing(context({ surge }), BIKE, [centre, nearby], pkg);
+  assert.equal(pricing.weightSurcharge, 500);
+  assert.equal(pricing.surgeMultiplier, 1.5);
+  assert.deepEqual(pricing.surgeReasons, ['High demand']);
+  assert.equal(pricing.total, (1500 + 500) * 1.5);
+  // A multiplier of 1 or less is no surge at all
+  const calm = buildPricing(context({ surge: { multiplier: 0.8, reasons: ['Quiet'] } }), BIKE, [centre, nearby]);
+  assert.equal(calm.total, 1500);
+  assert.deepEqual(calm.surgeReasons, []);
+});
+
+test('buildPricing rejects unknown vehicle types', () => {
+  assert.throws(() => buildPricing(context(), 'Helicopter', [centre, nearby]), /Invalid vehicle type/);
+});
+
+test('verifyQuote only accepts a quote for the same customer, vehicle, route, pickup time and package', () => {
+  const points = [centre, nearby];
+  const pkg = { weightKg: 10, volumeL: null };
+  const scheduledFor = Date.parse('2026-10-20T09:00:00Z');
+  const pricing = buildPricing(context(), BIKE, points, pkg);
+  const { quoteId } = signQuote('user-1', pricing, points, scheduledFor, pkg);
+
+  assert.equal(verifyQuote(quoteId, 'user-1', BIKE, points, scheduledFor, pkg).pricing.total, pricing.total);
+  assert.equal(verifyQuote(quoteId, 'user-2', BIKE, points, scheduledFor, pkg), null);
+  assert.equal(verifyQuote(quoteId, 'user-1', CAR, points, scheduledFor, pkg), null);
+  assert.equal(verifyQuote(quoteId, 'user-1', BIKE, [centre, further], scheduledFor, pkg), null);
+  assert.equal(verifyQuote(quoteId, 'user-1', BIKE, points, null, pkg), null);
+  assert.equal(verifyQuote(quoteId, 'user-1', BIKE, points, scheduledFor, { weightKg: 1, volumeL: null }), null);
+  assert.equal(verifyQuote(`${quoteId}x`, 'user-1', BIKE, points, scheduledFor, pkg), null);
+});
@@ -0,0 +1,30 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluatePromo } from '../src/controller/promo.controller.js';
+
+test('evaluatePromo works out percent and flat discounts', () => {
+  const percent = { discountType: 'percent', amount: 10, maxDiscount: 500 };
+  assert.deepEqual(evaluatePromo(percent, { vehicleType: 'Car', amount: 2000 }), { discount: 200, total: 1800 });
+  assert.deepEqual(evaluatePromo(percent, { vehicleType: 'Car', amount: 10000 }), { discount: 500, total: 9500 });
+  // A flat discount never takes the order below zero
+  assert.deepEqual(evaluatePromo({ discountType: 'flat', amount: 3000 }, { vehicleType: 'Car', amount: 2500 }), { discount: 2500, total: 0 });
+});
+
+test('evaluatePromo enforces state, window, caps, vehicle types and minimum order', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const base = { discountType: 'flat', amount: 100 };
+  const check = (promo, opts = {}) => evaluatePromo({ ...base, ...promo }, { vehicleType: 'Car', amount: 1000, now, ...opts });
+
+  assert.ok(check({}).discount);
+  assert.ok(evaluatePromo(null, { vehicleType: 'Car', amount: 1000 }).error);
+  assert.ok(check({ active: false }).error);
+  assert.ok(check({ startsAt: now + 1 }).error);
+  assert.ok(check({ endsAt: now - 1 }).error);
+  assert.ok(check({ maxRedemptions: 5, redemptionCount: 5 }).error);
+  assert.ok(check({ maxRedemptions: 5, redemptionCount: 4 }).discount);
+  assert.ok(check({ perUserLimit: 1 }, { userCount: 1 }).error);
+  assert.ok(check({ vehicleTypes: ['Van'] }).error);
+  assert.ok(check({ vehicleTypes: ['Van', 'Car'] }).discount);
+  assert.ok(check({ minOrderValue: 1500 }).error);
+});
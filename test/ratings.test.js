@@ -0,0 +1,41 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { ratingDeadline, validateRatingInput, addToAggregate } from '../src/controller/ratings.controller.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+test('ratingDeadline allows rating a delivered order for seven days', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const delivered = { status: 'delivered', deliveredAt: now - 2 * DAY };
+  assert.equal(ratingDeadline(delivered, now), now + 5 * DAY);
+  assert.equal(ratingDeadline({ ...delivered, deliveredAt: now - 8 * DAY }, now), null);
+  assert.equal(ratingDeadline({ ...delivered, rating: { stars: 5 } }, now), null);
+  assert.equal(ratingDeadline({ ...delivered, status: 'in_transit' }, now), null);
+  assert.equal(ratingDeadline({ status: 'delivered' }, now), null);
+});
+
+test('validateRatingInput checks stars and tags and trims the comment', () => {
+  assert.deepEqual(validateRatingInput({ stars: '4', tags: ['on_time', 'on_time', 'friendly'], comment: '  Great  ' }).value,
+    { stars: 4, tags: ['on_time', 'friendly'], comment: 'Great' });
+  assert.deepEqual(validateRatingInput({ stars: 1 }).value, { stars: 1, tags: [], comment: '' });
+  assert.ok(validateRatingInput({ stars: 0 }).error);
+  assert.ok(validateRatingInput({ stars: 4.5 }).error);
+  assert.ok(validateRatingInput({ stars: 6 }).error);
+  assert.ok(validateRatingInput({ stars: 3, tags: ['amazing'] }).error);
+  assert.ok(validateRatingInput({ stars: 3, tags: 'late' }).error);
+});
+
+test('addToAggregate keeps counts, star buckets, tags and the average', () => {
+  const first = addToAggregate(null, { stars: 5, tags: ['on_time'] });
+  assert.equal(first.count, 1);
+  assert.equal(first.average, 5);
+  const second = addToAggregate(first, { stars: 2, tags: ['late', 'on_time'] });
+  assert.equal(second.count, 2);
+  assert.equal(second.sum, 7);
+  assert.equal(second.average, 3.5);
+  assert.deepEqual(second.stars, { 1: 0, 2: 1, 3: 0, 4: 0, 5: 1 });
+  assert.deepEqual(second.tags, { on_time: 2, late: 1 });
+  // The previous aggregate is left untouched
+  assert.equal(first.count, 1);
+});
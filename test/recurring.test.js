@@ -0,0 +1,32 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSchedule, nextOccurrence } from '../src/controller/recurring.controller.js';
+
+test('parseSchedule accepts minute, hour and day-of-week schedules', () => {
+  assert.deepEqual(parseSchedule('30 8 * * 1-5').schedule, { cron: '30 8 * * 1-5', minute: 30, hour: 8, days: [1, 2, 3, 4, 5] });
+  assert.deepEqual(parseSchedule(' 0  9 * * 7,6 ').schedule.days, [0, 6]);
+  assert.deepEqual(parseSchedule('0 9 * * *').schedule.days, [0, 1, 2, 3, 4, 5, 6]);
+});
+
+test('parseSchedule rejects what it does not support', () => {
+  for (const cron of ['', '0 9 * *', '60 9 * * *', '0 24 * * *', '*/5 9 * * *', '0 9 1 * *', '0 9 * 1 *', '0 9 * * 5-1', '0 9 * * 8']) {
+    assert.ok(parseSchedule(cron).error, `expected "${cron}" to be rejected`);
+  }
+});
+
+test('nextOccurrence finds the next run in the operating timezone', () => {
+  const { schedule } = parseSchedule('30 8 * * 1-5');
+  // Friday 2026-10-16 09:00 in Lagos (UTC+1): the next weekday run is Monday 08:30
+  const fridayMorning = Date.parse('2026-10-16T08:00:00Z');
+  assert.equal(nextOccurrence(schedule, fridayMorning), Date.parse('2026-10-19T07:30:00Z'));
+  // Strictly after: a run exactly at `after` is not repeated
+  const mondayRun = Date.parse('2026-10-19T07:30:00Z');
+  assert.equal(nextOccurrence(schedule, mondayRun), Date.parse('2026-10-20T07:30:00Z'));
+});
+
+test('nextOccurrence stops at the end date', () => {
+  const { schedule } = parseSchedule('30 8 * * 1-5');
+  const fridayMorning = Date.parse('2026-10-16T08:00:00Z');
+  assert.equal(nextOccurrence(schedule, fridayMorning, Date.parse('2026-10-18T00:00:00Z')), null);
+});
@@ -0,0 +1,26 @@
+// Shared test environment. Import this first: src/config/firebase.js and src/config/opay.js
+// read their credentials as soon as they are loaded, so tests get a throwaway service account,
+// placeholder OPay keys (nothing is ever called with them), a JWT secret for signed quotes
+// and the offline geocoder fixtures.
+import crypto from 'crypto';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+
+if (!process.env.FIRBASE_API_KEY) {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  process.env.FIRBASE_API_KEY = JSON.stringify({
+    type: 'service_account',
+    project_id: 'asap-logistics-test',
+    client_email: 'tests@asap-logistics-test.iam.gserviceaccount.com',
+    private_key: privateKey.export({ type: 'pkcs8', format: 'pem' })
+  });
+}
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.OPAY_PUBLIC_KEY = process.env.OPAY_PUBLIC_KEY || 'test-public-key';
+process.env.OPAY_MERCHANT_ID = process.env.OPAY_MERCHANT_ID || 'test-merchant';
+process.env.OPAY_BASE_URL = process.env.OPAY_BASE_URL || 'https://testapi.opaycheckout.com';
+process.env.GEOCODER_PROVIDER = 'fixture';
+process.env.GEOCODER_FIXTURES = path.join(here, 'fixtures', 'geocoder.json');
+process.env.APP_TIMEZONE = 'Africa/Lagos';
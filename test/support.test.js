@@ -0,0 +1,28 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { refundableAmount } from '../src/controller/support.controller.js';
+
+test('refundableAmount allows what an order was charged less earlier refunds', () => {
+  assert.equal(refundableAmount({ order: { paid: true, total: 5000 } }), 5000);
+  assert.equal(refundableAmount({ order: { paid: true, total: 5000, supportRefundTotal: 1500 } }), 3500);
+  // A cancellation already gave some back
+  assert.equal(refundableAmount({ order: { paid: true, total: 5000, refundAmount: 4000, supportRefundTotal: 500 } }), 500);
+  assert.equal(refundableAmount({ order: { paid: true, total: 5000, refundAmount: 5000 } }), 0);
+});
+
+test('refundableAmount allows nothing on an order that was never charged', () => {
+  assert.equal(refundableAmount({ order: { paid: false, total: 5000 } }), 0);
+  assert.equal(refundableAmount({ order: { total: 5000, payment: { method: 'cod', status: 'unpaid' } } }), 0);
+});
+
+test('refundableAmount uses the order, not the debit, when both are known', () => {
+  const tx = { type: 'debit', amount: 5000 };
+  assert.equal(refundableAmount({ order: { paid: true, total: 5000, supportRefundTotal: 5000 }, tx }), 0);
+});
+
+test('refundableAmount caps an orderless debit at its amount and refuses credits', () => {
+  assert.equal(refundableAmount({ tx: { type: 'debit', amount: 2000, supportRefundTotal: 750 } }), 1250);
+  assert.equal(refundableAmount({ tx: { type: 'credit', amount: 2000 } }), 0);
+  assert.equal(refundableAmount({}), 0);
+});
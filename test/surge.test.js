@@ -0,0 +1,19 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { matchesTimeWindow } from '../src/utils/time.js';
+
+test('matchesTimeWindow checks same-day windows and their days', () => {
+  const rule = { start: '08:00', end: '17:00', days: [1, 2, 3, 4, 5] };
+  assert.equal(matchesTimeWindow(rule, { weekday: 1, minutes: 8 * 60 }), true);
+  assert.equal(matchesTimeWindow(rule, { weekday: 1, minutes: 17 * 60 }), false);
+  assert.equal(matchesTimeWindow(rule, { weekday: 6, minutes: 12 * 60 }), false);
+  assert.equal(matchesTimeWindow({ start: '08:00', end: '17:00', days: [] }, { weekday: 6, minutes: 12 * 60 }), true);
+});
+
+test('matchesTimeWindow gives the early hours of an overnight window to the previous day', () => {
+  const fridayNight = { start: '21:00', end: '05:00', days: [5] };
+  assert.equal(matchesTimeWindow(fridayNight, { weekday: 5, minutes: 22 * 60 }), true);
+  assert.equal(matchesTimeWindow(fridayNight, { weekday: 6, minutes: 2 * 60 }), true);
+  assert.equal(matchesTimeWindow(fridayNight, { weekday: 6, minutes: 22 * 60 }), false);
+  assert.equal(matchesTimeWindow(fridayNight, { weekday: 5, minutes: 2 * 60 }), false);
+});
@@ -0,0 +1,40 @@
+import './setup.js';
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateVehicleTypes, DEFAULT_VEHICLE_TYPES } from '../src/controller/tariff.controller.js';
+
+test('validateVehicleTypes keeps only known fields and normalizes numbers', () => {
+  const { value, error } = validateVehicleTypes({
+    ' Bicycle ': { basePrice: '800', perKmRate: 200, description: '  Short hops  ', isAdmin: true, maxWeightKg: '10' }
+  });
+  assert.equal(error, undefined);
+  assert.deepEqual(value, {
+    Bicycle: { basePrice: 800, perKmRate: 200, perStopFee: 0, maxWeightKg: 10, description: 'Short hops' }
+  });
+});
+
+test('validateVehicleTypes accepts the built-in rate card', () => {
+  const { value } = validateVehicleTypes(DEFAULT_VEHICLE_TYPES);
+  assert.deepEqual(Object.keys(value), Object.keys(DEFAULT_VEHICLE_TYPES));
+  assert.equal(value['Van (Large Items)'].perStopFee, 1500);
+});
+
+test('validateVehicleTypes rejects missing, negative and oversized prices', () => {
+  const check = (entry) => validateVehicleTypes({ Car: { basePrice: 1000, perKmRate: 100, ...entry } }).error;
+  assert.ok(check({ basePrice: undefined }));
+  assert.ok(check({ basePrice: 'free' }));
+  assert.ok(check({ perKmRate: -1 }));
+  assert.ok(check({ perStopFee: 10_000_001 }));
+  assert.ok(check({ perExtraKgRate: -5 }));
+  assert.ok(check({ maxWeightKg: 'heavy' }));
+  assert.equal(check({}), undefined);
+});
+
+test('validateVehicleTypes rejects malformed maps', () => {
+  assert.ok(validateVehicleTypes(null).error);
+  assert.ok(validateVehicleTypes([]).error);
+  assert.ok(validateVehicleTypes({}).error);
+  assert.ok(validateVehicleTypes({ '  ': { basePrice: 1, perKmRate: 1 } }).error);
+  const many = Object.fromEntries(Array.from({ length: 21 }, (_, i) => [`Vehicle ${i}`, { basePrice: 1, perKmRate: 1 }]));
+  assert.ok(validateVehicleTypes(many).error);
+});
@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pointInGeometry } from '../src/utils/geo.js';
+
+// A 1°×1° square at lng 3-4, lat 7-8 with a hole at lng 3.4-3.6, lat 7.4-7.6
+const square = [[3, 7], [4, 7], [4, 8], [3, 8], [3, 7]];
+const hole = [[3.4, 7.4], [3.6, 7.4], [3.6, 7.6], [3.4, 7.6], [3.4, 7.4]];
+
+test('pointInGeometry handles polygons, holes and multipolygons', () => {
+  const polygon = { type: 'Polygon', coordinates: [square, hole] };
+  assert.equal(pointInGeometry(7.2, 3.2, polygon), true);
+  assert.equal(pointInGeometry(7.5, 3.5, polygon), false);
+  assert.equal(pointInGeometry(6.5, 3.5, polygon), false);
+
+  const multi = { type: 'MultiPolygon', coordinates: [[square], [[[5, 9], [6, 9], [6, 10], [5, 10], [5, 9]]]] };
+  assert.equal(pointInGeometry(9.5, 5.5, multi), true);
+  assert.equal(pointInGeometry(9.5, 4.5, multi), false);
+
+  assert.equal(pointInGeometry(7.5, 3.5, null), false);
+  assert.equal(pointInGeometry(7.5, 3.5, { type: 'Point', coordinates: [3.5, 7.5] }), false);
+});